@@ -0,0 +1,93 @@
+// ============================================================================
+// SafetyTAP Topic Overlap Check
+// ============================================================================
+//
+// Compares every topic in topic-bank.json and topics.json, and every post
+// already written, for keyword cannibalization: two posts chasing the same
+// search. Pairs are scored on keyword, concept and title (see
+// lib/topic-overlap.js), grouped into clusters, and each cluster comes with
+// a suggestion to merge or re-angle. Run it before generating, and on a new
+// batch of topics with --file before adding them to the bank.
+//
+// Usage (via the content-engine CLI, `npm run check-topics -- ...`):
+//   content-engine check-topics                       # Every cluster
+//   content-engine check-topics --day 62              # Only clusters with day 62
+//   content-engine check-topics --file new-batch.json # Also check a topic file
+//   content-engine check-topics --threshold 0.4       # Looser (default 0.5)
+//   content-engine check-topics --strict              # Exit 1 if any unwritten topic overlaps
+//   content-engine check-topics --json
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { collectTopicItems, findTopicOverlaps, DEFAULT_THRESHOLD } from './lib/topic-overlap.js';
+import { loadTopicBank, loadAdhocTopics, ADHOC_TOPICS_PATH } from './lib/topics.js';
+import { todayUtc } from './lib/schedule-dates.js';
+import { COMMON, hasFlag, numberOption, optionValue } from './lib/args.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BLOG_DIR = path.join(__dirname, '..', 'src', 'content', 'blog');
+
+const THRESHOLD = numberOption('--threshold', DEFAULT_THRESHOLD);
+const FILE = optionValue('--file');
+const STRICT = hasFlag('--strict');
+
+function loadExtraTopics(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) throw new Error(`Topic file not found: ${file}`);
+  const data = JSON.parse(fs.readFileSync(resolved, 'utf-8'));
+  return Array.isArray(data) ? data : [data];
+}
+
+function printCluster(cluster, index) {
+  const byId = new Map(cluster.members.map(m => [m.id, m]));
+  const width = Math.max(...cluster.members.map(m => m.label.length));
+  console.log(`\n  Cluster ${index + 1}: ${cluster.members.length} topics`);
+  cluster.members.forEach(m => {
+    const keeper = m.id === cluster.keeper ? '  (keeps the keyword)' : '';
+    console.log(`    ${m.label.padEnd(width)}  ${m.status.padEnd(9)}  "${m.keyword}"${keeper}`);
+    console.log(`    ${''.padEnd(width)}  ${''.padEnd(9)}  ${m.title}`);
+  });
+  console.log('    Scores:');
+  cluster.pairs.forEach(p => {
+    const concept = p.concept === null ? '  -  ' : p.concept.toFixed(2);
+    console.log(`      ${byId.get(p.a).label} / ${byId.get(p.b).label}: ${p.score.toFixed(2)} (keyword ${p.keyword.toFixed(2)}, concept ${concept}, title ${p.title.toFixed(2)})${p.sharedKeywordTerms.length ? ` shared: ${p.sharedKeywordTerms.join(', ')}` : ''}`);
+  });
+  cluster.suggestions.forEach(s => console.log(`    ${s.action.toUpperCase()}: ${s.message}`));
+}
+
+export async function run() {
+  console.log('\n  SafetyTAP Topic Overlap Check\n');
+
+  const bank = loadTopicBank();
+  const adhoc = fs.existsSync(ADHOC_TOPICS_PATH) ? loadAdhocTopics() : [];
+  const extra = FILE ? loadExtraTopics(FILE) : [];
+  const items = collectTopicItems({ bank, adhoc, extra, extraLabel: FILE ? path.basename(FILE) : 'file', blogDir: BLOG_DIR, today: todayUtc() });
+
+  console.log(`Comparing ${items.length} topics and posts (${bank.length} in the bank, ${adhoc.length} ad-hoc${FILE ? `, ${extra.length} from ${FILE}` : ''}), threshold ${THRESHOLD}`);
+
+  const { clusters: all } = findTopicOverlaps(items, { threshold: THRESHOLD });
+  const clusters = COMMON.day
+    ? all.filter(c => c.members.some(m => m.source === 'bank' && m.day === COMMON.day))
+    : all;
+
+  if (clusters.length === 0) {
+    console.log(`\nNo overlapping topics${COMMON.day ? ` for day ${COMMON.day}` : ''}.`);
+  } else {
+    clusters.forEach(printCluster);
+    const counts = clusters.flatMap(c => c.suggestions).reduce((acc, s) => ({ ...acc, [s.action]: (acc[s.action] || 0) + 1 }), {});
+    console.log(`\n${clusters.length} cluster(s): ${Object.entries(counts).map(([action, n]) => `${n} ${action}`).join(', ')}`);
+  }
+
+  // Only topics that are still unwritten can be fixed before generation
+  const actionable = clusters.filter(c => c.members.some(m => m.status === 'open')).length;
+  if (STRICT && actionable > 0) {
+    console.log(`\n${actionable} cluster(s) include unwritten topics (--strict).`);
+    process.exitCode = 1;
+  }
+  console.log('');
+
+  return { threshold: THRESHOLD, compared: items.length, actionable, clusters };
+}
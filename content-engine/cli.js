@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// ============================================================================
+// SafetyTAP Content Engine CLI
+// ============================================================================
+//
+// One entry point for every content engine job:
+//
+//   content-engine generate   Ad-hoc topics through the daily pipeline (generate.js)
+//   content-engine daily      The scheduled post, revisions, catch-up, backfills (daily-generate.js)
+//   content-engine research   Fetch and analyze the research feed (research-agent.js)
+//   content-engine schedule   Schedule status, or `schedule init` (init-schedule.js)
+//   content-engine rebalance  Reorder unwritten days to follow the spacing rules (rebalance-schedule.js)
+//   content-engine doctor     Cross-check schedule, topic bank, posts and images; --fix repairs (doctor.js)
+//   content-engine images     Hero images from Pexels (fetch-hero-image.js)
+//   content-engine topics     Browse the topic bank (list-topics.js)
+//   content-engine check-topics  Find topics that compete for the same keyword (check-topics.js)
+//   content-engine season     Plan the next season of the topic bank (plan-season.js)
+//   content-engine usage      Model usage and cost report (usage-report.js)
+//   content-engine digest     Email digest of the week's posts (digest.js)
+//
+// Flags mean the same thing in every command (see lib/args.js):
+//   --day N    --dry-run    --json
+//
+// Each command lists the other options it takes; anything else stops the
+// command before it runs. `content-engine <command> --help` lists them.
+//
+// With --json, progress logs go to stderr and the command's result is
+// printed as JSON on stdout. Run through npm with `npm run engine -- <command>`.
+//
+// ============================================================================
+
+import 'dotenv/config';
+import { COMMON, hasFlag, unknownOptions } from './lib/args.js';
+
+const COMMANDS = {
+  generate: { module: './generate.js', summary: 'Generate ad-hoc topics (topics.json or --file) through the daily pipeline', options: ['--all', '--date', '--file', '--fresh', '--publish'] },
+  daily: { module: './daily-generate.js', summary: 'Generate the next scheduled post; --revise, --catch-up, --backfill-links, --backfill-sources, --backfill-distribution, --backfill-toolbox-talks, --backfill-translations', options: ['--revise', '--catch-up', '--max', '--pace', '--fresh', '--preview', '--backfill-links', '--backfill-sources', '--backfill-distribution', '--backfill-toolbox-talks', '--backfill-translations'] },
+  research: { module: './research-agent.js', summary: 'Fetch research sources and web search, analyze, write research-feed.json', options: ['--fresh', '--pillar', '--max', '--threshold'] },
+  schedule: { module: './init-schedule.js', summary: 'Show schedule status; `schedule init --start DATE` creates a new one', options: ['--start', '--weekdays', '--season', '--from', '--to', '--reason', '--remove'] },
+  rebalance: { module: './rebalance-schedule.js', summary: 'Reorder unwritten, unpinned days to follow schedule-rules.json; --pin N, --unpin N', options: ['--pin', '--unpin'] },
+  doctor: { module: './doctor.js', summary: 'Report where schedule, topic bank, posts and images disagree; --fix repairs what is safe', options: ['--fix', '--strict'] },
+  images: { module: './fetch-hero-image.js', summary: 'Fetch hero images from Pexels for posts missing one', options: ['--backfill', '--replace-pexels'] },
+  topics: { module: './list-topics.js', summary: 'List the topic bank, or show one day with --day N', options: ['--pillar', '--format', '--open'] },
+  'check-topics': { module: './check-topics.js', summary: 'Find overlapping topics and posts; suggests merges and re-angles', options: ['--file', '--strict', '--threshold'] },
+  season: { module: './plan-season.js', summary: 'Generate the next N topics (--count N) and append them to the bank as a new season', options: ['--count', '--start', '--name', '--pillars', '--formats', '--fresh'] },
+  usage: { module: './usage-report.js', summary: 'Model usage and estimated cost from the usage ledger', options: ['--days', '--since'] },
+  digest: { module: './digest.js', summary: 'Email digest of posts published in a date window; --send to mail it', options: ['--days', '--since', '--until', '--to', '--send'] },
+};
+
+function printHelp() {
+  console.log('\n  SafetyTAP Content Engine\n');
+  console.log('  Usage: content-engine <command> [options]\n');
+  Object.entries(COMMANDS).forEach(([name, { summary }]) => {
+    console.log(`    ${name.padEnd(12)}  ${summary}`);
+  });
+  console.log('\n  Common options: --day N, --dry-run, --json');
+  console.log('  Each command documents its own options at the top of its file.\n');
+}
+
+function printCommandHelp(name, { summary, options }) {
+  console.log(`\n  Usage: content-engine ${name} [options]\n`);
+  console.log(`    ${summary}\n`);
+  console.log(`  Options: ${options.join(', ')}`);
+  console.log('  Common options: --day N, --dry-run, --json\n');
+}
+
+async function main() {
+  const name = process.argv[2];
+  if (!name || name === 'help' || name === '--help') {
+    printHelp();
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    printHelp();
+    throw new Error(`Unknown command "${name}"`);
+  }
+
+  if (hasFlag('--help')) {
+    printCommandHelp(name, command);
+    return;
+  }
+
+  // A mistyped flag would otherwise be ignored and the command run for real
+  const unknown = unknownOptions(command.options);
+  if (unknown.length > 0) {
+    printCommandHelp(name, command);
+    throw new Error(`Unknown option(s) for "${name}": ${unknown.join(', ')}`);
+  }
+
+  // Keep stdout clean for the JSON result
+  if (COMMON.json) console.log = console.error;
+
+  const { run } = await import(command.module);
+  const result = await run();
+
+  if (COMMON.json) process.stdout.write(`${JSON.stringify(result ?? null, null, 2)}\n`);
+}
+
+main().catch(err => {
+  console.error(`\nERROR: ${err.message}`);
+  if (COMMON.json) process.stdout.write(`${JSON.stringify({ error: err.message }, null, 2)}\n`);
+  process.exitCode = 1;
+});
@@ -3,7 +3,9 @@
 // ============================================================================
 //
 // Merges topics-batch-1.json, topics-batch-2.json, and topics-batch-3.json
-// into a single topic-bank.json file, sorted by day number.
+// into a single topic-bank.json file, sorted by day number, then warns about
+// topics that compete for the same keyword (see lib/topic-overlap.js; the
+// full report is `content-engine check-topics`).
 //
 // Usage: node content-engine/combine-topics.js
 //
@@ -12,6 +14,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { collectTopicItems, findTopicOverlaps } from './lib/topic-overlap.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -70,6 +73,19 @@ if (dupeSlugs.length > 0) {
   console.log(`  WARNING: Duplicate slugs found: ${[...new Set(dupeSlugs)].join(', ')}`);
 }
 
+// Validate: check for near-duplicate topics, including the posts already written
+const { clusters } = findTopicOverlaps(collectTopicItems({
+  bank: allTopics,
+  blogDir: path.join(__dirname, '..', 'src', 'content', 'blog'),
+}));
+if (clusters.length > 0) {
+  console.log(`  WARNING: ${clusters.length} cluster(s) of overlapping topics:`);
+  clusters.forEach(c => {
+    console.log(`    ${c.members.map(m => `${m.label} "${m.keyword}"`).join('  /  ')}`);
+  });
+  console.log('  Run `npm run check-topics` for scores and merge or re-angle suggestions.');
+}
+
 // Write combined file
 fs.writeFileSync(outputPath, JSON.stringify(allTopics, null, 2), 'utf-8');
 
@@ -4,401 +4,757 @@
 //
 // Enhanced content engine for the automated daily publishing pipeline.
 // Picks the next scheduled topic, integrates research feed, generates a
-// blog post, and saves it as an MDX file ready for Vercel deploy.
+// blog post, and saves it as a draft MDX file for editor review. Drafts are
+// approved or rejected in /admin/schedule; approved posts whose date has
+// arrived are marked published at the start of each run.
 //
-// Usage:
-//   node content-engine/daily-generate.js              # Generate next scheduled post
-//   node content-engine/daily-generate.js --day 42     # Generate a specific day's post
-//   node content-engine/daily-generate.js --preview    # Show what would be generated (no API call)
+// The research, draft, link and TL;DR steps live in lib/pipeline.js, shared
+// with ad-hoc generation (generate.js). Each new or revised post also gets a
+// distribution pack (LinkedIn post, thread, newsletter blurb, pull-quote;
+// see lib/distribution.js) stored on its schedule entry, a toolbox-talk
+// handout in src/content/toolbox-talks/ (see lib/toolbox-talk.js), and a
+// Spanish edition in src/content/blog-es/ (see lib/translation.js).
+//
+// Usage (via the content-engine CLI, `npm run engine -- daily ...`):
+//   content-engine daily              # Generate next scheduled post (nothing on non-publishing days)
+//   content-engine daily --day 42     # Generate a specific day's post
+//   content-engine daily --dry-run    # Show what would be generated (no API call)
+//   content-engine daily --revise --day 42   # Revise a generated post from its editorial note
+//   content-engine daily --fresh      # Ignore checkpoints from an earlier failed run
+//   content-engine daily --backfill-links            # Link older posts forward to newer ones
+//   content-engine daily --backfill-links --dry-run  # Show the links without writing
+//   content-engine daily --backfill-sources          # Add Sources lists to older posts
+//   content-engine daily --backfill-distribution     # Distribution packs for posts without one (--max 7)
+//   content-engine daily --backfill-distribution --day 42   # Rewrite one post's pack
+//   content-engine daily --backfill-toolbox-talks    # Toolbox talks for posts without one (--max 7)
+//   content-engine daily --backfill-toolbox-talks --day 42  # Rewrite one post's talk
+//   content-engine daily --backfill-translations     # Spanish editions for posts missing one or out of date (--max 7)
+//   content-engine daily --backfill-translations --day 42   # Retranslate one post
+//   content-engine daily --catch-up backdate         # Generate missed days with their original dates
+//   content-engine daily --catch-up reslot           # Move missed topics forward, starting today
+//   content-engine daily --catch-up skip             # Skip missed topics and carry on from today
+//     (catch-up options: --max 7 posts per run, --pace 30 seconds between posts)
+//   content-engine daily --json       # Print the result as JSON
+//
+// --preview is accepted as an older spelling of --dry-run.
 //
 // ============================================================================
 
 import 'dotenv/config';
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { POST_STATUS, isGenerated, findNextOpenDay, promoteApproved } from './lib/post-status.js';
+import { createProvider } from './lib/llm.js';
+import { readPost, writePost, serializeMdx, validateFrontmatter } from './lib/frontmatter.js';
+import { MAX_LINKS, loadPosts, linkablePosts, insertInternalLinks, countInternalLinks } from './lib/internal-links.js';
+import { buildSources, findUncitedResearchers } from './lib/sources.js';
+import { buildRevisionBrief } from './lib/prompt.js';
+import { draftPost, generateWithQualityGate, buildFrontmatter, reportResume } from './lib/pipeline.js';
+import { loadTopicBank, lastTopicDay, loadSeasons, seasonOfDay, seasonLabel } from './lib/topics.js';
+import { COMMON, hasFlag, optionValue, intOption, numberOption } from './lib/args.js';
+import { generateDistributionPack } from './lib/distribution.js';
+import { TOOLBOX_TALKS_DIR, writeToolboxTalk } from './lib/toolbox-talk.js';
+import { TRANSLATION_STATUS, translatePost, translationStatus } from './lib/translation.js';
+import { getDateForDay, nonPublishingReason, seasonStart, todayUtc } from './lib/schedule-dates.js';
+import { scheduleExists, loadSchedule, newSchedule, saveSchedule } from './lib/schedule-store.js';
+import { replacePost, currentVersion } from './lib/revisions.js';
+import { openRun, runKey } from './lib/checkpoint.js';
+import { loadArchive, findArchived, toFeedItem } from './lib/research-archive.js';
+import { CATCH_UP_POLICIES, applyCatchUpPolicy, dueDays, formatDayRanges } from './lib/catch-up.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const TOPIC_BANK_PATH = path.join(__dirname, 'topic-bank.json');
-const SCHEDULE_PATH = path.join(__dirname, 'schedule.json');
-const RESEARCH_FEED_PATH = path.join(__dirname, 'research-feed.json');
 const BLOG_DIR = path.join(__dirname, '..', 'src', 'content', 'blog');
+const HISTORY_DIR = path.join(__dirname, 'history');
+const RUNS_DIR = path.join(__dirname, 'runs');
+const BLOG_ES_DIR = path.join(__dirname, '..', 'src', 'content', 'blog-es');
+
+const DRY_RUN = COMMON.dryRun || hasFlag('--preview');
+const BACKFILL_LINKS = hasFlag('--backfill-links');
+const BACKFILL_SOURCES = hasFlag('--backfill-sources');
+const BACKFILL_DISTRIBUTION = hasFlag('--backfill-distribution');
+const BACKFILL_TOOLBOX_TALKS = hasFlag('--backfill-toolbox-talks');
+const BACKFILL_TRANSLATIONS = hasFlag('--backfill-translations');
+const REVISE_MODE = hasFlag('--revise');
+const FRESH_RUN = hasFlag('--fresh');
+const SPECIFIC_DAY = COMMON.day;
+const CATCH_UP = hasFlag('--catch-up') ? optionValue('--catch-up', '') : null;
+const MAX_PER_RUN = intOption('--max', 7);
+const CATCH_UP_PACE_SECONDS = numberOption('--pace', 30);
 
-const PREVIEW_MODE = process.argv.includes('--preview');
-const SPECIFIC_DAY = (() => {
-  const idx = process.argv.indexOf('--day');
-  return idx !== -1 ? parseInt(process.argv[idx + 1], 10) : null;
-})();
+// ---------------------------------------------------------------------------
+// Schedule Management
+// ---------------------------------------------------------------------------
 
-const CLAUDE_MODEL = 'claude-sonnet-4-5-20250929';
+// Without a schedule the first run starts one today
+function loadOrStartSchedule() {
+  return scheduleExists() ? loadSchedule() : newSchedule(todayUtc());
+}
+
+function getNextScheduledDay(schedule, topics) {
+  // Find the lowest day number that hasn't been generated yet (rejected drafts count as open)
+  return findNextOpenDay(schedule.posts, lastTopicDay(topics)); // null once every day in the bank is generated
+}
 
 // ---------------------------------------------------------------------------
-// System Prompt — the voice and structure of every SafetyTAP post
+// Internal Linking
 // ---------------------------------------------------------------------------
 
-const SYSTEM_PROMPT = `You are writing a blog post for SafetyTAP, a construction safety technology company that builds hazard recognition skills in field workers. Workers text a photo of their work area and get back one specific safety observation — the kind an experienced pro would make on-site. No app, no training, just a text message.
+function logLinks(entry, links, mode) {
+  const insertedAt = new Date().toISOString();
+  entry.internalLinks = [
+    ...(entry.internalLinks || []),
+    ...links.map(l => ({
+      slug: l.slug,
+      anchor: l.anchor,
+      score: l.score,
+      reasons: l.reasons,
+      placedBy: l.placedBy || 'phrase-match',
+      mode,
+      insertedAt,
+    })),
+  ];
+}
 
-The blog targets safety managers, superintendents, and construction professionals who are tired of compliance theater and want to actually develop their crew's ability to see hazards.
+// Add links from older published posts forward to newer related ones
+function backfillLinks(topics, schedule) {
+  const posts = linkablePosts(loadPosts(BLOG_DIR, topics));
+  const byDate = [...posts].sort((a, b) => a.date.localeCompare(b.date));
+  let inserted = 0;
 
-VOICE:
-- Write like a sharp construction professional who understands the psychology. Not an academic, not a marketer.
-- Respect the worker. NEVER make field workers sound lazy, reckless, or stupid. The SYSTEM is broken, not the people.
-- Use "crew" not "employees." Use "site" not "workplace."
-- Sound like you've been on jobsites and actually watched how people work.
+  console.log(`\nBackfilling internal links across ${posts.length} published posts${DRY_RUN ? ' (dry run)' : ''}\n`);
 
-STRUCTURE RULES:
-- Short paragraphs (2-4 sentences max). No walls of text.
-- Use subheadings (##) to break up content. Make them interesting — not "Introduction" or "Conclusion."
-- No bullet points or numbered lists in the body. Write in prose.
-- No marketing buzzwords. No "revolutionary" or "game-changing."
-- No corporate safety cliches. No "safety is our #1 priority."
-- No exclamation marks.
-- The first paragraph must hook with a specific, recognizable jobsite scenario — not a statistic or definition.
-- Cite research by describing the finding in plain language with the researcher's name. No academic citation format.
-- End with a thought-provoking statement or question, not a sales pitch.
-- SafetyTAP may be mentioned ONCE in the final section as a natural extension, but the post must stand completely on its own.
+  for (const post of byDate) {
+    const room = MAX_LINKS - countInternalLinks(post.body);
+    if (room <= 0) continue;
 
-FORMAT GUIDELINES BY TYPE:
+    const newer = posts.filter(p => p.date > post.date);
+    const { body, links } = insertInternalLinks(post.body, post, newer, { max: room });
+    if (links.length === 0) continue;
 
-deep-dive (1000-1200 words):
-- Thorough exploration of one concept. Open with a vivid jobsite scene. Build the psychology layer by layer. Close with practical implications.
+    console.log(`  ${post.slug}`);
+    links.forEach(l => console.log(`    -> ${l.slug} on "${l.anchor}" (score ${l.score})`));
+    inserted += links.length;
+    if (DRY_RUN) continue;
 
-field-tip (400-600 words):
-- Quick, practical, useful. One core idea, one thing the reader can use today. Conversational tone. Gets to the point fast.
+    const mdxPath = path.join(BLOG_DIR, `${post.slug}.mdx`);
+    const { data, eol } = readPost(mdxPath);
+    writePost(mdxPath, data, body, eol);
 
-myth-buster (600-800 words):
-- Start by stating the common belief. Then dismantle it with evidence and jobsite reality. Respectful but direct.
+    const entry = Object.values(schedule.posts || {}).find(p => p.slug === post.slug);
+    if (entry) logLinks(entry, links, 'backfill');
+  }
 
-incident-analysis (800-1000 words):
-- Describe a realistic incident scenario (composite, not a specific real event unless from public OSHA records). Analyze through a psychological lens. Focus on systemic factors, not blame.
+  if (!DRY_RUN && inserted > 0) saveSchedule(schedule);
+  console.log(`\n${inserted} link(s) ${DRY_RUN ? 'would be inserted' : 'inserted'}.`);
+  return { inserted };
+}
 
-research-spotlight (600-800 words):
-- Highlight one specific study or researcher. Translate the findings into construction language. Connect to daily work.
+// ---------------------------------------------------------------------------
+// Sources
+// ---------------------------------------------------------------------------
 
-leadership-brief (600-800 words):
-- Targeted at safety managers and superintendents. Focus on what leaders can DO differently. Practical, not theoretical.
+// Give posts written before sources existed the list from their topic brief
+function backfillSources(topics) {
+  const files = fs.existsSync(BLOG_DIR) ? fs.readdirSync(BLOG_DIR).filter(f => f.endsWith('.mdx')) : [];
+  let updated = 0;
+
+  console.log(`\nBackfilling sources across ${files.length} posts${DRY_RUN ? ' (dry run)' : ''}\n`);
+
+  for (const file of files) {
+    const slug = file.replace(/\.mdx$/, '');
+    const topic = topics.find(t => t.slug === slug);
+    const mdxPath = path.join(BLOG_DIR, file);
+    const { data, body, eol } = readPost(mdxPath);
+    if (!topic || data.sources) continue;
+
+    const sources = buildSources(topic);
+    const uncited = findUncitedResearchers(body, sources);
+    console.log(`  ${slug}: ${sources.length} source(s)${uncited.length > 0 ? ` — not in sources: ${uncited.join(', ')}` : ''}`);
+    updated++;
+    if (!DRY_RUN) writePost(mdxPath, { ...data, sources }, body, eol);
+  }
 
-OUTPUT:
-- Clean markdown. No frontmatter (added separately).
-- Use ## for section headings.
-- Do NOT include the title as an H1.`;
+  console.log(`\n${updated} post(s) ${DRY_RUN ? 'would be updated' : 'updated'}.`);
+  return { updated };
+}
 
 // ---------------------------------------------------------------------------
-// Schedule Management
+// Distribution Pack
 // ---------------------------------------------------------------------------
 
-function loadSchedule() {
-  if (fs.existsSync(SCHEDULE_PATH)) {
-    return JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8'));
+// Non-fatal like the TL;DR: a post without a pack can still be reviewed.
+// Checkpointed when a run is given so a resumed run doesn't pay for it twice.
+async function writeDistribution(llm, topic, body, run = null) {
+  if (run?.has('distribution')) {
+    console.log('Using checkpointed distribution pack');
+    return run.load('distribution');
   }
-  return { startDate: new Date().toISOString().split('T')[0], posts: {} };
-}
 
-function saveSchedule(schedule) {
-  fs.writeFileSync(SCHEDULE_PATH, JSON.stringify(schedule, null, 2), 'utf-8');
+  console.log('Writing distribution pack...');
+  try {
+    const pack = await generateDistributionPack(llm, topic, body, topic.slug);
+    run?.save('distribution', pack);
+    console.log(`Distribution pack: ${pack.thread.length}-part thread, ${pack.report.passed ? 'passed' : `${pack.report.violations.length} violation(s) left for review`}`);
+    return pack;
+  } catch (err) {
+    console.log(`Distribution pack failed (non-fatal): ${err.message}`);
+    return null;
+  }
 }
 
-function getNextScheduledDay(schedule) {
-  const posts = schedule.posts || {};
-  // Find the lowest day number that hasn't been generated yet
-  for (let day = 1; day <= 180; day++) {
-    if (!posts[day] || posts[day].status !== 'published') {
-      return day;
-    }
+// Packs for generated posts that don't have one yet, or for --day N even if it does
+async function backfillDistribution(topics, schedule) {
+  const days = Object.keys(schedule.posts || {})
+    .map(Number)
+    .filter(day => SPECIFIC_DAY ? day === SPECIFIC_DAY : !schedule.posts[day].distribution)
+    .filter(day => isGenerated(schedule.posts[day]) && topics.some(t => t.day === day))
+    .filter(day => fs.existsSync(path.join(BLOG_DIR, `${schedule.posts[day].slug}.mdx`)))
+    .sort((a, b) => a - b);
+  const queue = days.slice(0, MAX_PER_RUN);
+
+  console.log(`\nBackfilling distribution packs: ${days.length} post(s)${days.length > queue.length ? `, writing the first ${queue.length} this run (--max ${MAX_PER_RUN})` : ''}${DRY_RUN ? ' (dry run)' : ''}\n`);
+  if (DRY_RUN) {
+    queue.forEach(day => console.log(`  Day ${day}: ${schedule.posts[day].slug}`));
+    return { days: queue, written: 0, remaining: days.length };
+  }
+
+  const provider = queue.length > 0 ? createReadyProvider() : null;
+  let written = 0;
+  for (const day of queue) {
+    const entry = schedule.posts[day];
+    const topic = topics.find(t => t.day === day);
+    console.log(`\nDay ${day}: ${entry.slug}`);
+    const { body } = readPost(path.join(BLOG_DIR, `${entry.slug}.mdx`));
+    const pack = await writeDistribution(provider.withContext({ day, slug: entry.slug }), topic, body);
+    if (!pack) continue;
+    entry.distribution = pack;
+    saveSchedule(schedule);
+    written++;
   }
-  return null; // All 180 days complete
-}
 
-function getDateForDay(schedule, day) {
-  const [y, m, d] = schedule.startDate.split('-').map(Number);
-  return new Date(Date.UTC(y, m - 1, d + (day - 1))).toISOString().split('T')[0];
+  console.log(`\n${written} distribution pack(s) written.`);
+  return { days: queue, written, remaining: days.length - written };
 }
 
 // ---------------------------------------------------------------------------
-// Research Feed Integration
+// Toolbox Talk
 // ---------------------------------------------------------------------------
 
-function loadResearchFeed() {
-  if (!fs.existsSync(RESEARCH_FEED_PATH)) {
-    console.log('No research feed found. Generating without current events.');
-    return null;
+// Talks for generated posts without one, or for --day N even if it has one
+async function backfillToolboxTalks(topics, schedule) {
+  const days = Object.keys(schedule.posts || {})
+    .map(Number)
+    .filter(day => isGenerated(schedule.posts[day]) && topics.some(t => t.day === day))
+    .filter(day => SPECIFIC_DAY ? day === SPECIFIC_DAY : !fs.existsSync(path.join(TOOLBOX_TALKS_DIR, `${schedule.posts[day].slug}.json`)))
+    .filter(day => fs.existsSync(path.join(BLOG_DIR, `${schedule.posts[day].slug}.mdx`)))
+    .sort((a, b) => a - b);
+  const queue = days.slice(0, MAX_PER_RUN);
+
+  console.log(`\nBackfilling toolbox talks: ${days.length} post(s)${days.length > queue.length ? `, writing the first ${queue.length} this run (--max ${MAX_PER_RUN})` : ''}${DRY_RUN ? ' (dry run)' : ''}\n`);
+  if (DRY_RUN) {
+    queue.forEach(day => console.log(`  Day ${day}: ${schedule.posts[day].slug}`));
+    return { days: queue, written: 0, remaining: days.length };
   }
 
-  const feed = JSON.parse(fs.readFileSync(RESEARCH_FEED_PATH, 'utf-8'));
-
-  // Only use feed if it's less than 48 hours old
-  const feedAge = Date.now() - new Date(feed.generatedAt).getTime();
-  if (feedAge > 48 * 60 * 60 * 1000) {
-    console.log('Research feed is stale (>48h). Generating without current events.');
-    return null;
+  const provider = queue.length > 0 ? createReadyProvider() : null;
+  let written = 0;
+  for (const day of queue) {
+    const entry = schedule.posts[day];
+    const topic = topics.find(t => t.day === day);
+    console.log(`\nDay ${day}: ${entry.slug}`);
+    const { body } = readPost(path.join(BLOG_DIR, `${entry.slug}.mdx`));
+    const toolboxTalk = await writeToolboxTalk(provider.withContext({ day, slug: entry.slug }), topic, body);
+    if (!toolboxTalk) continue;
+    entry.toolboxTalk = toolboxTalk;
+    saveSchedule(schedule);
+    written++;
   }
 
-  return feed;
+  console.log(`\n${written} toolbox talk(s) written.`);
+  return { days: queue, written, remaining: days.length - written };
+}
+
+// ---------------------------------------------------------------------------
+// Spanish Edition
+// ---------------------------------------------------------------------------
+
+// Translate the English post and write src/content/blog-es/<slug>.mdx.
+// Non-fatal: a failure is recorded on the entry and retried by the next
+// --backfill-translations run. Returns the record for entry.translations.es.
+async function writeTranslation(llm, slug, data, body, run = null) {
+  const file = `src/content/blog-es/${slug}.mdx`;
+  console.log('Translating to Spanish...');
+  try {
+    const { value: translation, cached } = run
+      ? await run.step('translation', () => translatePost(llm, { data, body }))
+      : { value: await translatePost(llm, { data, body }), cached: false };
+    if (cached) console.log('Using checkpointed Spanish translation');
+
+    fs.mkdirSync(BLOG_ES_DIR, { recursive: true });
+    writePost(path.join(BLOG_ES_DIR, `${slug}.mdx`), translation.data, `\n${translation.body}\n`);
+    console.log(`Saved Spanish edition: ${file}`);
+    return {
+      status: TRANSLATION_STATUS.TRANSLATED,
+      file,
+      sourceHash: translation.sourceHash,
+      translatedAt: new Date().toISOString(),
+      report: translation.report,
+    };
+  } catch (err) {
+    console.log(`Spanish translation failed (non-fatal): ${err.message}`);
+    return { status: TRANSLATION_STATUS.FAILED, error: err.message, attemptedAt: new Date().toISOString() };
+  }
 }
 
-function findRelevantResearch(topic, feed) {
-  if (!feed || !feed.items) return [];
-
-  // Filter out generic stop words that produce false-positive keyword matches
-  const stopWords = new Set(['safety', 'construction', 'workers', 'work', 'site', 'crew', 'training', 'the', 'and', 'for']);
-
-  return feed.items
-    .filter(item => {
-      if (item.relevanceScore < 0.5) return false;
-      // Match on pillar overlap
-      const pillarMatch = item.relevancePillars?.some(p =>
-        p === topic.pillar || p.includes(topic.pillar.split('-')[0])
-      );
-      // Match on keyword overlap — require a meaningful keyword (not a stop word)
-      const meaningfulKeywords = topic.targetKeyword.split(' ').filter(kw =>
-        kw.length > 3 && !stopWords.has(kw.toLowerCase())
-      );
-      const keywordMatch = meaningfulKeywords.some(kw =>
-        item.title.toLowerCase().includes(kw) ||
-        item.summary?.toLowerCase().includes(kw)
-      );
-      return pillarMatch || keywordMatch;
+// Translate posts with no Spanish edition, a failed one, or one the English
+// post has changed since; with --day N, retranslate that day regardless
+async function backfillTranslations(schedule) {
+  const candidates = Object.entries(schedule.posts || {})
+    .map(([day, entry]) => ({ day: parseInt(day, 10), entry, mdxPath: path.join(BLOG_DIR, `${entry.slug}.mdx`) }))
+    .filter(({ day, entry, mdxPath }) => isGenerated(entry) && (!SPECIFIC_DAY || day === SPECIFIC_DAY) && fs.existsSync(mdxPath))
+    .map(c => {
+      const { data, body } = readPost(c.mdxPath);
+      return { ...c, data, body, status: translationStatus(c.entry, data, body) };
     })
-    .slice(0, 3); // Top 3 relevant articles
+    .filter(c => SPECIFIC_DAY || c.status !== TRANSLATION_STATUS.TRANSLATED)
+    .sort((a, b) => a.day - b.day);
+  const queue = candidates.slice(0, MAX_PER_RUN);
+
+  console.log(`\nBackfilling Spanish editions: ${candidates.length} post(s)${candidates.length > queue.length ? `, translating the first ${queue.length} this run (--max ${MAX_PER_RUN})` : ''}${DRY_RUN ? ' (dry run)' : ''}\n`);
+  if (DRY_RUN) {
+    queue.forEach(c => console.log(`  Day ${c.day}: ${c.entry.slug} (${c.status || 'not translated'})`));
+    return { days: queue.map(c => c.day), translated: 0, remaining: candidates.length };
+  }
+
+  const provider = queue.length > 0 ? createReadyProvider() : null;
+  let translated = 0;
+  for (const { day, entry, data, body, status } of queue) {
+    console.log(`\nDay ${day}: ${entry.slug} (${status || 'not translated'})`);
+    const record = await writeTranslation(provider.withContext({ day, slug: entry.slug }), entry.slug, data, body);
+    entry.translations = { ...entry.translations, es: record };
+    saveSchedule(schedule);
+    if (record.status === TRANSLATION_STATUS.TRANSLATED) translated++;
+  }
+
+  console.log(`\n${translated} Spanish edition(s) written.`);
+  return { days: queue.map(c => c.day), translated, remaining: candidates.length - translated };
 }
 
 // ---------------------------------------------------------------------------
-// Post Generation
+// Generate One Day
 // ---------------------------------------------------------------------------
 
-async function generatePost(anthropic, topic, researchItems, editorialNote) {
-  let brief = `Write a blog post based on this brief:
+// What the schedule records about a research item the post used (items
+// checkpointed before matches carried a reason have none)
+function researchMatch({ title, url, match }) {
+  return {
+    title,
+    ...(url ? { url } : {}),
+    ...(match?.score !== undefined ? { score: match.score } : {}),
+    reason: match?.reason || 'no reason recorded',
+  };
+}
 
-Title: ${topic.title}
-Format: ${topic.format}
-Target Keyword: ${topic.targetKeyword}
-Psychological Concept: ${topic.psychologicalConcept}
-Construction Framing: ${topic.constructionFraming}
-Research References: ${topic.researchReferences.join(', ')}
-SafetyTAP Connection: ${topic.safetyTapConnection}
-Target Length: ${topic.targetLength}
-Tone: ${topic.tone}`;
+/**
+ * Generate, check, link and save the post for one schedule day.
+ * The result's status is "exists" when the day already had a post and was
+ * left alone.
+ */
+async function generateDay(provider, topics, schedule, targetDay) {
+  const topic = topics.find(t => t.day === targetDay);
+  if (!topic) throw new Error(`No topic found for day ${targetDay}`);
+  const llm = provider.withContext({ day: targetDay, slug: topic.slug });
 
+  const publishDate = getDateForDay(schedule, targetDay);
+
+  console.log(`\nGenerating day ${targetDay}/${lastTopicDay(topics)}:`);
+  console.log(`  Title:   ${topic.title}`);
+  console.log(`  Pillar:  ${topic.pillar}`);
+  console.log(`  Format:  ${topic.format}`);
+  console.log(`  Date:    ${publishDate}`);
+  console.log(`  Slug:    ${topic.slug}`);
+
+  // Check if already exists (rejected drafts are regenerated in place)
+  const outFile = path.join(BLOG_DIR, `${topic.slug}.mdx`);
+  const existingEntry = schedule.posts?.[targetDay] || {};
+  const isRejected = existingEntry.status === POST_STATUS.REJECTED;
+  if (fs.existsSync(outFile) && !isRejected) {
+    console.log(`\nSKIP: ${topic.slug}.mdx already exists (${existingEntry.status || 'untracked'})`);
+    return { day: targetDay, slug: topic.slug, status: 'exists' };
+  }
+  if (isRejected) {
+    console.log(`\nRegenerating rejected draft: "${existingEntry.rejectionNote || 'no reason given'}"`);
+  }
+
+  // Check for editorial notes
+  const editorialNote = existingEntry.note?.text || null;
   if (editorialNote) {
-    brief += `\n\nEDITORIAL GUIDANCE FROM THE EDITOR (incorporate this direction into the post):
-${editorialNote}`;
+    console.log(`\nEditorial note found: "${editorialNote}"`);
   }
 
-  if (researchItems && researchItems.length > 0) {
-    brief += `\n\nRECENT NEWS AND RESEARCH TO INTEGRATE:
-Each item below was selected because it connects to this topic. Reference each one substantively — use it as a concrete example, a supporting data point, or a real-world illustration of the concept. Do not reduce any item to a single throwaway sentence. Each should feel like it belongs in the narrative and adds credibility.`;
-    researchItems.forEach((item, i) => {
-      brief += `\n\n${i + 1}. "${item.title}" — ${item.summary}`;
-      if (item.potentialAngles?.length > 0) {
-        brief += `\n   Suggested angle: ${item.potentialAngles[0]}`;
-      }
-    });
+  // Research archive articles an editor attached to this day
+  const attachedKeys = existingEntry.research || [];
+  const archive = loadArchive();
+  const attachedResearch = findArchived(archive, attachedKeys).map(toFeedItem);
+  const missingKeys = attachedKeys.filter(key => findArchived(archive, [key]).length === 0);
+  if (missingKeys.length > 0) {
+    console.log(`\nWARNING: attached article(s) not in the research archive: ${missingKeys.join(', ')}`);
   }
 
-  brief += '\n\nWrite the post now.';
+  // Finished steps of an earlier failed run for the same brief are reused
+  const rejectionNote = isRejected ? existingEntry.rejectionNote : null;
+  const run = openRun(RUNS_DIR, `day-${targetDay}`, runKey({ slug: topic.slug, editorialNote, rejectionNote, ...(attachedKeys.length ? { research: attachedKeys } : {}) }), { fresh: FRESH_RUN });
 
-  const response = await anthropic.messages.create({
-    model: CLAUDE_MODEL,
-    max_tokens: 4096,
-    system: SYSTEM_PROMPT,
-    messages: [{ role: 'user', content: brief }],
-  });
+  const linkTargets = linkablePosts(loadPosts(BLOG_DIR, topics));
+  const post = await draftPost(llm, topic, { run, linkTargets, editorialNote, rejectionNote, attachedResearch });
+  const { content, qualityReport, sources, uncitedResearchers } = post;
+
+  const frontmatter = buildFrontmatter(topic, publishDate, { tldr: post.tldr, sources });
+
+  // Ensure blog directory exists
+  if (!fs.existsSync(BLOG_DIR)) {
+    fs.mkdirSync(BLOG_DIR, { recursive: true });
+  }
 
-  return response.content[0].text;
+  writePost(outFile, frontmatter, `\n${content}\n`);
+  console.log(`\nSaved draft: src/content/blog/${topic.slug}.mdx`);
+
+  const distribution = await writeDistribution(llm, topic, content, run);
+  const toolboxTalk = await writeToolboxTalk(llm, topic, content, run);
+  const translation = await writeTranslation(llm, topic.slug, frontmatter, content, run);
+
+  // Update schedule (preserve existing notes and image data)
+  if (!schedule.posts) schedule.posts = {};
+  schedule.posts[targetDay] = {
+    ...existingEntry,
+    slug: topic.slug,
+    title: topic.title,
+    date: publishDate,
+    pillar: topic.pillar,
+    format: topic.format,
+    status: POST_STATUS.DRAFT,
+    generation: {
+      at: new Date().toISOString(),
+      hadResearch: post.researchItems.length > 0,
+      hadNote: !!editorialNote,
+      ...(post.researchItems.length > 0 ? { researchMatches: post.researchItems.map(researchMatch) } : {}),
+    },
+    qualityReport,
+    uncitedResearchers,
+    distribution: distribution || undefined,
+    toolboxTalk: toolboxTalk || undefined,
+    translations: { ...existingEntry.translations, es: translation },
+    internalLinks: [],
+  };
+  // A rejected day's review is over: its note went into this draft's brief,
+  // and the new draft hasn't been reviewed
+  ['rejectionNote', 'rejectedAt', 'approvedAt'].forEach(field => delete schedule.posts[targetDay][field]);
+  logLinks(schedule.posts[targetDay], post.links, 'generation');
+  saveSchedule(schedule);
+  run.complete();
+  console.log('Schedule updated.');
+
+  // Summary
+  console.log(`\nWord count: ~${qualityReport.wordCount}`);
+  console.log(`Quality gate: ${qualityReport.passed ? 'passed' : `failed (${qualityReport.violations.length} violation(s))`}`);
+  console.log(`Sources: ${sources.length}${uncitedResearchers.length > 0 ? ` (${uncitedResearchers.length} uncited researcher(s) flagged)` : ''}`);
+  return {
+    day: targetDay,
+    slug: topic.slug,
+    status: 'generated',
+    file: `src/content/blog/${topic.slug}.mdx`,
+    date: publishDate,
+    wordCount: qualityReport.wordCount,
+    qualityPassed: qualityReport.passed,
+    internalLinks: post.links.map(l => l.slug),
+    sources: sources.length,
+    uncitedResearchers,
+    distribution: !!distribution,
+    toolboxTalk: toolboxTalk?.file || null,
+    translation: translation.status,
+  };
+}
+
+function createReadyProvider() {
+  const llm = createProvider(undefined, { source: 'daily-generate' });
+  if (llm.credentialError) {
+    throw new Error(`${llm.credentialError} (or set LLM_PROVIDER=fixture to run offline)`);
+  }
+  return llm;
 }
 
-async function generateTldr(anthropic, content, topic) {
-  const response = await anthropic.messages.create({
-    model: CLAUDE_MODEL,
-    max_tokens: 512,
-    system: 'You write TL;DR summaries for a construction safety blog. Write in the same voice as the article — sharp, direct, no jargon, no buzzwords. The summary should capture the core insight and the practical implication in 2-3 sentences. No labels, no "TL;DR:" prefix. Just the summary text.',
-    messages: [{
-      role: 'user',
-      content: `Summarize this article in 2-3 sentences for a busy safety manager or superintendent. Capture the key psychological concept and what it means on the jobsite.\n\nTitle: ${topic.title}\n\n${content}`,
-    }],
+// ---------------------------------------------------------------------------
+// Revise From Editorial Note
+// ---------------------------------------------------------------------------
+
+async function revise(topics, schedule, day) {
+  const entry = schedule.posts?.[day];
+  const topic = topics.find(t => t.day === day);
+  if (!topic || !isGenerated(entry)) {
+    throw new Error(`Day ${day} has no generated post to revise (status: ${entry?.status || 'not generated'})`);
+  }
+  if (!entry.note?.text) {
+    throw new Error(`Day ${day} has no editorial note. Add one in /admin/schedule first.`);
+  }
+
+  const mdxPath = path.join(BLOG_DIR, `${topic.slug}.mdx`);
+  if (!fs.existsSync(mdxPath)) {
+    throw new Error(`${topic.slug}.mdx not found`);
+  }
+
+  const { data, body, eol } = readPost(mdxPath);
+  console.log(`\nRevising day ${day}: ${topic.title} (${entry.status}, v${currentVersion(HISTORY_DIR, topic.slug)})`);
+  console.log(`Editorial note: "${entry.note.text}"`);
+
+  if (DRY_RUN) {
+    console.log('\nDRY RUN: No changes made.');
+    return { day, slug: topic.slug, status: 'would revise' };
+  }
+
+  const llm = createReadyProvider().withContext({ day, slug: topic.slug });
+  const brief = buildRevisionBrief(topic, body, entry.note.text);
+  const run = openRun(RUNS_DIR, `revise-day-${day}`, runKey({ brief }), { fresh: FRESH_RUN });
+  reportResume(run);
+  const { value: { content, qualityReport } } = await run.step('draft', () => {
+    console.log(`\nRevising post (provider: ${llm.name})...`);
+    return generateWithQualityGate(llm, topic, brief);
   });
-  return response.content[0].text.trim();
+
+  // Keep the frontmatter (draft flag, sources, image) and swap the body
+  const sources = data.sources || buildSources(topic);
+  const uncitedResearchers = findUncitedResearchers(content, sources);
+  if (uncitedResearchers.length > 0) {
+    console.log(`Researchers named but not in sources: ${uncitedResearchers.join(', ')}`);
+  }
+
+  validateFrontmatter({ ...data, sources }, mdxPath);
+  const nextText = serializeMdx({ ...data, sources }, `${eol}${content}${eol}`, eol);
+  const record = replacePost(HISTORY_DIR, mdxPath, topic.slug, nextText, { reason: 'revision', note: entry.note.text });
+  console.log(`\nArchived v${record.version} to content-engine/history/${topic.slug}/${record.file}`);
+  console.log(`Saved v${record.version + 1}: src/content/blog/${topic.slug}.mdx`);
+
+  // The old pack, talk and translation follow the old body, so they're all redone
+  const distribution = await writeDistribution(llm, topic, content, run);
+  const toolboxTalk = await writeToolboxTalk(llm, topic, content, run);
+  const translation = await writeTranslation(llm, topic.slug, { ...data, sources }, content, run);
+
+  entry.qualityReport = qualityReport;
+  entry.uncitedResearchers = uncitedResearchers;
+  // One that failed is dropped rather than left describing the old body;
+  // the backfill commands write it again
+  if (distribution) entry.distribution = distribution;
+  else delete entry.distribution;
+  if (toolboxTalk) {
+    entry.toolboxTalk = toolboxTalk;
+  } else {
+    delete entry.toolboxTalk;
+    fs.rmSync(path.join(TOOLBOX_TALKS_DIR, `${topic.slug}.json`), { force: true });
+  }
+  entry.translations = { ...entry.translations, es: translation };
+  entry.revisedAt = new Date().toISOString();
+  entry.note.appliedAt = entry.revisedAt;
+  saveSchedule(schedule);
+  run.complete();
+  console.log('Schedule updated.');
+  return { day, slug: topic.slug, status: 'revised', version: record.version + 1, qualityPassed: qualityReport.passed, uncitedResearchers, distribution: !!distribution, toolboxTalk: toolboxTalk?.file || null, translation: translation.status };
 }
 
-function buildFrontmatter(topic, publishDate, tldr) {
-  // Estimate read time based on format
-  const readTimes = {
-    'deep-dive': '6 min',
-    'field-tip': '3 min',
-    'myth-buster': '4 min',
-    'incident-analysis': '5 min',
-    'research-spotlight': '4 min',
-    'leadership-brief': '4 min',
-  };
+// ---------------------------------------------------------------------------
+// Catch-Up
+// ---------------------------------------------------------------------------
 
-  const readTime = readTimes[topic.format] || '5 min';
+const sleep = seconds => new Promise(resolve => setTimeout(resolve, seconds * 1000));
 
-  // Build tags from pillar + format + keywords
-  const tags = [
-    topic.pillar,
-    topic.format,
-    ...topic.targetKeyword.split(' ').filter(w => w.length > 4).slice(0, 2),
-  ];
+async function catchUp(topics, schedule) {
+  if (!CATCH_UP_POLICIES.includes(CATCH_UP)) {
+    throw new Error(`--catch-up needs a policy: ${CATCH_UP_POLICIES.join(', ')}`);
+  }
 
-  // Generate a proper description from the psychological concept
-  const description = topic.psychologicalConcept.length > 155
-    ? topic.psychologicalConcept.slice(0, 152) + '...'
-    : topic.psychologicalConcept;
+  console.log(`\nCatch-up policy: ${CATCH_UP}${DRY_RUN ? ' (dry run)' : ''}`);
+
+  // Preview runs plan against a copy so nothing is saved
+  const plan = DRY_RUN ? structuredClone(schedule) : schedule;
+  const { missed, moves, shiftedLater, conflicts } = applyCatchUpPolicy(plan, CATCH_UP, topics, { lastDay: lastTopicDay(topics) });
+  if (conflicts.length > 0) {
+    // A day generated ahead keeps its date, so the missed days can't move past it
+    console.log(`\nReslot refused: ${conflicts.length} open day(s) would land on or after a post generated ahead of them:`);
+    conflicts.forEach(c => console.log(`    Day ${String(c.day).padStart(3)}  -> ${c.date}, but day ${c.postDay} is already dated ${c.postDate}`));
+    if (!DRY_RUN) {
+      throw new Error('Reslot would put posts out of order. Use --catch-up backdate or skip instead');
+    }
+    console.log('\nNothing was moved; the summary below shows where reslot would put the missed days.');
+  }
+  if (missed.length === 0) {
+    console.log('No missed days.');
+  } else {
+    console.log(`Missed days: ${formatDayRanges(missed)}`);
+    if (!DRY_RUN) saveSchedule(schedule);
+  }
 
-  let fm = `---
-title: "${topic.title.replace(/"/g, '\\"')}"
-description: "${description.replace(/"/g, '\\"')}"
-date: "${publishDate}"
-tags: ${JSON.stringify([...new Set(tags)])}
-readTime: "${readTime}"
-featured: ${topic.format === 'deep-dive'}
-seoKeywords: ${JSON.stringify([topic.targetKeyword])}
-pillar: "${topic.pillar}"
-format: "${topic.format}"`;
+  // A refused reslot (dry run only; a real run threw above) generates nothing
+  const due = conflicts.length > 0 ? [] : dueDays(plan, lastTopicDay(topics));
+  const queue = due.slice(0, MAX_PER_RUN);
+  console.log(`Due now: ${due.length} day(s)${due.length > queue.length ? `, generating the first ${queue.length} this run (--max ${MAX_PER_RUN})` : ''}`);
+
+  const results = {};
+  if (DRY_RUN) {
+    queue.forEach(day => { results[day] = 'would generate'; });
+  } else if (queue.length > 0) {
+    const llm = createReadyProvider();
+    const pace = llm.name === 'fixture' ? 0 : CATCH_UP_PACE_SECONDS;
+
+    for (const [i, day] of queue.entries()) {
+      if (i > 0 && pace > 0) {
+        console.log(`\nPacing: waiting ${pace}s before the next post...`);
+        await sleep(pace);
+      }
 
-  if (tldr) {
-    fm += `\ntldr: "${tldr.replace(/"/g, '\\"')}"`;
+      try {
+        const { status } = await generateDay(llm, topics, schedule, day);
+        results[day] = status === 'generated' ? 'generated' : 'already exists';
+      } catch (err) {
+        results[day] = `failed: ${err.message}`;
+        // The provider already backed off and retried; a rate limit that
+        // outlasts that won't clear in this run. Finished steps are
+        // checkpointed, so the next run resumes the day where it stopped.
+        if (err.status === 429) {
+          console.log('\nStill rate limited after retries. Stopping; the next catch-up run picks up the rest.');
+          break;
+        }
+      }
+    }
   }
 
-  fm += '\n---';
-  return fm;
+  // Summary of what moved where and what got written
+  console.log('\n  Catch-up summary\n');
+  moves.forEach(m => {
+    const where = m.action === 'skipped' ? `skipped (was ${m.from})`
+      : m.action === 'reslotted' ? `${m.from} -> ${m.to}`
+      : `kept ${m.from}`;
+    console.log(`    Day ${String(m.day).padStart(3)}  ${m.action.padEnd(9)}  ${where.padEnd(26)}  ${m.slug}${results[m.day] ? `  [${results[m.day]}]` : ''}`);
+  });
+  queue.filter(day => !moves.some(m => m.day === day)).forEach(day => {
+    console.log(`    Day ${String(day).padStart(3)}  due        ${getDateForDay(plan, day).padEnd(26)}  ${topics.find(t => t.day === day)?.slug}  [${results[day] || 'not run'}]`);
+  });
+  if (shiftedLater > 0) {
+    console.log(`\n    ${shiftedLater} later open day(s) moved forward behind them.`);
+  }
+  if (due.length > queue.length) {
+    console.log(`\n    ${due.length - queue.length} due day(s) left for the next run.`);
+  }
+  console.log('');
+
+  return {
+    policy: CATCH_UP,
+    missed,
+    moves,
+    conflicts,
+    due: due.length,
+    results,
+    failed: Object.values(results).some(r => r.startsWith('failed')),
+  };
 }
 
 // ---------------------------------------------------------------------------
 // Main
 // ---------------------------------------------------------------------------
 
-async function main() {
+export async function run() {
   console.log('\n  SafetyTAP Daily Content Generator');
   console.log(`  ${new Date().toISOString()}\n`);
 
-  // Load topic bank
-  if (!fs.existsSync(TOPIC_BANK_PATH)) {
-    console.error('ERROR: topic-bank.json not found. Run the topic bank builder first.');
-    process.exit(1);
-  }
-
-  const topics = JSON.parse(fs.readFileSync(TOPIC_BANK_PATH, 'utf-8'));
+  const topics = loadTopicBank();
   console.log(`Topic bank: ${topics.length} topics loaded`);
 
   // Load or initialize schedule
-  const schedule = loadSchedule();
+  const schedule = loadOrStartSchedule();
   console.log(`Schedule start date: ${schedule.startDate}`);
 
-  // Determine which day to generate
-  const targetDay = SPECIFIC_DAY || getNextScheduledDay(schedule);
-
-  if (!targetDay) {
-    console.log('All 180 days have been published. Topic bank is complete.');
-    process.exit(0);
+  if (BACKFILL_LINKS) {
+    return { mode: 'backfill-links', dryRun: DRY_RUN, ...backfillLinks(topics, schedule) };
   }
 
-  const topic = topics.find(t => t.day === targetDay);
-  if (!topic) {
-    console.error(`ERROR: No topic found for day ${targetDay}`);
-    process.exit(1);
+  if (BACKFILL_SOURCES) {
+    return { mode: 'backfill-sources', dryRun: DRY_RUN, ...backfillSources(topics) };
   }
 
-  const publishDate = getDateForDay(schedule, targetDay);
-
-  console.log(`\nGenerating day ${targetDay}/${topics.length}:`);
-  console.log(`  Title:   ${topic.title}`);
-  console.log(`  Pillar:  ${topic.pillar}`);
-  console.log(`  Format:  ${topic.format}`);
-  console.log(`  Date:    ${publishDate}`);
-  console.log(`  Slug:    ${topic.slug}`);
-
-  // Check if already exists
-  const outFile = path.join(BLOG_DIR, `${topic.slug}.mdx`);
-  if (fs.existsSync(outFile)) {
-    console.log(`\nSKIP: ${topic.slug}.mdx already exists`);
-    process.exit(0);
+  if (BACKFILL_DISTRIBUTION) {
+    return { mode: 'backfill-distribution', dryRun: DRY_RUN, ...await backfillDistribution(topics, schedule) };
   }
 
-  if (PREVIEW_MODE) {
-    console.log('\nPREVIEW MODE: Showing topic details without generating.');
-    console.log(`\nResearch refs: ${topic.researchReferences.join(', ')}`);
-    console.log(`SafetyTAP angle: ${topic.safetyTapConnection}`);
-    console.log(`Keyword: ${topic.targetKeyword}`);
-    process.exit(0);
+  if (BACKFILL_TOOLBOX_TALKS) {
+    return { mode: 'backfill-toolbox-talks', dryRun: DRY_RUN, ...await backfillToolboxTalks(topics, schedule) };
   }
 
-  // Load research feed for real-world grounding
-  const feed = loadResearchFeed();
-  const relevantResearch = findRelevantResearch(topic, feed);
+  if (BACKFILL_TRANSLATIONS) {
+    return { mode: 'backfill-translations', dryRun: DRY_RUN, ...await backfillTranslations(schedule) };
+  }
 
-  if (relevantResearch.length > 0) {
-    console.log(`\nResearch integration: ${relevantResearch.length} relevant articles found`);
-    relevantResearch.forEach((item, i) => {
-      console.log(`  ${i + 1}. ${item.title}`);
-    });
-  } else {
-    console.log('\nNo recent research to integrate (generating from topic brief only)');
+  // Approved drafts go live once their date arrives; a dry run (and every
+  // mode after it) only reports which would
+  const promoted = promoteApproved(DRY_RUN ? structuredClone(schedule) : schedule);
+  if (promoted.length > 0) {
+    if (!DRY_RUN) saveSchedule(schedule);
+    console.log(`${DRY_RUN ? 'Would publish' : 'Published'} approved post(s) for day ${promoted.join(', ')}`);
   }
 
-  // Check for editorial notes
-  const editorialNote = schedule.posts?.[targetDay]?.editorialNote || null;
-  if (editorialNote) {
-    console.log(`\nEditorial note found: "${editorialNote}"`);
+  if (REVISE_MODE) {
+    if (!SPECIFIC_DAY) throw new Error('--revise needs --day N');
+    const result = await revise(topics, schedule, SPECIFIC_DAY);
+    console.log('Done.');
+    return { mode: 'revise', promoted, ...result };
   }
 
-  // Generate
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.error('ERROR: ANTHROPIC_API_KEY not set in environment');
-    process.exit(1);
+  if (CATCH_UP !== null) {
+    const result = await catchUp(topics, schedule);
+    console.log(result.failed ? 'Done, with failures.' : 'Done.');
+    if (result.failed) process.exitCode = 1;
+    return { mode: 'catch-up', dryRun: DRY_RUN, promoted, ...result };
   }
 
-  const anthropic = new Anthropic();
-  console.log('\nGenerating post...');
+  // The cadence in schedule.json decides which dates publish; on the rest
+  // the scheduled run has nothing to write. --day still generates.
+  const offDay = SPECIFIC_DAY ? null : nonPublishingReason(schedule, todayUtc());
+  if (offDay) {
+    console.log(`Not a publishing day: ${offDay}. Nothing to generate.`);
+    return { mode: 'daily', promoted, status: 'not-publishing-day', reason: offDay };
+  }
 
-  const content = await generatePost(anthropic, topic, relevantResearch, editorialNote);
+  // Determine which day to generate
+  const targetDay = SPECIFIC_DAY || getNextScheduledDay(schedule, topics);
 
-  console.log('Generating TL;DR summary...');
-  let tldr = '';
-  try {
-    tldr = await generateTldr(anthropic, content, topic);
-    console.log(`TL;DR: ${tldr.slice(0, 80)}...`);
-  } catch (err) {
-    console.log(`TL;DR generation failed (non-fatal): ${err.message}`);
+  if (!targetDay) {
+    console.log(`All ${lastTopicDay(topics)} days in the topic bank have been generated. Run \`content-engine season --count N\` to plan the next season.`);
+    return { mode: 'daily', promoted, status: 'complete' };
   }
 
-  const frontmatter = buildFrontmatter(topic, publishDate, tldr);
-  const fullContent = `${frontmatter}\n\n${content}\n`;
-
-  // Ensure blog directory exists
-  if (!fs.existsSync(BLOG_DIR)) {
-    fs.mkdirSync(BLOG_DIR, { recursive: true });
+  // A season with its own start date waits for it rather than writing
+  // drafts weeks ahead
+  const start = seasonStart(schedule, targetDay);
+  if (!SPECIFIC_DAY && start.date > todayUtc()) {
+    const season = seasonOfDay(loadSeasons(topics), targetDay);
+    console.log(`${season ? seasonLabel(season) : `Day ${targetDay}`} starts on ${start.date}. Nothing to generate yet.`);
+    return { mode: 'daily', promoted, status: 'season-not-started', day: targetDay, startDate: start.date };
   }
 
-  fs.writeFileSync(outFile, fullContent, 'utf-8');
-  console.log(`\nSaved: src/content/blog/${topic.slug}.mdx`);
+  const topic = topics.find(t => t.day === targetDay);
+  if (!topic) throw new Error(`No topic found for day ${targetDay}`);
 
-  // Update schedule (preserve existing notes and image data)
-  if (!schedule.posts) schedule.posts = {};
-  const existing = schedule.posts[targetDay] || {};
-  schedule.posts[targetDay] = {
-    ...existing,
-    slug: topic.slug,
-    title: topic.title,
-    date: publishDate,
-    pillar: topic.pillar,
-    format: topic.format,
-    status: 'published',
-    generatedAt: new Date().toISOString(),
-    hadResearchIntegration: relevantResearch.length > 0,
-    hadEditorialNote: !!editorialNote,
-  };
-  saveSchedule(schedule);
-  console.log('Schedule updated.');
+  if (DRY_RUN) {
+    const date = getDateForDay(schedule, targetDay);
+    console.log(`\nDRY RUN: Day ${targetDay} — ${topic.title} (${date})`);
+    console.log(`\nResearch refs: ${topic.researchReferences.join(', ')}`);
+    console.log(`SafetyTAP angle: ${topic.safetyTapConnection}`);
+    console.log(`Keyword: ${topic.targetKeyword}`);
+    return { mode: 'daily', dryRun: true, promoted, day: targetDay, slug: topic.slug, date, status: 'would generate' };
+  }
 
-  // Summary
-  const wordCount = content.split(/\s+/).length;
-  console.log(`\nWord count: ~${wordCount}`);
+  const llm = createReadyProvider();
+  const result = await generateDay(llm, topics, schedule, targetDay);
+  if (result.status === 'generated') {
+    console.log('Draft awaiting review in /admin/schedule.');
+  }
   console.log('Done.');
+  return { mode: 'daily', promoted, ...result };
 }
-
-main().catch(err => {
-  console.error(`\nFATAL: ${err.message}`);
-  process.exit(1);
-});
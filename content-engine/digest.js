@@ -0,0 +1,117 @@
+// ============================================================================
+// SafetyTAP Weekly Digest
+// ============================================================================
+//
+// Builds the email digest of posts that went live in a date window (see
+// lib/digest.js) and writes it to content-engine/outbox/ as HTML and plain
+// text. With --send it also hands the digest to the SMTP server configured
+// in the environment:
+//
+//   SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ("true" for port 465),
+//   SMTP_USER, SMTP_PASS (optional, for servers that need auth),
+//   DIGEST_FROM, DIGEST_TO (comma-separated, or pass --to)
+//
+// A local catcher such as Mailpit (SMTP_HOST=localhost SMTP_PORT=1025) is
+// enough to check what a send looks like.
+//
+// Usage (via the content-engine CLI, `npm run digest -- ...`):
+//   content-engine digest                          # The last 7 days, ending today
+//   content-engine digest --days 14                # The last 14 days
+//   content-engine digest --since 2026-03-01 --until 2026-03-07
+//   content-engine digest --send                   # Write, then send to DIGEST_TO
+//   content-engine digest --send --to me@example.com
+//   content-engine digest --dry-run                # List the posts, write nothing
+//   content-engine digest --json                   # Print the result as JSON
+//
+// ============================================================================
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { collectDigestPosts, digestSubject, renderDigestHtml, renderDigestText } from './lib/digest.js';
+import { addDays, todayUtc } from './lib/schedule-dates.js';
+import { scheduleExists, loadSchedule } from './lib/schedule-store.js';
+import { COMMON, hasFlag, intOption, optionValue } from './lib/args.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BLOG_DIR = path.join(__dirname, '..', 'src', 'content', 'blog');
+const OUTBOX_DIR = path.join(__dirname, 'outbox');
+
+const DRY_RUN = COMMON.dryRun;
+const SEND = hasFlag('--send');
+const DAYS = intOption('--days', 7);
+const UNTIL = optionValue('--until', todayUtc());
+const SINCE = optionValue('--since', addDays(UNTIL, -(DAYS - 1)));
+const TO = optionValue('--to', process.env.DIGEST_TO || '');
+
+// ---------------------------------------------------------------------------
+// SMTP
+// ---------------------------------------------------------------------------
+
+async function sendDigest({ subject, html, text }) {
+  const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, DIGEST_FROM } = process.env;
+  if (!SMTP_HOST) throw new Error('SMTP_HOST not set in environment');
+  if (!DIGEST_FROM) throw new Error('DIGEST_FROM not set in environment');
+  if (!TO) throw new Error('No recipients: set DIGEST_TO or pass --to');
+
+  // Loaded here so the other commands don't need the SMTP client
+  const { default: nodemailer } = await import('nodemailer');
+  const transport = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: parseInt(SMTP_PORT || '587', 10),
+    secure: SMTP_SECURE === 'true',
+    ...(SMTP_USER ? { auth: { user: SMTP_USER, pass: SMTP_PASS } } : {}),
+  });
+
+  const info = await transport.sendMail({ from: DIGEST_FROM, to: TO, subject, html, text });
+  return { messageId: info.messageId, accepted: info.accepted, rejected: info.rejected };
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+export async function run() {
+  console.log('\n  SafetyTAP Weekly Digest\n');
+
+  if (SINCE > UNTIL) throw new Error(`--since ${SINCE} is after --until ${UNTIL}`);
+
+  const schedule = scheduleExists() ? loadSchedule() : { posts: {} };
+  const window = { since: SINCE, until: UNTIL };
+  const posts = collectDigestPosts(BLOG_DIR, schedule, { ...window, today: todayUtc() });
+
+  console.log(`Window: ${SINCE} to ${UNTIL}`);
+  console.log(`Posts: ${posts.length}`);
+  posts.forEach(p => console.log(`  ${p.date}  ${p.slug}${p.heroImage ? '' : '  (no hero image)'}`));
+
+  const result = { since: SINCE, until: UNTIL, posts: posts.map(p => ({ slug: p.slug, day: p.day, date: p.date, url: p.url })) };
+
+  if (posts.length === 0) {
+    console.log('\nNothing went live in this window. No digest written.');
+    return { ...result, status: 'empty' };
+  }
+
+  const subject = digestSubject(posts, window);
+  if (DRY_RUN) {
+    console.log(`\nDRY RUN: would write "${subject}"${SEND ? ` and send it to ${TO || '(no recipients)'}` : ''}`);
+    return { ...result, subject, status: 'would write' };
+  }
+
+  const html = renderDigestHtml(posts, window);
+  const text = renderDigestText(posts, window);
+  const base = `digest-${SINCE}_${UNTIL}`;
+  fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+  fs.writeFileSync(path.join(OUTBOX_DIR, `${base}.html`), html, 'utf-8');
+  fs.writeFileSync(path.join(OUTBOX_DIR, `${base}.txt`), text, 'utf-8');
+  console.log(`\nWrote content-engine/outbox/${base}.html and .txt`);
+  console.log(`Subject: ${subject}`);
+
+  const files = { html: `content-engine/outbox/${base}.html`, text: `content-engine/outbox/${base}.txt` };
+  if (!SEND) return { ...result, subject, files, status: 'written' };
+
+  console.log(`\nSending to ${TO} via ${process.env.SMTP_HOST || '(no SMTP_HOST)'}...`);
+  const sent = await sendDigest({ subject, html, text });
+  console.log(`Sent: ${sent.messageId}${sent.rejected?.length ? ` (rejected: ${sent.rejected.join(', ')})` : ''}`);
+  return { ...result, subject, files, status: 'sent', sent };
+}
@@ -0,0 +1,97 @@
+// ============================================================================
+// SafetyTAP Schedule Doctor
+// ============================================================================
+//
+// Reports where schedule.json, topic-bank.json, the blog's MDX files and
+// public/images/blog disagree (see lib/doctor.js for the checks): orphan
+// posts, schedule entries without files, heroImage paths to missing files,
+// slug, title and date mismatches, and drafts whose flag doesn't match
+// their review status. --fix makes every repair that is safe and lists what
+// is left for a person to decide.
+//
+// Usage (via the content-engine CLI, `npm run schedule:doctor -- ...`):
+//   content-engine doctor                 # Report every issue and its fix
+//   content-engine doctor --fix           # Repair what can be repaired safely
+//   content-engine doctor --day 42        # Only issues for day 42
+//   content-engine doctor --strict        # Exit 1 if any issue is left
+//   content-engine doctor --json
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { CHECKS, diagnose } from './lib/doctor.js';
+import { scheduleExists, loadSchedule, newSchedule, saveSchedule } from './lib/schedule-store.js';
+import { loadTopicBank, loadAdhocTopics, ADHOC_TOPICS_PATH } from './lib/topics.js';
+import { todayUtc } from './lib/schedule-dates.js';
+import { COMMON, hasFlag } from './lib/args.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BLOG_DIR = path.join(__dirname, '..', 'src', 'content', 'blog');
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const IMAGES_DIR = path.join(PUBLIC_DIR, 'images', 'blog');
+
+const FIX = hasFlag('--fix');
+const STRICT = hasFlag('--strict');
+
+function printIssues(issues, label) {
+  Object.keys(CHECKS).forEach(check => {
+    const ofCheck = issues.filter(i => i.check === check);
+    if (ofCheck.length === 0) return;
+    console.log(`\n  ${CHECKS[check]} (${check}): ${ofCheck.length}`);
+    ofCheck.forEach(issue => {
+      console.log(`    - ${issue.message}`);
+      if (issue.fix) console.log(`      ${label}: ${issue.fix}`);
+    });
+  });
+}
+
+export async function run() {
+  console.log('\n  SafetyTAP Schedule Doctor');
+  if (FIX) console.log('  MODE: FIX');
+  console.log('');
+
+  const topics = loadTopicBank();
+  const schedule = scheduleExists() ? loadSchedule() : newSchedule(todayUtc());
+  const all = diagnose({
+    schedule,
+    topics,
+    adhocTopics: fs.existsSync(ADHOC_TOPICS_PATH) ? loadAdhocTopics() : [],
+    blogDir: BLOG_DIR,
+    imagesDir: IMAGES_DIR,
+    publicDir: PUBLIC_DIR,
+    today: todayUtc(),
+  });
+  const issues = COMMON.day ? all.filter(i => i.day === COMMON.day) : all;
+
+  console.log(`Checked ${Object.keys(schedule.posts).length} schedule entries, ${topics.length} topics, the posts in src/content/blog and the images in public/images/blog.`);
+
+  if (issues.length === 0) {
+    console.log(`\nNo issues${COMMON.day ? ` for day ${COMMON.day}` : ''}.\n`);
+    return { fix: FIX, issues: [], fixed: 0, remaining: 0 };
+  }
+
+  const fixable = issues.filter(i => i.fix);
+  printIssues(issues, FIX ? 'Fixed' : 'Fix');
+
+  const remaining = FIX ? issues.length - fixable.length : issues.length;
+  if (FIX) {
+    if (fixable.length > 0) {
+      fixable.forEach(issue => issue.apply());
+      saveSchedule(schedule);
+    }
+    console.log(`\nFixed ${fixable.length} issue(s); ${remaining} left to fix by hand.`);
+  } else {
+    console.log(`\n${issues.length} issue(s), ${fixable.length} fixable with --fix.`);
+  }
+  if (STRICT && remaining > 0) process.exitCode = 1;
+  console.log('');
+
+  return {
+    fix: FIX,
+    issues: issues.map(({ apply, ...issue }) => ({ ...issue, fixed: FIX && !!apply })),
+    fixed: FIX ? fixable.length : 0,
+    remaining,
+  };
+}
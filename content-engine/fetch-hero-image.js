@@ -4,14 +4,16 @@
 //
 // Fetches stock photos from Pexels for blog posts missing hero images.
 // Downloads, processes with sharp (1200x630 JPEG), updates MDX frontmatter
-// and schedule.json. Never overwrites manually uploaded images.
+// and schedule.json. Never overwrites manually uploaded images. Drafts get
+// images too, so editors review the post the way it will go live.
 //
-// Usage:
-//   node content-engine/fetch-hero-image.js                  # Latest post missing an image
-//   node content-engine/fetch-hero-image.js --day 3          # Specific day
-//   node content-engine/fetch-hero-image.js --backfill       # All posts missing images
-//   node content-engine/fetch-hero-image.js --replace-pexels # Re-fetch all pexels images (not manual)
-//   node content-engine/fetch-hero-image.js --dry-run        # Show search queries, don't fetch
+// Usage (via the content-engine CLI, `npm run hero-image -- ...`):
+//   content-engine images                  # Latest post missing an image
+//   content-engine images --day 3          # Specific day
+//   content-engine images --backfill       # All posts missing images
+//   content-engine images --replace-pexels # Re-fetch all pexels images (not manual)
+//   content-engine images --dry-run        # Show search queries, don't fetch
+//   content-engine images --json           # Print which days got images as JSON
 //
 // ============================================================================
 
@@ -20,10 +22,15 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import sharp from 'sharp';
+import { isGenerated } from './lib/post-status.js';
+import { readPost, updateFrontmatter } from './lib/frontmatter.js';
+import { loadTopicBank } from './lib/topics.js';
+import { withRetry } from './lib/retry.js';
+import { COMMON, hasFlag } from './lib/args.js';
+import { scheduleExists, loadSchedule, newSchedule, updateSchedule } from './lib/schedule-store.js';
+import { todayUtc } from './lib/schedule-dates.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const SCHEDULE_PATH = path.join(__dirname, 'schedule.json');
-const TOPIC_BANK_PATH = path.join(__dirname, 'topic-bank.json');
 const BLOG_DIR = path.join(__dirname, '..', 'src', 'content', 'blog');
 const IMAGES_DIR = path.join(__dirname, '..', 'public', 'images', 'blog');
 
@@ -31,13 +38,10 @@ const HERO_WIDTH = 1200;
 const HERO_HEIGHT = 630;
 const QUALITY = 85;
 
-const DRY_RUN = process.argv.includes('--dry-run');
-const BACKFILL = process.argv.includes('--backfill');
-const REPLACE_PEXELS = process.argv.includes('--replace-pexels');
-const SPECIFIC_DAY = (() => {
-  const idx = process.argv.indexOf('--day');
-  return idx !== -1 ? parseInt(process.argv[idx + 1], 10) : null;
-})();
+const DRY_RUN = COMMON.dryRun;
+const BACKFILL = hasFlag('--backfill');
+const REPLACE_PEXELS = hasFlag('--replace-pexels');
+const SPECIFIC_DAY = COMMON.day;
 
 // ---------------------------------------------------------------------------
 // Pillar → Search Terms (tier 1 prefix for Pexels queries)
@@ -63,26 +67,35 @@ const GENERIC_FALLBACK = 'construction site workers hard hats building';
 // Pexels API
 // ---------------------------------------------------------------------------
 
+// Carries the status and headers so withRetry can tell a 429/5xx from a 4xx
+function httpError(message, res) {
+  return Object.assign(new Error(message), { status: res.status, headers: res.headers });
+}
+
 async function searchPexels(query, apiKey) {
   const url = `https://api.pexels.com/v1/search?query=${encodeURIComponent(query)}&per_page=5&orientation=landscape`;
-  const res = await fetch(url, {
-    headers: { Authorization: apiKey },
-  });
+  const data = await withRetry(async () => {
+    const res = await fetch(url, {
+      headers: { Authorization: apiKey },
+    });
 
-  if (!res.ok) {
-    throw new Error(`Pexels API error: ${res.status} ${res.statusText}`);
-  }
+    if (!res.ok) {
+      throw httpError(`Pexels API error: ${res.status} ${res.statusText}`, res);
+    }
+    return res.json();
+  }, { label: 'Pexels search' });
 
-  const data = await res.json();
   return data.photos || [];
 }
 
 async function downloadImage(url) {
-  const res = await fetch(url);
-  if (!res.ok) {
-    throw new Error(`Image download failed: ${res.status}`);
-  }
-  return Buffer.from(await res.arrayBuffer());
+  return withRetry(async () => {
+    const res = await fetch(url);
+    if (!res.ok) {
+      throw httpError(`Image download failed: ${res.status}`, res);
+    }
+    return Buffer.from(await res.arrayBuffer());
+  }, { label: 'Image download' });
 }
 
 // ---------------------------------------------------------------------------
@@ -162,28 +175,7 @@ function updateMdxFrontmatter(slug, imagePath, credit) {
     return;
   }
 
-  let content = fs.readFileSync(mdxPath, 'utf-8');
-
-  // Add or replace heroImage
-  if (content.includes('heroImage:')) {
-    content = content.replace(/heroImage:.*\r?\n/, `heroImage: "${imagePath}"\n`);
-  } else {
-    // Insert before closing --- (handle both \r\n and \n line endings)
-    content = content.replace(/---\r?\n\r?\n/, `heroImage: "${imagePath}"\n---\n\n`);
-  }
-
-  // Add or replace imageCredit
-  if (content.includes('imageCredit:')) {
-    content = content.replace(/imageCredit:.*\r?\n/, `imageCredit: "${credit}"\n`);
-  } else {
-    // Insert after heroImage line
-    content = content.replace(
-      `heroImage: "${imagePath}"\n`,
-      `heroImage: "${imagePath}"\nimageCredit: "${credit}"\n`
-    );
-  }
-
-  fs.writeFileSync(mdxPath, content, 'utf-8');
+  updateFrontmatter(mdxPath, { heroImage: imagePath, imageCredit: credit });
   console.log(`  Updated: src/content/blog/${slug}.mdx`);
 }
 
@@ -191,16 +183,13 @@ function updateMdxFrontmatter(slug, imagePath, credit) {
 // Schedule Update
 // ---------------------------------------------------------------------------
 
-function updateSchedule(schedule, day, imagePath, photographer, imageSource) {
-  if (!schedule.posts) schedule.posts = {};
-  if (!schedule.posts[day]) schedule.posts[day] = {};
-
-  schedule.posts[day].heroImage = imagePath;
-  schedule.posts[day].imageSource = imageSource;
-  schedule.posts[day].imagePhotographer = photographer;
-  schedule.posts[day].imageFetchedAt = new Date().toISOString();
-
-  fs.writeFileSync(SCHEDULE_PATH, JSON.stringify(schedule, null, 2), 'utf-8');
+// Written against the latest schedule.json, so a note saved in the admin
+// while the photo downloaded is kept
+function recordImage(day, imagePath, photographer) {
+  updateSchedule(schedule => {
+    if (!schedule.posts[day]) schedule.posts[day] = {};
+    schedule.posts[day].image = { path: imagePath, source: 'pexels', photographer, fetchedAt: new Date().toISOString() };
+  });
 }
 
 // ---------------------------------------------------------------------------
@@ -212,18 +201,18 @@ function shouldSkip(day, schedule, topics) {
   const topic = topics.find(t => t.day === day);
 
   if (!topic) return { skip: true, reason: 'no topic in bank' };
-  if (!post || post.status !== 'published') return { skip: true, reason: 'not published' };
+  if (!isGenerated(post)) return { skip: true, reason: 'not generated yet' };
 
   // Manual uploads are ALWAYS protected — never overwrite Travis's photos
-  if (post.imageUploadedAt) return { skip: true, reason: 'manual image uploaded' };
+  if (post.image?.source === 'upload') return { skip: true, reason: 'manual image uploaded' };
 
   // --replace-pexels: allow re-fetching pexels-sourced images
-  if (REPLACE_PEXELS && post.imageSource === 'pexels') {
+  if (REPLACE_PEXELS && post.image?.source === 'pexels') {
     return { skip: false }; // will overwrite
   }
 
   // Check schedule.json for existing pexels image
-  if (post.imageSource === 'pexels') return { skip: true, reason: 'pexels image already fetched' };
+  if (post.image?.source === 'pexels') return { skip: true, reason: 'pexels image already fetched' };
 
   // Check if image file exists on disk
   const imagePath = path.join(IMAGES_DIR, `${topic.slug}.jpg`);
@@ -231,9 +220,8 @@ function shouldSkip(day, schedule, topics) {
 
   // Check MDX frontmatter for heroImage
   const mdxPath = path.join(BLOG_DIR, `${topic.slug}.mdx`);
-  if (fs.existsSync(mdxPath)) {
-    const content = fs.readFileSync(mdxPath, 'utf-8');
-    if (content.includes('heroImage:')) return { skip: true, reason: 'heroImage in frontmatter' };
+  if (fs.existsSync(mdxPath) && readPost(mdxPath).data.heroImage) {
+    return { skip: true, reason: 'heroImage in frontmatter' };
   }
 
   return { skip: false };
@@ -294,8 +282,8 @@ async function processDay(day, schedule, topics, apiKey) {
   updateMdxFrontmatter(topic.slug, imagePath, credit);
 
   // Update schedule
-  updateSchedule(schedule, day, imagePath, photographer, 'pexels');
-  console.log(`  Schedule updated (imageSource: pexels)`);
+  recordImage(day, imagePath, photographer);
+  console.log(`  Schedule updated (image source: pexels)`);
 
   return true;
 }
@@ -304,26 +292,18 @@ async function processDay(day, schedule, topics, apiKey) {
 // Main
 // ---------------------------------------------------------------------------
 
-async function main() {
+export async function run() {
   console.log('\n  SafetyTAP Hero Image Fetcher');
   console.log(`  ${new Date().toISOString()}\n`);
 
   // Validate API key (not needed for dry-run)
   const apiKey = process.env.PEXELS_API_KEY;
   if (!apiKey && !DRY_RUN) {
-    console.error('ERROR: PEXELS_API_KEY not set in environment');
-    console.error('Get a free API key at https://www.pexels.com/api/');
-    process.exit(1);
-  }
-
-  // Load data
-  if (!fs.existsSync(TOPIC_BANK_PATH)) {
-    console.error('ERROR: topic-bank.json not found');
-    process.exit(1);
+    throw new Error('PEXELS_API_KEY not set in environment. Get a free API key at https://www.pexels.com/api/');
   }
 
-  const topics = JSON.parse(fs.readFileSync(TOPIC_BANK_PATH, 'utf-8'));
-  const schedule = loadSchedule();
+  const topics = loadTopicBank();
+  const schedule = loadOrEmptySchedule();
 
   console.log(`Topic bank: ${topics.length} topics`);
   console.log(`Schedule start: ${schedule.startDate}`);
@@ -337,24 +317,24 @@ async function main() {
   if (SPECIFIC_DAY) {
     days = [SPECIFIC_DAY];
   } else if (REPLACE_PEXELS || BACKFILL) {
-    // All published days missing images
+    // All generated days (drafts included) missing images
     const posts = schedule.posts || {};
     for (const [dayStr, post] of Object.entries(posts)) {
-      if (post.status === 'published') {
+      if (isGenerated(post)) {
         days.push(parseInt(dayStr, 10));
       }
     }
     days.sort((a, b) => a - b);
-    console.log(`Backfill mode: checking ${days.length} published posts`);
+    console.log(`Backfill mode: checking ${days.length} generated posts`);
   } else {
-    // Auto-detect: latest published post without an image
+    // Auto-detect: latest generated post without an image
     const posts = schedule.posts || {};
-    const publishedDays = Object.entries(posts)
-      .filter(([, p]) => p.status === 'published')
+    const generatedDays = Object.entries(posts)
+      .filter(([, p]) => isGenerated(p))
       .map(([d]) => parseInt(d, 10))
       .sort((a, b) => b - a); // newest first
 
-    for (const day of publishedDays) {
+    for (const day of generatedDays) {
       const { skip } = shouldSkip(day, schedule, topics);
       if (!skip) {
         days = [day];
@@ -363,38 +343,31 @@ async function main() {
     }
 
     if (days.length === 0) {
-      console.log('All published posts already have hero images.');
-      process.exit(0);
+      console.log('All generated posts already have hero images.');
+      return { dryRun: DRY_RUN, fetched: [], skipped: 0 };
     }
   }
 
   // Process each day
-  let fetched = 0;
+  const fetched = [];
   let skipped = 0;
 
   for (const day of days) {
     // Reload schedule each iteration (it gets written to disk between days)
-    const currentSchedule = loadSchedule();
+    const currentSchedule = loadOrEmptySchedule();
     const success = await processDay(day, currentSchedule, topics, apiKey);
-    if (success) fetched++;
+    if (success) fetched.push(day);
     else skipped++;
   }
 
   // Summary
   console.log(`\n--- Summary ---`);
-  console.log(`Processed: ${fetched} image(s) ${DRY_RUN ? '(dry run)' : 'fetched'}`);
+  console.log(`Processed: ${fetched.length} image(s) ${DRY_RUN ? '(dry run)' : 'fetched'}`);
   if (skipped > 0) console.log(`Skipped: ${skipped}`);
   console.log('Done.\n');
+  return { dryRun: DRY_RUN, fetched, skipped };
 }
 
-function loadSchedule() {
-  if (fs.existsSync(SCHEDULE_PATH)) {
-    return JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8'));
-  }
-  return { startDate: new Date().toISOString().split('T')[0], posts: {} };
+function loadOrEmptySchedule() {
+  return scheduleExists() ? loadSchedule() : newSchedule(todayUtc());
 }
-
-main().catch(err => {
-  console.error(`\nFATAL: ${err.message}`);
-  process.exit(1);
-});
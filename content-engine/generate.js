@@ -1,130 +1,144 @@
+// ============================================================================
+// SafetyTAP Ad-Hoc Post Generator
+// ============================================================================
+//
+// Generates posts for topics outside the schedule — the foundational topics
+// in topics.json, or any topic file — through the same pipeline as the daily
+// run: research integration, quality gate, internal links, TL;DR, sources
+// and the toolbox-talk handout. Topics only need a title, targetKeyword,
+// psychologicalConcept and constructionFraming; see lib/topics.js for the
+// defaults.
+//
+// Posts are written as drafts dated today. They have no schedule day, so
+// they don't show in /admin/schedule: review the file, then remove
+// `draft: true` (or generate with --publish to skip review).
+//
+// Usage (via the content-engine CLI, `npm run generate -- ...`):
+//   content-engine generate                        # List the topics in topics.json
+//   content-engine generate <slug>                 # Generate one topic
+//   content-engine generate --all                  # Generate every topic without a post
+//   content-engine generate --file my-topics.json  # Topics from another file (one topic or an array)
+//   content-engine generate <slug> --date 2026-11-02  # Publish date (default today)
+//   content-engine generate <slug> --publish       # Write it live instead of as a draft
+//   content-engine generate <slug> --dry-run       # Show the topic as the pipeline sees it
+//   content-engine generate <slug> --fresh         # Ignore checkpoints from an earlier failed run
+//   content-engine generate --json                 # Print the result as JSON
+//
+// ============================================================================
+
 import 'dotenv/config';
-import Anthropic from '@anthropic-ai/sdk';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { createProvider } from './lib/llm.js';
+import { writePost } from './lib/frontmatter.js';
+import { loadPosts, linkablePosts } from './lib/internal-links.js';
+import { draftPost, buildFrontmatter } from './lib/pipeline.js';
+import { writeToolboxTalk } from './lib/toolbox-talk.js';
+import { openRun, runKey } from './lib/checkpoint.js';
+import { loadAdhocTopics, loadTopicBank, ADHOC_TOPICS_PATH } from './lib/topics.js';
+import { todayUtc } from './lib/schedule-dates.js';
+import { COMMON, hasFlag, optionValue, positionals } from './lib/args.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const anthropic = new Anthropic();
-
-// The content generation system prompt from CONTENT_STRATEGY.md
-const SYSTEM_PROMPT = `You are writing a blog post for SafetyTAP, a construction safety technology company that builds tools to develop hazard recognition skills in field workers. The blog targets safety managers, superintendents, and construction professionals.
-
-WRITING RULES:
-- Write like a sharp construction professional who understands the psychology. Not an academic, not a marketer.
-- Every psychological concept MUST be explained through a specific construction example. If you can't illustrate it on a jobsite, cut it.
-- Short paragraphs (2-4 sentences max). No walls of text.
-- Use subheadings to break up the content, but make them interesting — not "Introduction" or "Conclusion."
-- No bullet points or numbered lists in the body. Write in prose.
-- No marketing buzzwords. No "revolutionary" or "game-changing."
-- No corporate safety clichés. No "safety is our #1 priority."
-- No exclamation marks.
-- Cite research by describing the finding in plain language. Include the researcher's name and a brief description of the study. Do not use academic citation format.
-- The first paragraph must hook the reader with a specific, recognizable scenario — not a statistic or a definition.
-- SafetyTAP may be mentioned in the final section as a natural extension of the concepts discussed, but the post must provide genuine value even if the reader never uses the product. The post educates; it does not sell.
-- Target length is specified in the brief. Stay within 10% of the target.
-- End with a thought-provoking statement or question, not a sales pitch.
-
-STRUCTURE:
-1. Opening hook — A specific, vivid construction scenario that illustrates the concept (2-3 sentences)
-2. The concept — What the psychological principle is, explained in plain language with the construction context
-3. The science — The research behind it, translated for a construction audience
-4. The field reality — How this plays out on real jobsites, with specific examples across trades
-5. The implication — What this means for safety culture, training, or leadership
-6. The path forward — How to address the concept practically (SafetyTAP may appear here naturally, never forcefully)
-
-FORMAT:
-- Output as clean markdown (no frontmatter — that gets added separately)
-- Use ## for section headings
-- Do not include the title as an H1 — that's handled by the template`;
+const BLOG_DIR = path.join(__dirname, '..', 'src', 'content', 'blog');
+const RUNS_DIR = path.join(__dirname, 'runs');
 
-async function generatePost(topic) {
-  const brief = `Write a blog post based on this brief:
+const DRY_RUN = COMMON.dryRun;
+const ALL = hasFlag('--all');
+const PUBLISH = hasFlag('--publish');
+const FRESH_RUN = hasFlag('--fresh');
+const TOPIC_FILE = optionValue('--file') ? path.resolve(optionValue('--file')) : ADHOC_TOPICS_PATH;
+const PUBLISH_DATE = optionValue('--date') || todayUtc();
 
-Title: ${topic.title}
-Target Keyword: ${topic.targetKeyword}
-Psychological Concept: ${topic.psychologicalConcept}
-Construction Framing: ${topic.constructionFraming}
-Research References: ${topic.researchReferences.join(', ')}
-SafetyTAP Connection: ${topic.safetyTapConnection}
-Target Length: ${topic.targetLength}
-Tone: ${topic.tone}
+async function generateOne(provider, topic, topicBank) {
+  const outFile = path.join(BLOG_DIR, `${topic.slug}.mdx`);
 
-Write the post now.`;
-
-  const response = await anthropic.messages.create({
-    model: 'claude-sonnet-4-5-20250929',
-    max_tokens: 4096,
-    system: SYSTEM_PROMPT,
-    messages: [{ role: 'user', content: brief }],
-  });
+  if (fs.existsSync(outFile)) {
+    console.log(`SKIP: ${topic.slug} (already exists)`);
+    return { slug: topic.slug, status: 'exists' };
+  }
 
-  return response.content[0].text;
-}
+  console.log(`\nGenerating: ${topic.title}`);
+  console.log(`  Format:  ${topic.format}${topic.pillar ? ` (${topic.pillar})` : ''}`);
+  console.log(`  Length:  ${topic.targetLength}`);
+  console.log(`  Date:    ${PUBLISH_DATE}${PUBLISH ? '' : ' (draft)'}`);
 
-function buildFrontmatter(topic) {
-  const today = new Date().toISOString().split('T')[0];
-  // Estimate read time: ~200 words per minute, target ~1000 words
-  const readTime = '6 min';
+  if (DRY_RUN) {
+    console.log(`  Keyword: ${topic.targetKeyword}`);
+    console.log(`  Refs:    ${topic.researchReferences.join(', ') || '(none)'}`);
+    return { slug: topic.slug, status: 'would generate', topic };
+  }
 
-  return `---
-title: "${topic.title}"
-description: "${topic.psychologicalConcept.split(' — ')[1] || topic.psychologicalConcept}"
-date: "${today}"
-tags: ${JSON.stringify(topic.targetKeyword.split(' ').slice(0, 3))}
-readTime: "${readTime}"
-featured: true
-seoKeywords: ${JSON.stringify([topic.targetKeyword])}
----`;
+  const llm = provider.withContext({ slug: topic.slug });
+  const run = openRun(RUNS_DIR, `adhoc-${topic.slug}`, runKey({ topic }), { fresh: FRESH_RUN });
+  const linkTargets = linkablePosts(loadPosts(BLOG_DIR, topicBank));
+  const post = await draftPost(llm, topic, { run, linkTargets });
+
+  fs.mkdirSync(BLOG_DIR, { recursive: true });
+  const frontmatter = buildFrontmatter(topic, PUBLISH_DATE, { tldr: post.tldr, sources: post.sources, draft: !PUBLISH });
+  writePost(outFile, frontmatter, `\n${post.content}\n`);
+  console.log(`  Saved${PUBLISH ? '' : ' draft'}: src/content/blog/${topic.slug}.mdx`);
+  const toolboxTalk = await writeToolboxTalk(llm, topic, post.content, run);
+  run.complete();
+
+  return {
+    slug: topic.slug,
+    status: 'generated',
+    file: `src/content/blog/${topic.slug}.mdx`,
+    date: PUBLISH_DATE,
+    draft: !PUBLISH,
+    wordCount: post.qualityReport.wordCount,
+    qualityPassed: post.qualityReport.passed,
+    internalLinks: post.links.map(l => l.slug),
+    sources: post.sources.length,
+    uncitedResearchers: post.uncitedResearchers,
+    toolboxTalk: toolboxTalk?.file || null,
+  };
 }
 
-async function main() {
-  const topicsPath = path.join(__dirname, 'topics.json');
-  const topics = JSON.parse(fs.readFileSync(topicsPath, 'utf-8'));
-  const outputDir = path.join(__dirname, '..', 'src', 'content', 'blog');
-
-  // Check which topic to generate
-  const slugArg = process.argv[2];
+export async function run() {
+  const topics = loadAdhocTopics(TOPIC_FILE);
+  const topicBank = loadTopicBank();
+  const [slugArg] = positionals();
 
-  if (slugArg === '--all') {
-    console.log(`Generating all ${topics.length} posts...\n`);
-    for (const topic of topics) {
-      await generateOne(topic, outputDir);
-    }
-    console.log('\nAll posts generated.');
+  let selected;
+  if (ALL) {
+    selected = topics;
   } else if (slugArg) {
     const topic = topics.find(t => t.slug === slugArg);
     if (!topic) {
-      console.error(`Topic not found: ${slugArg}`);
-      console.log('Available slugs:');
-      topics.forEach(t => console.log(`  ${t.slug}`));
-      process.exit(1);
+      const scheduled = topicBank.find(t => t.slug === slugArg);
+      throw new Error(scheduled
+        ? `${slugArg} is scheduled for day ${scheduled.day}. Use: content-engine daily --day ${scheduled.day}`
+        : `Topic not found in ${path.relative(process.cwd(), TOPIC_FILE)}: ${slugArg}`);
     }
-    await generateOne(topic, outputDir);
+    selected = [topic];
   } else {
     console.log('Usage:');
     console.log('  npm run generate -- <slug>    Generate one post');
     console.log('  npm run generate -- --all     Generate all posts');
-    console.log('\nAvailable topics:');
+    console.log(`\nAvailable topics (${path.relative(process.cwd(), TOPIC_FILE)}):`);
     topics.forEach((t, i) => console.log(`  ${i + 1}. ${t.slug} — "${t.title}"`));
+    return { topics: topics.map(t => ({ slug: t.slug, title: t.title, format: t.format, exists: fs.existsSync(path.join(BLOG_DIR, `${t.slug}.mdx`)) })) };
   }
-}
-
-async function generateOne(topic, outputDir) {
-  const outFile = path.join(outputDir, `${topic.slug}.mdx`);
 
-  if (fs.existsSync(outFile)) {
-    console.log(`SKIP: ${topic.slug} (already exists)`);
-    return;
+  // Scheduled topics belong to the daily run, which tracks them in schedule.json
+  const clash = selected.find(t => topicBank.some(b => b.slug === t.slug));
+  if (clash) {
+    throw new Error(`${clash.slug} is also in the topic bank. Generate it with content-engine daily, or give the ad-hoc topic its own slug.`);
   }
 
-  console.log(`Generating: ${topic.title}...`);
-  const content = await generatePost(topic);
-  const frontmatter = buildFrontmatter(topic);
-  const fullContent = `${frontmatter}\n\n${content}\n`;
+  const provider = createProvider(undefined, { source: 'generate' });
+  if (!DRY_RUN && provider.credentialError) {
+    throw new Error(`${provider.credentialError} (or set LLM_PROVIDER=fixture to run offline)`);
+  }
 
-  fs.writeFileSync(outFile, fullContent, 'utf-8');
-  console.log(`  Saved: src/content/blog/${topic.slug}.mdx`);
+  if (selected.length > 1) console.log(`Generating ${selected.length} posts...`);
+  const results = [];
+  for (const topic of selected) {
+    results.push(await generateOne(provider, topic, topicBank));
+  }
+  console.log('\nDone.');
+  return { results };
 }
-
-main().catch(console.error);
@@ -2,106 +2,218 @@
 // SafetyTAP Schedule Initializer
 // ============================================================================
 //
-// Initializes or resets the content schedule. Sets a start date and maps
-// each topic day to a calendar date.
+// Creates the content schedule, reports on it season by season, and sets
+// its publishing cadence: which weekdays publish, blackout dates, and
+// pauses. Days map to dates through lib/schedule-dates.js.
 //
-// Usage:
-//   node content-engine/init-schedule.js                    # Start from today
-//   node content-engine/init-schedule.js --start 2026-03-01 # Start from specific date
-//   node content-engine/init-schedule.js --status           # Show current schedule status
+// Seasons come from seasons.json (lib/topics.js). `init` only creates a
+// schedule; once one exists it dates a season instead, so published
+// history is never replaced.
+//
+// Usage (via the content-engine CLI, `npm run schedule` / `npm run schedule:init`):
+//   content-engine schedule                               # Show current schedule status
+//   content-engine schedule --json                        # Status as JSON
+//   content-engine schedule status --season 2             # Status of one season
+//   content-engine schedule init                          # Create the schedule, starting today
+//   content-engine schedule init --start 2026-03-01       # Create it starting on a specific date
+//   content-engine schedule init --dry-run                # Show the new schedule without writing it
+//   content-engine schedule init --season 2 --start 2027-01-04   # Move a season's start date
+//   content-engine schedule cadence                       # Publishing days, blackouts and pauses
+//   content-engine schedule cadence --weekdays mon,wed,fri
+//   content-engine schedule blackout 2026-12-25 2027-01-01   # Never publish on these dates
+//   content-engine schedule blackout 2026-12-25 --remove
+//   content-engine schedule pause --from 2026-12-21 --to 2026-12-27 --reason "Holiday shutdown"
+//   content-engine schedule pause --from 2026-12-21 --remove
+//   content-engine schedule today                         # Is today a publishing day? (the workflow asks)
+//
+// Season and cadence changes accept --dry-run and print how the open days move.
 //
 // ============================================================================
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { POST_STATUS, isOpen, findNextOpenDay } from './lib/post-status.js';
+import {
+  WEEKDAYS, DEFAULT_CADENCE, addDays, getCadence, nonPublishingReason, nextPublishingDate, scheduleDates, setSeasonStart, findMissedDays, todayUtc,
+} from './lib/schedule-dates.js';
+import { loadTopicBank, lastTopicDay, loadSeasons, seasonLabel, TOPIC_BANK_PATH } from './lib/topics.js';
+import { COMMON, hasFlag, intOption, optionValue, positionals } from './lib/args.js';
+import { SCHEDULE_PATH, scheduleExists, loadSchedule, newSchedule, saveSchedule } from './lib/schedule-store.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const SCHEDULE_PATH = path.join(__dirname, 'schedule.json');
-const TOPIC_BANK_PATH = path.join(__dirname, 'topic-bank.json');
 const BLOG_DIR = path.join(__dirname, '..', 'src', 'content', 'blog');
 
-const STATUS_MODE = process.argv.includes('--status');
-const START_DATE = (() => {
-  const idx = process.argv.indexOf('--start');
-  return idx !== -1 ? process.argv[idx + 1] : new Date().toISOString().split('T')[0];
-})();
+const DRY_RUN = COMMON.dryRun;
+const START_DATE = optionValue('--start', todayUtc());
+const WEEKDAYS_OPTION = optionValue('--weekdays');
+const REMOVE = hasFlag('--remove');
+const SEASON = intOption('--season');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-function getDateForDay(startDate, day) {
-  const [y, m, d] = startDate.split('-').map(Number);
-  return new Date(Date.UTC(y, m - 1, d + (day - 1))).toISOString().split('T')[0];
+function describeCadence(cadence) {
+  const parts = [cadence.weekdays.length === WEEKDAYS.length ? 'every day' : cadence.weekdays.join(', ')];
+  if (cadence.blackouts.length > 0) parts.push(`${cadence.blackouts.length} blackout date(s)`);
+  if (cadence.pauses.length > 0) parts.push(`${cadence.pauses.length} pause(s)`);
+  return parts.join(' · ');
 }
 
-function showStatus() {
-  if (!fs.existsSync(SCHEDULE_PATH)) {
-    console.log('No schedule found. Run without --status to initialize.');
-    return;
-  }
+function findSeason(seasons, number) {
+  const season = seasons.find(s => s.season === number);
+  if (!season) throw new Error(`No season ${number} (seasons: ${seasons.map(s => s.season).join(', ') || 'none'})`);
+  return season;
+}
 
-  const schedule = JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8'));
+// Progress of every season, for status and the admin header
+function summarizeSeasons(seasons, schedule, dates) {
   const posts = schedule.posts || {};
-  const published = Object.entries(posts).filter(([, p]) => p.status === 'published');
-
-  console.log('\n  SafetyTAP Content Schedule\n');
-  console.log(`  Start date:    ${schedule.startDate}`);
-  console.log(`  Published:     ${published.length}/180`);
+  return seasons.map(season => {
+    const days = [];
+    for (let day = season.firstDay; day <= season.lastDay; day++) days.push(day);
+    return {
+      season: season.season,
+      name: season.name || null,
+      firstDay: season.firstDay,
+      lastDay: season.lastDay,
+      startDate: dates[season.firstDay],
+      endDate: dates[season.lastDay],
+      total: days.length,
+      published: days.filter(day => posts[day]?.status === POST_STATUS.PUBLISHED).length,
+      open: days.filter(day => isOpen(posts[day])).length,
+    };
+  });
+}
 
-  if (published.length > 0) {
-    const latest = published.sort((a, b) => b[0] - a[0])[0];
-    console.log(`  Latest:        Day ${latest[0]} — "${latest[1].title}" (${latest[1].date})`);
+function showStatus() {
+  if (!scheduleExists()) {
+    console.log('No schedule found. Run `content-engine schedule init` to create one.');
+    return { exists: false };
   }
 
-  // Find next pending
-  const topics = fs.existsSync(TOPIC_BANK_PATH)
-    ? JSON.parse(fs.readFileSync(TOPIC_BANK_PATH, 'utf-8'))
-    : [];
+  const schedule = loadSchedule();
+  const topics = fs.existsSync(TOPIC_BANK_PATH) ? loadTopicBank() : [];
+  const seasons = loadSeasons(topics);
+  const lastDay = lastTopicDay(topics);
+  const dates = scheduleDates(schedule, lastDay);
+  const seasonSummaries = summarizeSeasons(seasons, schedule, dates);
 
-  for (let day = 1; day <= 180; day++) {
-    if (!posts[day] || posts[day].status !== 'published') {
-      const topic = topics.find(t => t.day === day);
-      const date = getDateForDay(schedule.startDate, day);
-      console.log(`  Next:          Day ${day} — "${topic?.title || 'Unknown'}" (${date})`);
-      break;
-    }
-  }
+  // --season N narrows everything below to that season's days
+  const season = SEASON === null ? null : findSeason(seasons, SEASON);
+  const firstDay = season?.firstDay ?? 1;
+  const endDay = season?.lastDay ?? lastDay;
+  const inRange = day => day >= firstDay && day <= endDay;
 
-  // Show upcoming 7 days
-  console.log('\n  Upcoming week:');
-  const today = new Date().toISOString().split('T')[0];
-  let shown = 0;
-  for (let day = 1; day <= 180 && shown < 7; day++) {
-    const date = getDateForDay(schedule.startDate, day);
-    if (date >= today && (!posts[day] || posts[day].status !== 'published')) {
+  const posts = Object.fromEntries(Object.entries(schedule.posts || {}).filter(([day]) => inRange(Number(day))));
+  const published = Object.entries(posts).filter(([, p]) => p.status === POST_STATUS.PUBLISHED);
+  const countOf = status => Object.values(posts).filter(p => p.status === status).length;
+
+  const missed = findMissedDays(schedule, lastDay).filter(inRange);
+  const latest = published.sort((a, b) => b[0] - a[0])[0];
+  const nextDay = findNextOpenDay(schedule.posts || {}, endDay, firstDay);
+
+  // Upcoming 7 open days
+  const today = todayUtc();
+  const upcoming = [];
+  for (let day = firstDay; day <= endDay && upcoming.length < 7; day++) {
+    const date = dates[day];
+    if (date >= today && isOpen(posts[day])) {
       const topic = topics.find(t => t.day === day);
-      const pillarTag = topic ? `[${topic.pillar}]` : '';
-      const formatTag = topic ? `(${topic.format})` : '';
-      console.log(`    ${date}  Day ${String(day).padStart(3)}  ${pillarTag} ${topic?.title || 'Unknown'} ${formatTag}`);
-      shown++;
+      upcoming.push({ day, date, title: topic?.title || 'Unknown', pillar: topic?.pillar, format: topic?.format });
     }
   }
 
-  // Pillar distribution
-  console.log('\n  Published by pillar:');
   const pillarCounts = {};
   published.forEach(([, p]) => {
     pillarCounts[p.pillar] = (pillarCounts[p.pillar] || 0) + 1;
   });
+
+  const status = {
+    exists: true,
+    startDate: schedule.startDate,
+    cadence: getCadence(schedule),
+    totalDays: lastDay,
+    season: season ? seasonSummaries.find(s => s.season === season.season) : null,
+    seasons: seasonSummaries,
+    published: published.length,
+    approved: countOf(POST_STATUS.APPROVED),
+    drafts: countOf(POST_STATUS.DRAFT),
+    rejected: countOf(POST_STATUS.REJECTED),
+    skipped: countOf(POST_STATUS.SKIPPED),
+    missed,
+    latest: latest ? { day: Number(latest[0]), title: latest[1].title, date: latest[1].date } : null,
+    next: nextDay ? { day: nextDay, title: topics.find(t => t.day === nextDay)?.title || 'Unknown', date: dates[nextDay] } : null,
+    upcoming,
+    publishedByPillar: pillarCounts,
+  };
+
+  console.log(`\n  SafetyTAP Content Schedule${season ? ` — ${seasonLabel(season)}` : ''}\n`);
+  if (status.season) {
+    console.log(`  Days:          ${status.season.firstDay}-${status.season.lastDay} (${status.season.startDate} to ${status.season.endDate})`);
+  } else {
+    console.log(`  Start date:    ${status.startDate}`);
+  }
+  console.log(`  Cadence:       ${describeCadence(status.cadence)}`);
+  if (!season && seasonSummaries.length > 1) {
+    console.log('  Seasons:');
+    const width = Math.max(...seasons.map(s => seasonLabel(s).length));
+    seasonSummaries.forEach(s => {
+      const label = seasonLabel(s).padEnd(width);
+      console.log(`    ${label}  days ${`${s.firstDay}-${s.lastDay}`.padEnd(7)}  ${s.startDate} to ${s.endDate}  ${s.published}/${s.total} published`);
+    });
+  }
+  console.log(`  Published:     ${status.published}/${endDay - firstDay + 1}`);
+  console.log(`  Approved:      ${status.approved}`);
+  console.log(`  Needs review:  ${status.drafts} draft(s), ${status.rejected} rejected`);
+  console.log(`  Skipped:       ${status.skipped}`);
+  if (missed.length > 0) {
+    console.log(`  Missed:        ${missed.length} day(s) past their date — run content-engine daily --catch-up`);
+  }
+  if (status.latest) {
+    console.log(`  Latest:        Day ${status.latest.day} — "${status.latest.title}" (${status.latest.date})`);
+  }
+  if (status.next) {
+    console.log(`  Next:          Day ${status.next.day} — "${status.next.title}" (${status.next.date})`);
+  } else if (season) {
+    console.log(`  Next:          None — every day in ${seasonLabel(season)} is generated`);
+  } else if (lastDay > 0) {
+    console.log(`  Next:          None — every day in the bank is generated. Plan more with content-engine season`);
+  }
+
+  console.log('\n  Upcoming week:');
+  upcoming.forEach(u => {
+    const pillarTag = u.pillar ? `[${u.pillar}]` : '';
+    const formatTag = u.format ? `(${u.format})` : '';
+    console.log(`    ${u.date}  Day ${String(u.day).padStart(3)}  ${pillarTag} ${u.title} ${formatTag}`);
+  });
+
+  console.log('\n  Published by pillar:');
   Object.entries(pillarCounts).sort((a, b) => b[1] - a[1]).forEach(([pillar, count]) => {
     console.log(`    ${pillar}: ${count}`);
   });
 
   console.log('');
+  return status;
 }
 
 function initSchedule() {
-  if (!fs.existsSync(TOPIC_BANK_PATH)) {
-    console.error('ERROR: topic-bank.json not found.');
-    process.exit(1);
+  if (SEASON !== null) return startSeason();
+  if (scheduleExists()) {
+    const existing = Object.keys(loadSchedule().posts || {}).length;
+    throw new Error(
+      `A schedule already exists (${existing} day(s) with entries), and init would replace it. ` +
+      'Move a season with `schedule init --season N --start DATE`, or open days with `daily --catch-up reslot`.'
+    );
   }
 
-  const topics = JSON.parse(fs.readFileSync(TOPIC_BANK_PATH, 'utf-8'));
-  console.log(`\n  Initializing schedule with ${topics.length} topics`);
-  console.log(`  Start date: ${START_DATE}\n`);
+  const topics = loadTopicBank();
+  const cadence = { ...DEFAULT_CADENCE };
+  if (WEEKDAYS_OPTION) cadence.weekdays = parseWeekdays(WEEKDAYS_OPTION);
+  const dates = scheduleDates({ startDate: START_DATE, cadence, posts: {} }, lastTopicDay(topics));
+
+  console.log(`\n  Initializing schedule with ${topics.length} topics${DRY_RUN ? ' (dry run)' : ''}`);
+  console.log(`  Start date: ${START_DATE}`);
+  console.log(`  Cadence:    ${describeCadence(cadence)}\n`);
 
   // Check for existing published posts
   const existingPosts = {};
@@ -114,42 +226,183 @@ function initSchedule() {
         existingPosts[topic.day] = {
           slug,
           title: topic.title,
-          date: getDateForDay(START_DATE, topic.day),
+          date: dates[topic.day],
           pillar: topic.pillar,
           format: topic.format,
           status: 'published',
-          generatedAt: 'pre-existing',
+          generation: { at: 'pre-existing' },
         };
       }
     });
   }
 
-  const schedule = {
-    startDate: START_DATE,
-    totalDays: topics.length,
-    posts: existingPosts,
-  };
-
-  fs.writeFileSync(SCHEDULE_PATH, JSON.stringify(schedule, null, 2), 'utf-8');
+  const schedule = newSchedule(START_DATE, { cadence, posts: existingPosts });
 
-  console.log(`  Schedule created: ${SCHEDULE_PATH}`);
+  if (!DRY_RUN) {
+    saveSchedule(schedule);
+    console.log(`  Schedule created: ${SCHEDULE_PATH}`);
+  }
   console.log(`  Pre-existing posts found: ${Object.keys(existingPosts).length}`);
   console.log(`  Remaining to generate: ${topics.length - Object.keys(existingPosts).length}`);
 
   // Show first 7 days
   console.log('\n  First week:');
-  for (let day = 1; day <= 7 && day <= topics.length; day++) {
+  for (let day = 1; day <= 7 && day <= lastTopicDay(topics); day++) {
     const topic = topics.find(t => t.day === day);
-    const date = getDateForDay(START_DATE, day);
+    const date = dates[day];
     const status = existingPosts[day] ? 'PUBLISHED' : 'pending';
     console.log(`    ${date}  [${status.padEnd(9)}]  ${topic?.title || 'Unknown'}`);
   }
 
   console.log('');
+  return {
+    dryRun: DRY_RUN,
+    startDate: START_DATE,
+    totalDays: topics.length,
+    preExisting: Object.keys(existingPosts).length,
+    remaining: topics.length - Object.keys(existingPosts).length,
+  };
+}
+
+/**
+ * Apply a change to the schedule, print how the open days move, and save it.
+ * Generated and skipped days keep their dates whatever the change. `change`
+ * may return a line of detail to print under the description.
+ */
+function changeDates(describe, change) {
+  const schedule = loadSchedule();
+  const lastDay = lastTopicDay(loadTopicBank());
+  const before = scheduleDates(schedule, lastDay);
+
+  const detail = change(schedule);
+  nextPublishingDate(schedule, todayUtc()); // throws when nothing would ever publish
+  const after = scheduleDates(schedule, lastDay);
+
+  const moved = Object.keys(after).map(Number).filter(day => after[day] !== before[day]);
+  console.log(`\n  ${describe}${DRY_RUN ? ' (dry run)' : ''}`);
+  if (detail) console.log(`  ${detail}`);
+  console.log('');
+  if (moved.length === 0) {
+    console.log('  No open day changes date.');
+  } else {
+    console.log(`  ${moved.length} open day(s) change date:`);
+    moved.slice(0, 10).forEach(day => console.log(`    Day ${String(day).padStart(3)}  ${before[day]} -> ${after[day]}`));
+    if (moved.length > 10) console.log(`    ... and ${moved.length - 10} more, through day ${moved[moved.length - 1]} (${after[moved[moved.length - 1]]})`);
+  }
+
+  if (!DRY_RUN) saveSchedule(schedule);
+  console.log('');
+  return { dryRun: DRY_RUN, schedule, moved: moved.map(day => ({ day, from: before[day], to: after[day] })) };
+}
+
+// ---------------------------------------------------------------------------
+// Seasons
+// ---------------------------------------------------------------------------
+
+// A season's days never land before its start date; days after it follow
+function startSeason() {
+  const season = findSeason(loadSeasons(loadTopicBank()), SEASON);
+  checkDate(START_DATE, '--start');
+  const { schedule, ...result } = changeDates(`${seasonLabel(season)} starts ${START_DATE}`, schedule => {
+    setSeasonStart(schedule, season.firstDay, START_DATE);
+    return `Days ${season.firstDay}-${season.lastDay}; days with a post keep their dates`;
+  });
+  return { ...result, season: season.season, firstDay: season.firstDay, startDate: START_DATE };
+}
+
+// ---------------------------------------------------------------------------
+// Cadence
+// ---------------------------------------------------------------------------
+
+function parseWeekdays(spec) {
+  const days = spec.split(',').map(d => d.trim().toLowerCase().slice(0, 3)).filter(Boolean);
+  const unknown = days.find(d => !WEEKDAYS.includes(d));
+  if (unknown) throw new Error(`Unknown weekday "${unknown}" (expected: ${WEEKDAYS.join(', ')})`);
+  if (days.length === 0) throw new Error('--weekdays needs at least one day');
+  // Calendar order, Monday first
+  return [...new Set(days)].sort((a, b) => ((WEEKDAYS.indexOf(a) + 6) % 7) - ((WEEKDAYS.indexOf(b) + 6) % 7));
+}
+
+function checkDate(date, flag) {
+  if (!DATE_PATTERN.test(date || '')) throw new Error(`${flag} needs a date as YYYY-MM-DD, got "${date || ''}"`);
+  return date;
+}
+
+function changeCadence(describe, change) {
+  const { schedule, ...result } = changeDates(describe, schedule => {
+    const cadence = { ...getCadence(schedule) };
+    change(cadence);
+    cadence.blackouts = [...new Set(cadence.blackouts)].sort();
+    cadence.pauses = [...cadence.pauses].sort((a, b) => a.from.localeCompare(b.from));
+    schedule.cadence = cadence;
+    return `Cadence: ${describeCadence(cadence)}`;
+  });
+  return { ...result, cadence: schedule.cadence };
+}
+
+function showCadence() {
+  if (WEEKDAYS_OPTION) {
+    const weekdays = parseWeekdays(WEEKDAYS_OPTION);
+    return changeCadence(`Publishing on ${weekdays.join(', ')}`, cadence => { cadence.weekdays = weekdays; });
+  }
+
+  const schedule = loadSchedule();
+  const cadence = getCadence(schedule);
+  console.log('\n  SafetyTAP Publishing Cadence\n');
+  console.log(`  Weekdays:   ${cadence.weekdays.join(', ')}`);
+  console.log(`  Blackouts:  ${cadence.blackouts.join(', ') || 'none'}`);
+  console.log(`  Pauses:${cadence.pauses.length === 0 ? '     none' : ''}`);
+  cadence.pauses.forEach(p => console.log(`    ${p.from} to ${p.to}${p.reason ? `  ${p.reason}` : ''}`));
+
+  const upcoming = [];
+  for (let date = nextPublishingDate(schedule, todayUtc()); upcoming.length < 7; date = nextPublishingDate(schedule, addDays(date, 1))) {
+    upcoming.push(date);
+  }
+  console.log(`\n  Next publishing dates: ${upcoming.join(', ')}\n`);
+  return { cadence, upcoming };
+}
+
+function setBlackouts() {
+  const dates = positionals().slice(1).map(date => checkDate(date, 'blackout'));
+  if (dates.length === 0) throw new Error('Which dates? e.g. `schedule blackout 2026-12-25`');
+  return changeCadence(`${REMOVE ? 'Removed' : 'Added'} blackout date(s) ${dates.join(', ')}`, cadence => {
+    cadence.blackouts = REMOVE
+      ? cadence.blackouts.filter(d => !dates.includes(d))
+      : [...cadence.blackouts, ...dates];
+  });
+}
+
+function setPause() {
+  const from = checkDate(optionValue('--from'), '--from');
+  if (REMOVE) {
+    return changeCadence(`Removed the pause from ${from}`, cadence => {
+      if (!cadence.pauses.some(p => p.from === from)) throw new Error(`No pause starts on ${from}`);
+      cadence.pauses = cadence.pauses.filter(p => p.from !== from);
+    });
+  }
+  const to = checkDate(optionValue('--to'), '--to');
+  if (to < from) throw new Error(`The pause ends (${to}) before it starts (${from})`);
+  const reason = optionValue('--reason');
+  return changeCadence(`Paused ${from} to ${to}`, cadence => {
+    cadence.pauses = [...cadence.pauses.filter(p => p.from !== from), { from, to, ...(reason ? { reason } : {}) }];
+  });
+}
+
+// What the GitHub workflow checks before a scheduled run
+function showToday() {
+  const date = todayUtc();
+  const reason = scheduleExists() ? nonPublishingReason(loadSchedule(), date) : null;
+  console.log(reason ? `${date}: not a publishing day — ${reason}` : `${date}: publishing day`);
+  return { date, publishing: !reason, reason };
 }
 
-if (STATUS_MODE) {
-  showStatus();
-} else {
-  initSchedule();
+export async function run() {
+  const [action = 'status'] = positionals();
+  if (action === 'status') return showStatus();
+  if (action === 'init') return initSchedule();
+  if (action === 'cadence') return showCadence();
+  if (action === 'blackout') return setBlackouts();
+  if (action === 'pause') return setPause();
+  if (action === 'today') return showToday();
+  throw new Error(`Unknown schedule action "${action}" (expected: status, init, cadence, blackout, pause, today)`);
 }
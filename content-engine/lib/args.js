@@ -0,0 +1,76 @@
+// ============================================================================
+// SafetyTAP CLI Arguments
+// ============================================================================
+//
+// Flag parsing shared by every content-engine command, so the same flag
+// means the same thing everywhere:
+//
+//   --day N      the schedule day to act on
+//   --dry-run    show what would happen without calling APIs or writing files
+//   --json       print the command's result as JSON on stdout (logs go to stderr)
+//
+// ============================================================================
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+// Options that take a value; anything else starting with -- is a boolean flag
+const VALUE_OPTIONS = new Set([
+  '--day', '--start', '--file', '--date', '--catch-up', '--max', '--pace',
+  '--days', '--since', '--until', '--to', '--pillar', '--format', '--threshold',
+  '--count', '--pillars', '--formats', '--pin', '--unpin',
+  '--weekdays', '--from', '--reason', '--name', '--season',
+]);
+
+// Everything after `node content-engine/cli.js <command>`, or after the
+// script itself when a command file is run on its own. realpath so the
+// `content-engine` bin link counts as cli.js.
+const CLI_PATH = fileURLToPath(new URL('../cli.js', import.meta.url));
+const launchedByCli = (() => {
+  try {
+    return fs.realpathSync(process.argv[1] || '') === CLI_PATH;
+  } catch {
+    return false;
+  }
+})();
+const args = () => process.argv.slice(launchedByCli ? 3 : 2);
+
+export function hasFlag(name) {
+  return args().includes(name);
+}
+
+export function optionValue(name, fallback = null) {
+  const list = args();
+  const idx = list.indexOf(name);
+  return idx !== -1 && list[idx + 1] !== undefined ? list[idx + 1] : fallback;
+}
+
+export function intOption(name, fallback = null) {
+  const value = optionValue(name);
+  return value !== null ? parseInt(value, 10) : fallback;
+}
+
+export function numberOption(name, fallback = null) {
+  const value = optionValue(name);
+  return value !== null ? parseFloat(value) : fallback;
+}
+
+/** Arguments that are neither flags nor option values, e.g. the slug in `generate <slug>`. */
+export function positionals() {
+  const list = args();
+  return list.filter((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.has(list[i - 1]));
+}
+
+const COMMON_OPTIONS = ['--day', '--dry-run', '--json'];
+
+/** Flags and options given that are neither common nor in `allowed`, e.g. a mistyped --dry-rn. */
+export function unknownOptions(allowed) {
+  const known = new Set([...COMMON_OPTIONS, ...allowed]);
+  return args().filter(arg => arg.startsWith('--') && !known.has(arg));
+}
+
+export const COMMON = {
+  day: intOption('--day'),
+  dryRun: hasFlag('--dry-run'),
+  json: hasFlag('--json'),
+};
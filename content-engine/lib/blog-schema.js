@@ -0,0 +1,52 @@
+// ============================================================================
+// SafetyTAP Blog Post Schema
+// ============================================================================
+//
+// The single definition of blog post frontmatter. src/content/config.ts uses
+// it for the Astro collection, and the frontmatter library validates every
+// write against it, so a post the engine saves is a post the site can build.
+//
+// ============================================================================
+
+import { z } from 'zod';
+
+// One entry in a post's Sources section: a study from the topic brief or a
+// news item from the research feed
+export const sourceSchema = z.object({
+  type: z.enum(['research', 'news']),
+  title: z.string(),
+  authors: z.string().optional(),
+  year: z.number().optional(),
+  note: z.string().optional(),
+  citation: z.string().optional(),
+  publisher: z.string().optional(),
+  url: z.string().optional(),
+  date: z.string().optional(),
+});
+
+export const blogSchema = z.object({
+  title: z.string(),
+  description: z.string(),
+  date: z.string(),
+  tags: z.array(z.string()),
+  readTime: z.string(),
+  featured: z.boolean().default(false),
+  seoKeywords: z.array(z.string()).default([]),
+  pillar: z.string().optional(),
+  format: z.string().optional(),
+  heroImage: z.string().optional(),
+  imageCredit: z.string().optional(),
+  tldr: z.string().optional(),
+  draft: z.boolean().default(false),
+  sources: z.array(sourceSchema).optional(),
+});
+
+// A post's toolbox-talk handout (see toolbox-talk.js), stored as
+// src/content/toolbox-talks/<slug>.json
+export const toolboxTalkSchema = z.object({
+  scenario: z.string().min(1),
+  concept: z.string().min(1),
+  prompts: z.array(z.string().min(1)).length(3),
+  takeaway: z.string().min(1),
+  generatedAt: z.string().optional(),
+});
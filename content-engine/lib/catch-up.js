@@ -0,0 +1,145 @@
+// ============================================================================
+// SafetyTAP Catch-Up Policies
+// ============================================================================
+//
+// When daily runs fail, scheduled days slip into the past without a post.
+// `daily-generate.js --catch-up <policy>` decides what happens to them:
+//
+//   backdate  Generate the missed posts with their original dates.
+//   reslot    Keep every missed topic, in order, and move it and everything
+//             after it forward so the first missed topic lands today, or
+//             on the next publishing date when today isn't one. Refused
+//             when a moved day would land on or after the date of a later
+//             day that already has a post (see `conflicts`).
+//   skip      Give up on the missed topics. Their days are marked skipped
+//             and the schedule carries on from today.
+//
+// Applying a policy only rearranges the schedule. The caller then generates
+// every open day that is due (dated today or earlier), several per run.
+//
+// ============================================================================
+
+import { POST_STATUS, isGenerated, isOpen } from './post-status.js';
+import { addDays, daysBetween, scheduleDates, seasonStart, setSeasonStart, findMissedDays, todayUtc } from './schedule-dates.js';
+import { lastTopicDay } from './topics.js';
+
+export const CATCH_UP_POLICIES = ['backdate', 'reslot', 'skip'];
+
+/**
+ * Apply a catch-up policy to the schedule (mutates it).
+ *
+ * @param {object} schedule
+ * @param {'backdate'|'reslot'|'skip'} policy
+ * @param {object[]} topics  Topic bank, for titles and slugs of skipped days
+ * @returns {{ missed: number[], moves: Array<{ day: number, slug: string, action: string, from: string, to: string|null }>, shiftedLater: number, conflicts: Array<{ day: number, date: string, postDay: number, postDate: string }> }}
+ *   conflicts: open days a reslot would date on or after a later day's post;
+ *   when there are any the schedule is left as it was
+ */
+export function applyCatchUpPolicy(schedule, policy, topics, { lastDay = lastTopicDay(topics), today = todayUtc() } = {}) {
+  if (!CATCH_UP_POLICIES.includes(policy)) {
+    throw new Error(`Unknown catch-up policy "${policy}" (expected: ${CATCH_UP_POLICIES.join(', ')})`);
+  }
+
+  const missed = findMissedDays(schedule, lastDay, today);
+  const slugFor = day => topics.find(t => t.day === day)?.slug || `day-${day}`;
+  if (missed.length === 0) return { missed, moves: [], shiftedLater: 0, conflicts: [] };
+  const dates = scheduleDates(schedule, lastDay);
+
+  if (policy === 'backdate') {
+    const moves = missed.map(day => {
+      const date = dates[day];
+      return { day, slug: slugFor(day), action: 'backdated', from: date, to: date };
+    });
+    return { missed, moves, shiftedLater: 0, conflicts: [] };
+  }
+
+  if (policy === 'skip') {
+    if (!schedule.posts) schedule.posts = {};
+    const skippedAt = new Date().toISOString();
+    const moves = missed.map(day => {
+      const date = dates[day];
+      const topic = topics.find(t => t.day === day);
+      schedule.posts[day] = {
+        ...schedule.posts[day],
+        slug: slugFor(day),
+        title: topic?.title || '',
+        date,
+        pillar: topic?.pillar,
+        format: topic?.format,
+        status: POST_STATUS.SKIPPED,
+        skippedAt,
+      };
+      return { day, slug: slugFor(day), action: 'skipped', from: date, to: null };
+    });
+    return { missed, moves, shiftedLater: 0, conflicts: [] };
+  }
+
+  // reslot: move the start date of the first missed day's season so that
+  // day can't land before today (or the next publishing date after it).
+  // Generated days keep the date stored on their entry, so only open days
+  // move, and they are planned on a copy until they're known to fit.
+  const before = Object.fromEntries(missed.map(day => [day, dates[day]]));
+  const planned = structuredClone(schedule);
+  const start = seasonStart(planned, missed[0]);
+  const shift = daysBetween(start.date, addDays(today, -(missed[0] - start.firstDay)));
+  let shiftedLater = 0;
+  for (let day = missed[0]; day <= lastDay; day++) {
+    if (isOpen(schedule.posts?.[day]) && !before[day]) shiftedLater++;
+  }
+
+  setSeasonStart(planned, start.firstDay, addDays(start.date, shift));
+  planned.reslots = [
+    ...(planned.reslots || []),
+    { at: new Date().toISOString(), fromDay: missed[0], days: shift },
+  ];
+
+  const after = scheduleDates(planned, lastDay);
+  const conflicts = findReslotConflicts(planned, after, missed[0], lastDay);
+  if (conflicts.length === 0) Object.assign(schedule, planned);
+  const moves = missed.map(day => ({
+    day,
+    slug: slugFor(day),
+    action: 'reslotted',
+    from: before[day],
+    to: after[day],
+  }));
+  return { missed, moves, shiftedLater, conflicts };
+}
+
+// Open days from `fromDay` on dated on or after a later day that keeps its
+// post's date: two posts on one date, or the calendar out of order
+function findReslotConflicts(schedule, dates, fromDay, lastDay) {
+  const conflicts = [];
+  for (let day = fromDay; day <= lastDay; day++) {
+    if (!isOpen(schedule.posts?.[day])) continue;
+    for (let postDay = day + 1; postDay <= lastDay; postDay++) {
+      if (!isGenerated(schedule.posts?.[postDay])) continue;
+      if (dates[postDay] <= dates[day]) {
+        conflicts.push({ day, date: dates[day], postDay, postDate: dates[postDay] });
+        break;
+      }
+    }
+  }
+  return conflicts;
+}
+
+/** "60, 61, 62, 64" -> "60-62, 64" */
+export function formatDayRanges(days) {
+  const ranges = [];
+  for (const day of days) {
+    const last = ranges[ranges.length - 1];
+    if (last && day === last[1] + 1) last[1] = day;
+    else ranges.push([day, day]);
+  }
+  return ranges.map(([a, b]) => (a === b ? `${a}` : `${a}-${b}`)).join(', ');
+}
+
+/** Open days dated today or earlier, oldest first — the ones a catch-up run generates. */
+export function dueDays(schedule, lastDay, today = todayUtc()) {
+  const dates = scheduleDates(schedule, lastDay);
+  const due = [];
+  for (let day = 1; day <= lastDay; day++) {
+    if (isOpen(schedule.posts?.[day]) && dates[day] <= today) due.push(day);
+  }
+  return due;
+}
@@ -0,0 +1,89 @@
+// ============================================================================
+// SafetyTAP Run Checkpoints
+// ============================================================================
+//
+// Saves each finished step of a pipeline run so a rerun resumes instead of
+// paying for the same model calls again:
+//
+//   content-engine/runs/day-42/
+//     run.json        { name, key, startedAt, steps: { research: "...", draft: "..." } }
+//     research.json   research feed items selected for the post
+//     draft.json      post body and quality report after the gate
+//     tldr.json       TL;DR summary
+//
+// A run is keyed by its inputs (slug, notes, review status). When the key
+// changes — say the editor adds a note — the old checkpoints are stale and
+// the run starts over. A finished run deletes its directory.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/** Short stable hash of the inputs a run depends on. */
+export function runKey(inputs) {
+  return crypto.createHash('sha256').update(JSON.stringify(inputs)).digest('hex').slice(0, 16);
+}
+
+// Write-then-rename so a crash mid-write never leaves a half-written step
+function writeJsonAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), 'utf-8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Open (or resume) a run.
+ *
+ * @param {string} runsDir  Parent directory for all runs
+ * @param {string} name     Run name, e.g. "day-42"
+ * @param {string} key      runKey() of the inputs; a different key discards old steps
+ * @param {{ fresh?: boolean }} options  fresh: ignore any saved steps
+ */
+export function openRun(runsDir, name, key, { fresh = false } = {}) {
+  const dir = path.join(runsDir, name);
+  const manifestPath = path.join(dir, 'run.json');
+
+  let manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf-8')) : null;
+  const stale = manifest && manifest.key !== key;
+  if (fresh || stale) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    manifest = null;
+  }
+  const resumed = !!manifest && Object.keys(manifest.steps).length > 0;
+  if (!manifest) manifest = { name, key, startedAt: new Date().toISOString(), steps: {} };
+
+  return {
+    dir,
+    resumed,
+    discardedStale: !!stale && !fresh,
+    steps: () => Object.keys(manifest.steps),
+
+    has(step) {
+      return !!manifest.steps[step] && fs.existsSync(path.join(dir, `${step}.json`));
+    },
+
+    load(step) {
+      return JSON.parse(fs.readFileSync(path.join(dir, `${step}.json`), 'utf-8'));
+    },
+
+    save(step, data) {
+      fs.mkdirSync(dir, { recursive: true });
+      writeJsonAtomic(path.join(dir, `${step}.json`), data);
+      manifest.steps[step] = new Date().toISOString();
+      writeJsonAtomic(manifestPath, manifest);
+      return data;
+    },
+
+    /** Load the step if it was saved, otherwise run `fn`, save and return its result. */
+    async step(step, fn) {
+      if (this.has(step)) return { value: this.load(step), cached: true };
+      return { value: this.save(step, await fn()), cached: false };
+    },
+
+    complete() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
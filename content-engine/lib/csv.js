@@ -0,0 +1,63 @@
+// ============================================================================
+// SafetyTAP CSV
+// ============================================================================
+//
+// Reads CSV exports (RFC 4180: quoted fields, doubled quotes, line breaks
+// inside quotes, CRLF or LF) into one object per row, keyed by the header
+// row. Enough for the OSHA data exports the research sources import; not a
+// general-purpose parser.
+//
+// ============================================================================
+
+/** Rows of a CSV file as arrays of fields. */
+export function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * Rows of a CSV file as objects keyed by its header row (trimmed).
+ *
+ * @returns {{ headers: string[], records: Record<string, string>[] }}
+ */
+export function parseCsv(text) {
+  const [headerRow = [], ...rows] = parseCsvRows(text);
+  const headers = headerRow.map(h => h.trim());
+  const records = rows.map(row => Object.fromEntries(headers.map((h, i) => [h, (row[i] ?? '').trim()])));
+  return { headers, records };
+}
@@ -0,0 +1,174 @@
+// ============================================================================
+// SafetyTAP Email Digest
+// ============================================================================
+//
+// Collects the posts that went live in a date window and renders them as an
+// email: branded HTML built from tables and inline styles (what email
+// clients actually render), plus a plain-text version for clients that
+// don't show HTML.
+//
+// A post is in the digest when its MDX file is not a draft and its date is
+// inside the window and not in the future. schedule.json adds the day
+// number and pillar for scheduled posts; ad-hoc posts come from the blog
+// collection alone.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { readPost } from './frontmatter.js';
+import { SITE_URL, postUrl, absoluteUrl } from './site.js';
+
+// Brand colors from tailwind.config.mjs
+const COLORS = {
+  navy: '#1B2A4A',
+  teal: '#2A9D8F',
+  pale: '#E6F5F3',
+  light: '#F7F9FC',
+  dark: '#2D3748',
+  muted: '#718096',
+};
+
+const FONT = "'Inter', -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif";
+
+// ---------------------------------------------------------------------------
+// Collect
+// ---------------------------------------------------------------------------
+
+/**
+ * Live posts dated within [since, until], newest first.
+ *
+ * @param {string} blogDir
+ * @param {object} schedule  Parsed schedule.json
+ * @param {{ since: string, until: string, today: string }} window  "YYYY-MM-DD" dates
+ */
+export function collectDigestPosts(blogDir, schedule, { since, until, today }) {
+  if (!fs.existsSync(blogDir)) return [];
+  const entries = Object.entries(schedule.posts || {});
+
+  return fs.readdirSync(blogDir)
+    .filter(f => f.endsWith('.mdx'))
+    .map(f => {
+      const slug = f.replace(/\.mdx$/, '');
+      const { data } = readPost(path.join(blogDir, f));
+      const [day, entry] = entries.find(([, e]) => e.slug === slug) || [];
+      return {
+        slug,
+        day: day ? parseInt(day, 10) : null,
+        title: data.title,
+        date: data.date,
+        draft: !!data.draft,
+        pillar: data.pillar || entry?.pillar || '',
+        readTime: data.readTime || '',
+        summary: data.tldr || data.description || '',
+        heroImage: data.heroImage ? absoluteUrl(data.heroImage) : '',
+        url: postUrl(slug),
+      };
+    })
+    .filter(p => !p.draft && p.date >= since && p.date <= until && p.date <= today)
+    .sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+}
+
+// ---------------------------------------------------------------------------
+// Render
+// ---------------------------------------------------------------------------
+
+const escapeHtml = text => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const pillarLabel = pillar => pillar.split('-').map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+
+function formatDate(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+export function digestSubject(posts, { since, until }) {
+  return `SafetyTAP Weekly: ${posts.length} new post${posts.length === 1 ? '' : 's'}, ${formatDate(since)} to ${formatDate(until)}`;
+}
+
+function postRowHtml(post) {
+  const meta = [post.pillar && pillarLabel(post.pillar), formatDate(post.date), post.readTime && `${post.readTime} read`]
+    .filter(Boolean).join(' &middot; ');
+  const thumbnail = post.heroImage
+    ? `<td width="180" valign="top" style="padding:0 16px 0 0;">
+            <a href="${escapeHtml(post.url)}"><img src="${escapeHtml(post.heroImage)}" width="180" height="95" alt="" style="display:block;border:0;border-radius:6px;width:180px;height:95px;object-fit:cover;"></a>
+          </td>`
+    : '';
+
+  return `<tr>
+      <td style="padding:24px 32px;border-top:1px solid #E2E8F0;">
+        <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+          <tr>
+          ${thumbnail}
+          <td valign="top" style="font-family:${FONT};">
+            <p style="margin:0 0 6px;font-size:12px;color:${COLORS.muted};">${meta}</p>
+            <a href="${escapeHtml(post.url)}" style="font-size:18px;line-height:24px;font-weight:700;color:${COLORS.navy};text-decoration:none;">${escapeHtml(post.title)}</a>
+            <p style="margin:8px 0 12px;font-size:14px;line-height:22px;color:${COLORS.dark};">${escapeHtml(post.summary)}</p>
+            <a href="${escapeHtml(post.url)}" style="font-size:14px;font-weight:600;color:${COLORS.teal};text-decoration:none;">Read the post &rarr;</a>
+          </td>
+          </tr>
+        </table>
+      </td>
+    </tr>`;
+}
+
+/** Email-safe HTML: one centered 600px table, inline styles, absolute URLs. */
+export function renderDigestHtml(posts, window) {
+  const subject = digestSubject(posts, window);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:${COLORS.light};">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" bgcolor="${COLORS.light}">
+  <tr>
+    <td align="center" style="padding:24px 12px;">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" border="0" bgcolor="#FFFFFF" style="width:600px;max-width:100%;border-radius:8px;overflow:hidden;">
+        <tr>
+          <td bgcolor="${COLORS.navy}" style="padding:24px 32px;font-family:${FONT};">
+            <a href="${SITE_URL}" style="text-decoration:none;"><img src="${SITE_URL}/logo.png" width="36" height="36" alt="SafetyTAP" style="display:inline-block;vertical-align:middle;border:0;"></a>
+            <span style="display:inline-block;vertical-align:middle;margin-left:10px;font-size:20px;font-weight:700;color:#FFFFFF;">SafetyTAP</span>
+            <p style="margin:12px 0 0;font-size:14px;color:${COLORS.pale};">This week on the blog, ${formatDate(window.since)} to ${formatDate(window.until)}</p>
+          </td>
+        </tr>
+        ${posts.map(postRowHtml).join('\n        ')}
+        <tr>
+          <td bgcolor="${COLORS.pale}" style="padding:20px 32px;font-family:${FONT};font-size:12px;line-height:18px;color:${COLORS.muted};">
+            You're receiving this because you signed up for SafetyTAP updates.
+            Every post is also at <a href="${SITE_URL}/blog" style="color:${COLORS.teal};">${SITE_URL.replace(/^https?:\/\//, '')}/blog</a>.
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+</body>
+</html>
+`;
+}
+
+export function renderDigestText(posts, window) {
+  const lines = [
+    'SafetyTAP',
+    `This week on the blog, ${formatDate(window.since)} to ${formatDate(window.until)}`,
+    '',
+  ];
+  posts.forEach(post => {
+    lines.push('----------------------------------------', '');
+    lines.push(post.title);
+    lines.push([post.pillar && pillarLabel(post.pillar), formatDate(post.date), post.readTime && `${post.readTime} read`].filter(Boolean).join(' | '));
+    lines.push('');
+    if (post.summary) lines.push(post.summary, '');
+    lines.push(`Read the post: ${post.url}`, '');
+  });
+  lines.push('----------------------------------------', '');
+  lines.push("You're receiving this because you signed up for SafetyTAP updates.");
+  lines.push(`Every post is also at ${SITE_URL}/blog`);
+  return `${lines.join('\n')}\n`;
+}
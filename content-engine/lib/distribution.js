@@ -0,0 +1,199 @@
+// ============================================================================
+// SafetyTAP Distribution Pack
+// ============================================================================
+//
+// The copy that goes out with each post, written from the finished body:
+//
+//   linkedin     LinkedIn post, ends with the post URL
+//   thread       4-6 posts for a thread on X, the last one carries the URL
+//   newsletter   exactly two sentences for the newsletter
+//   pullQuote    one sentence copied word for word from the post
+//
+// The pack is held to the same rules as the post (no exclamation marks, no
+// banned cliches) plus the length and shape each channel needs. A pack that
+// breaks them goes back to the model once with the violations; if it still
+// fails it is kept with its report so the editor can fix it by hand.
+//
+// ============================================================================
+
+import { TASKS } from './llm.js';
+import { DISTRIBUTION_SYSTEM_PROMPT, buildDistributionBrief } from './prompt.js';
+import { findBannedPhrases, hasExclamation, formatViolations, countSentences } from './quality-gate.js';
+import { postUrl } from './site.js';
+
+export const THREAD_PARTS = { min: 4, max: 6 };
+const THREAD_PART_MAX = 280;
+// X counts every link as 23 characters, plus the space before it
+const THREAD_URL_LENGTH = 24;
+const LINKEDIN_MAX = 3000;
+
+const MAX_REVISION_PASSES = 1;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+// Post body as the reader sees it: link text kept, markdown dropped
+export function plainText(markdown) {
+  return markdown
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]+/g, '');
+}
+
+const normalize = text => text
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+function parsePack(text) {
+  const json = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?\s*```/)?.[1] || text.match(/\{[\s\S]*\}/)?.[0] || text;
+  const pack = JSON.parse(json);
+  return {
+    linkedin: String(pack.linkedin || '').trim(),
+    thread: Array.isArray(pack.thread) ? pack.thread.map(p => String(p).trim()).filter(Boolean) : [],
+    newsletter: String(pack.newsletter || '').trim(),
+    pullQuote: String(pack.pullQuote || '').trim().replace(/^["“]|["”]$/g, ''),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Check a pack (before the URL is added) against the post rules and each
+ * channel's limits. The report has the same shape as the quality gate's.
+ *
+ * @param {{ linkedin: string, thread: string[], newsletter: string, pullQuote: string }} pack
+ * @param {string} body  Post body the pack was written from
+ */
+export function validatePack(pack, body) {
+  const violations = [];
+  const add = (rule, message, examples = []) => {
+    violations.push({ rule, message, examples: examples.slice(0, 3) });
+  };
+
+  const pieces = [
+    ['linkedin', pack.linkedin],
+    ...pack.thread.map((part, i) => [`thread ${i + 1}`, part]),
+    ['newsletter', pack.newsletter],
+    ['pullQuote', pack.pullQuote],
+  ];
+
+  const missing = pieces.filter(([, text]) => !text).map(([name]) => name);
+  if (missing.length > 0) {
+    add('missing', `Missing or empty: ${missing.join(', ')}.`);
+  }
+
+  const exclaimed = pieces.filter(([, text]) => hasExclamation(text)).map(([name]) => name);
+  if (exclaimed.length > 0) {
+    add('no-exclamation-marks', `Found exclamation marks in ${exclaimed.join(', ')}. Remove every one.`, exclaimed);
+  }
+
+  const phraseHits = findBannedPhrases(pieces.map(([, text]) => text).join('\n'));
+  if (phraseHits.length > 0) {
+    add('no-cliches', `Uses banned cliches or buzzwords: ${phraseHits.map(p => `"${p}"`).join(', ')}.`, phraseHits);
+  }
+
+  const linked = pieces.filter(([, text]) => /https?:\/\/|www\./i.test(text)).map(([name]) => name);
+  if (linked.length > 0) {
+    add('no-links', `Contains a URL in ${linked.join(', ')}. Leave links out; the post URL is added separately.`, linked);
+  }
+
+  if (pack.thread.length < THREAD_PARTS.min || pack.thread.length > THREAD_PARTS.max) {
+    add('thread-length', `The thread has ${pack.thread.length} part(s). Write ${THREAD_PARTS.min} to ${THREAD_PARTS.max}.`);
+  }
+
+  const longParts = pack.thread
+    .map((part, i) => ({ part, i, max: THREAD_PART_MAX - (i === pack.thread.length - 1 ? THREAD_URL_LENGTH : 0) }))
+    .filter(({ part, max }) => part.length > max);
+  if (longParts.length > 0) {
+    add('thread-part-length', `Thread part(s) ${longParts.map(p => p.i + 1).join(', ')} are too long. Keep each under ${THREAD_PART_MAX - THREAD_URL_LENGTH} characters.`,
+      longParts.map(p => `part ${p.i + 1}: ${p.part.length} characters`));
+  }
+
+  if (pack.linkedin.length > LINKEDIN_MAX - 100) {
+    add('linkedin-length', `The LinkedIn post is ${pack.linkedin.length} characters. Cut it under ${LINKEDIN_MAX - 100}.`);
+  }
+
+  if (pack.newsletter && countSentences(pack.newsletter) !== 2) {
+    add('newsletter-sentences', `The newsletter blurb has ${countSentences(pack.newsletter)} sentence(s). Write exactly two.`);
+  }
+
+  if (pack.pullQuote && !normalize(plainText(body)).includes(normalize(pack.pullQuote))) {
+    add('pull-quote-verbatim', 'The pull-quote is not in the post. Copy one sentence word for word.', [pack.pullQuote]);
+  }
+
+  return {
+    passed: violations.length === 0,
+    violations,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Generation
+// ---------------------------------------------------------------------------
+
+async function requestPack(llm, messages) {
+  const { text } = await llm.complete({
+    task: TASKS.DISTRIBUTION,
+    maxTokens: 2048,
+    system: DISTRIBUTION_SYSTEM_PROMPT,
+    messages,
+  });
+  return text;
+}
+
+/**
+ * Write the distribution pack for a finished post.
+ *
+ * @param {object} llm    Provider already narrowed with withContext()
+ * @param {object} topic
+ * @param {string} body   Final post body (markdown, no frontmatter)
+ * @param {string} slug
+ * @returns {Promise<{ linkedin: string, thread: string[], newsletter: string, pullQuote: string, url: string, report: object, generatedAt: string }>}
+ */
+export async function generateDistributionPack(llm, topic, body, slug) {
+  const brief = buildDistributionBrief(topic, plainText(body));
+  let text = await requestPack(llm, [{ role: 'user', content: brief }]);
+  let pack = parsePack(text);
+  let report = validatePack(pack, body);
+  let revisionPasses = 0;
+
+  while (!report.passed && revisionPasses < MAX_REVISION_PASSES) {
+    revisionPasses++;
+    console.log(`Distribution pack: ${report.violations.length} violation(s) — revision pass ${revisionPasses}/${MAX_REVISION_PASSES}`);
+    report.violations.forEach(v => console.log(`  [${v.rule}] ${v.message}`));
+    text = await requestPack(llm, [
+      { role: 'user', content: brief },
+      { role: 'assistant', content: text },
+      {
+        role: 'user',
+        content: `This pack breaks the rules. Fix every problem below and keep everything else.\n\n${formatViolations(report)}\n\nReturn the full JSON object again and nothing else.`,
+      },
+    ]);
+    pack = parsePack(text);
+    report = validatePack(pack, body);
+  }
+
+  if (!report.passed) {
+    console.log(`Distribution pack: FAILED after ${revisionPasses} revision pass(es) — saving for editor review`);
+    report.violations.forEach(v => console.log(`  [${v.rule}] ${v.message}`));
+  }
+
+  const url = postUrl(slug);
+  const thread = pack.thread.map((part, i) => (i === pack.thread.length - 1 ? `${part} ${url}` : part));
+  return {
+    linkedin: `${pack.linkedin}\n\n${url}`,
+    thread,
+    newsletter: pack.newsletter,
+    pullQuote: pack.pullQuote,
+    url,
+    report: { ...report, revisionPasses },
+    generatedAt: new Date().toISOString(),
+  };
+}
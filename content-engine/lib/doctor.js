@@ -0,0 +1,249 @@
+// ============================================================================
+// SafetyTAP Schedule Doctor
+// ============================================================================
+//
+// Cross-checks the four places a post's state lives and reports where they
+// disagree:
+//
+//   schedule.json                   status, slug, title, date, hero image record
+//   topic-bank.json                 which slug each day writes
+//   src/content/blog/<slug>.mdx     the post itself, its title, date, draft flag
+//                                   and heroImage
+//   public/images/blog/             the hero image files
+//
+// Each issue carries the repair `doctor --fix` makes, or none when there is
+// no safe one. Safe means nothing is deleted and nothing goes live: a record
+// is brought in line with the file the site actually renders, a draft that
+// slipped out is hidden again, and a broken image link is dropped so the
+// image fetcher can replace it.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { POST_STATUS, isGenerated } from './post-status.js';
+import { readPost, updateFrontmatter } from './frontmatter.js';
+import { scheduleProblems } from './schedule-schema.js';
+
+export const CHECKS = {
+  schema: 'schedule.json does not match its schema',
+  'unknown-day': 'Schedule entry for a day the topic bank does not have',
+  'misplaced-entry': "Schedule entry filed under another topic's day",
+  'slug-mismatch': 'Schedule entry slug is not in the topic bank',
+  'missing-post': 'Generated day without its MDX file',
+  'unscheduled-post': 'Post for a topic the schedule still shows as unwritten',
+  'orphan-post': 'Post for a slug in neither topic-bank.json nor topics.json',
+  'title-mismatch': 'Schedule title differs from the post',
+  'date-mismatch': 'Schedule date differs from the post',
+  'draft-flag': 'Post draft flag disagrees with its review status',
+  'missing-image': 'heroImage points at a file that does not exist',
+  'image-record': 'Schedule image record differs from the post',
+  'unlinked-image': "Image file for a post that doesn't use it",
+  'orphan-image': 'Image file no post uses',
+};
+
+// Statuses whose MDX should carry draft: true (see api/review-post.ts)
+const HIDDEN_STATUSES = new Set([POST_STATUS.DRAFT, POST_STATUS.REJECTED]);
+
+function loadMdxPosts(blogDir) {
+  if (!fs.existsSync(blogDir)) return new Map();
+  return new Map(fs.readdirSync(blogDir)
+    .filter(f => f.endsWith('.mdx'))
+    .map(f => {
+      const mdxPath = path.join(blogDir, f);
+      return [f.replace(/\.mdx$/, ''), { mdxPath, data: readPost(mdxPath).data }];
+    }));
+}
+
+// A site path ("/images/blog/x.jpg") on disk, or null for remote images
+function localFile(publicDir, sitePath) {
+  return sitePath.startsWith('/') ? path.join(publicDir, sitePath) : null;
+}
+
+function sitePathOf(publicDir, file) {
+  return `/${path.relative(publicDir, file).split(path.sep).join('/')}`;
+}
+
+/**
+ * Every disagreement between the schedule, topic bank, posts and images.
+ *
+ * @param {object} options
+ * @param {object} options.schedule      From loadSchedule(); fixes edit it in place
+ * @param {object[]} options.topics      The topic bank
+ * @param {object[]} options.adhocTopics topics.json, whose posts live outside the schedule
+ * @param {string} options.blogDir
+ * @param {string} options.imagesDir     public/images/blog
+ * @param {string} options.publicDir     public/, where heroImage paths resolve
+ * @param {string} options.today
+ * @returns {{ check: string, day: number|null, slug: string|null, message: string, fix: string|null, apply?: Function }[]}
+ *   fix: what `--fix` would do; apply() does it (MDX files are written
+ *   straight away, the schedule is edited in place for the caller to save)
+ */
+export function diagnose({ schedule, topics, adhocTopics, blogDir, imagesDir, publicDir, today }) {
+  const issues = [];
+  const add = (check, { day = null, slug = null }, message, fix = null, apply = undefined) => {
+    issues.push({ check, day, slug, message, fix, ...(fix ? { apply } : {}) });
+  };
+
+  const posts = schedule.posts || {};
+  const topicByDay = new Map(topics.map(t => [t.day, t]));
+  const topicBySlug = new Map(topics.map(t => [t.slug, t]));
+  const adhocSlugs = new Set(adhocTopics.map(t => t.slug));
+  const mdx = loadMdxPosts(blogDir);
+
+  scheduleProblems(schedule).forEach(problem => add('schema', {}, problem));
+
+  // Schedule entries against the topic bank
+  Object.entries(posts).forEach(([key, entry]) => {
+    const day = Number(key);
+    const topic = topicByDay.get(day);
+    if (!topic) {
+      add('unknown-day', { day, slug: entry.slug || null }, `Day ${day} has a schedule entry${entry.slug ? ` for ${entry.slug}` : ''} but no topic in the bank.`);
+      return;
+    }
+    if (!entry.slug || entry.slug === topic.slug) return;
+
+    const owner = topicBySlug.get(entry.slug);
+    if (!owner) {
+      add('slug-mismatch', { day, slug: entry.slug }, `Day ${day}'s entry is for ${entry.slug}, which is not in the topic bank (day ${day} is ${topic.slug}).`);
+    } else if (posts[owner.day]) {
+      add('misplaced-entry', { day, slug: entry.slug }, `Day ${day}'s entry is for ${entry.slug}, which is day ${owner.day}, and day ${owner.day} has an entry of its own.`);
+    } else {
+      add('misplaced-entry', { day, slug: entry.slug }, `Day ${day}'s entry is for ${entry.slug}, which is day ${owner.day}.`,
+        `Move the entry to day ${owner.day}`,
+        () => {
+          posts[owner.day] = entry;
+          delete posts[day];
+        });
+    }
+  });
+
+  // Schedule entries against their posts
+  Object.entries(posts).forEach(([key, entry]) => {
+    const day = Number(key);
+    if (!isGenerated(entry) && entry.status !== POST_STATUS.REJECTED) return;
+    if (!topicBySlug.has(entry.slug)) return; // reported as slug-mismatch
+    const post = mdx.get(entry.slug);
+    if (!post) {
+      if (isGenerated(entry)) {
+        add('missing-post', { day, slug: entry.slug }, `Day ${day} is ${entry.status} but src/content/blog/${entry.slug}.mdx does not exist. Restore it from git, or regenerate the day.`);
+      }
+      return;
+    }
+
+    if (entry.title && post.data.title !== entry.title) {
+      add('title-mismatch', { day, slug: entry.slug }, `Day ${day}'s schedule title "${entry.title}" differs from the post's "${post.data.title}".`,
+        'Copy the post title into schedule.json',
+        () => { entry.title = post.data.title; });
+    }
+    if (entry.date && post.data.date !== entry.date) {
+      add('date-mismatch', { day, slug: entry.slug }, `Day ${day} is dated ${entry.date} in the schedule but ${post.data.date} in the post.`,
+        'Copy the post date into schedule.json',
+        () => { entry.date = post.data.date; });
+    }
+
+    const hidden = !!post.data.draft;
+    if (HIDDEN_STATUSES.has(entry.status) && !hidden) {
+      add('draft-flag', { day, slug: entry.slug }, `Day ${day} is ${entry.status} but its post is not marked draft, so it can go live unreviewed.`,
+        'Set draft: true on the post',
+        () => updateFrontmatter(post.mdxPath, { draft: true }));
+    } else if (!HIDDEN_STATUSES.has(entry.status) && hidden) {
+      add('draft-flag', { day, slug: entry.slug }, `Day ${day} is ${entry.status} but its post is marked draft, so it never goes live. Remove draft: true from the post if it should be.`);
+    }
+  });
+
+  // Posts against the schedule (a misplaced entry still counts as scheduled)
+  const scheduledSlugs = new Set(Object.values(posts).filter(e => e.status).map(e => e.slug));
+  mdx.forEach((post, slug) => {
+    const topic = topicBySlug.get(slug);
+    if (!topic) {
+      if (!adhocSlugs.has(slug)) add('orphan-post', { slug }, `src/content/blog/${slug}.mdx matches no topic in topic-bank.json or topics.json.`);
+      return;
+    }
+    const entry = posts[topic.day];
+    if (entry?.status || scheduledSlugs.has(slug)) return;
+    const status = post.data.draft ? POST_STATUS.DRAFT : post.data.date > today ? POST_STATUS.APPROVED : POST_STATUS.PUBLISHED;
+    add('unscheduled-post', { day: topic.day, slug }, `${slug}.mdx exists but day ${topic.day} has no post in the schedule, so the daily run would write it again.`,
+      `Record day ${topic.day} as ${status}`,
+      () => {
+        posts[topic.day] = {
+          ...entry,
+          slug,
+          title: post.data.title,
+          date: post.data.date,
+          pillar: topic.pillar,
+          format: topic.format,
+          status,
+          generation: { at: 'pre-existing' },
+        };
+      });
+  });
+
+  // Hero images
+  const used = new Set();
+  mdx.forEach((post, slug) => {
+    const topic = topicBySlug.get(slug);
+    const entry = topic ? posts[topic.day] : undefined;
+    const heroImage = post.data.heroImage;
+    const day = topic?.day ?? null;
+    const byName = path.join(imagesDir, `${slug}.jpg`);
+
+    if (heroImage) {
+      const file = localFile(publicDir, heroImage);
+      if (file) used.add(path.resolve(file));
+      if (file && !fs.existsSync(file) && fs.existsSync(byName)) {
+        const found = sitePathOf(publicDir, byName);
+        used.add(path.resolve(byName));
+        add('missing-image', { day, slug }, `${slug}.mdx uses ${heroImage}, which does not exist, but ${found} does.`,
+          `Point heroImage at ${found}`,
+          () => {
+            updateFrontmatter(post.mdxPath, { heroImage: found });
+            if (entry?.image) entry.image.path = found;
+          });
+      } else if (file && !fs.existsSync(file)) {
+        add('missing-image', { day, slug }, `${slug}.mdx uses ${heroImage}, which does not exist.`,
+          'Remove heroImage and imageCredit from the post (and the schedule image record) so `images` fetches a new one',
+          () => {
+            updateFrontmatter(post.mdxPath, { heroImage: undefined, imageCredit: undefined });
+            if (entry) delete entry.image;
+          });
+      } else if (entry?.image && entry.image.path !== heroImage) {
+        add('image-record', { day, slug }, `Day ${day}'s schedule records ${entry.image.path} but the post uses ${heroImage}.`,
+          'Copy the post image into schedule.json',
+          () => { entry.image = { path: heroImage }; });
+      }
+      return;
+    }
+
+    const recorded = entry?.image && localFile(publicDir, entry.image.path);
+    if (recorded && fs.existsSync(recorded)) {
+      used.add(path.resolve(recorded));
+      const credit = entry.image.source === 'pexels' && entry.image.photographer ? `Photo by ${entry.image.photographer} on Pexels` : undefined;
+      add('image-record', { day, slug }, `Day ${day}'s schedule records ${entry.image.path} but the post has no heroImage.`,
+        'Set heroImage on the post',
+        () => updateFrontmatter(post.mdxPath, { heroImage: entry.image.path, imageCredit: credit }));
+      return;
+    }
+    if (entry?.image) {
+      add('image-record', { day, slug }, `Day ${day}'s schedule records ${entry.image.path}, which does not exist.`,
+        'Drop the image record so `images` fetches a new one',
+        () => { delete entry.image; });
+    }
+
+    if (fs.existsSync(byName)) {
+      used.add(path.resolve(byName));
+      const found = sitePathOf(publicDir, byName);
+      add('unlinked-image', { day, slug }, `${found} exists but ${slug}.mdx has no heroImage, and \`images\` won't fetch one while the file is there.`,
+        'Set heroImage on the post',
+        () => updateFrontmatter(post.mdxPath, { heroImage: found }));
+    }
+  });
+
+  if (fs.existsSync(imagesDir)) {
+    fs.readdirSync(imagesDir)
+      .filter(f => !f.startsWith('.') && !used.has(path.resolve(imagesDir, f)))
+      .forEach(f => add('orphan-image', { slug: path.parse(f).name }, `${sitePathOf(publicDir, path.join(imagesDir, f))} is not used by any post.`));
+  }
+
+  return issues;
+}
@@ -0,0 +1,111 @@
+// ============================================================================
+// SafetyTAP MDX Frontmatter
+// ============================================================================
+//
+// Parse, merge and re-serialize blog post frontmatter. Every script and API
+// route that writes a post goes through here instead of string templates or
+// regex patches.
+//
+// Values are written as JSON scalars and flow collections, which is valid
+// YAML and matches the style of the existing posts:
+//
+//   title: "Why Nobody Stopped the Lift: The Bystander Effect"
+//   tags: ["crew-dynamics","myth-buster"]
+//   featured: false
+//
+// Quotes, colons and newlines in values are escaped, so a title can never
+// break the file. The body is passed through untouched, and the frontmatter
+// keeps the file's original line endings.
+//
+// ============================================================================
+
+import fs from 'fs';
+import { parse as parseYaml } from 'yaml';
+import { blogSchema } from './blog-schema.js';
+
+const FRONTMATTER = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+export class FrontmatterError extends Error {
+  constructor(message, file) {
+    super(file ? `${file}: ${message}` : message);
+    this.name = 'FrontmatterError';
+    this.file = file;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Parse / Serialize
+// ---------------------------------------------------------------------------
+
+/**
+ * Split an MDX file into frontmatter data and body.
+ * @returns {{ data: object, body: string, eol: string }}
+ */
+export function parseMdx(text, file) {
+  const match = text.match(FRONTMATTER);
+  if (!match) throw new FrontmatterError('missing frontmatter block', file);
+
+  let data;
+  try {
+    data = parseYaml(match[1]) || {};
+  } catch (err) {
+    throw new FrontmatterError(`invalid YAML — ${err.message}`, file);
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new FrontmatterError('frontmatter is not a mapping', file);
+  }
+
+  return {
+    data,
+    body: text.slice(match[0].length),
+    eol: match[0].includes('\r\n') ? '\r\n' : '\n',
+  };
+}
+
+/** Join frontmatter data and body back into MDX text. Undefined values are dropped. */
+export function serializeMdx(data, body, eol = '\n') {
+  const lines = Object.entries(data)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return ['---', ...lines, '---'].join(eol) + eol + body;
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/** Validate against the blog collection schema; throws with every issue listed. */
+export function validateFrontmatter(data, file) {
+  const result = blogSchema.safeParse(data);
+  if (!result.success) {
+    const issues = result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`);
+    throw new FrontmatterError(`frontmatter does not match the blog schema — ${issues.join('; ')}`, file);
+  }
+  return data;
+}
+
+// ---------------------------------------------------------------------------
+// File helpers
+// ---------------------------------------------------------------------------
+
+export function readPost(mdxPath) {
+  return parseMdx(fs.readFileSync(mdxPath, 'utf-8'), mdxPath);
+}
+
+/** Validate and write a post. The body is written as given. */
+export function writePost(mdxPath, data, body, eol = '\n') {
+  validateFrontmatter(data, mdxPath);
+  fs.writeFileSync(mdxPath, serializeMdx(data, body, eol), 'utf-8');
+}
+
+/**
+ * Merge a patch into a post's frontmatter. Keys set to undefined are removed;
+ * new keys are appended after the existing ones.
+ * @returns {object} the merged frontmatter
+ */
+export function updateFrontmatter(mdxPath, patch) {
+  const { data, body, eol } = readPost(mdxPath);
+  const merged = { ...data, ...patch };
+  writePost(mdxPath, merged, body, eol);
+  return merged;
+}
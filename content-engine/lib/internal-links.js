@@ -0,0 +1,243 @@
+// ============================================================================
+// SafetyTAP Internal Linking
+// ============================================================================
+//
+// Picks the most related published posts for a given post and links them
+// into the body. At generation time the picks go into the brief so the model
+// writes the links into its own prose; anything it leaves out is placed on a
+// phrase the body already uses — "normalcy bias" in a paragraph becomes a
+// link to the normalcy bias post. Backfill runs use the phrase matching only.
+//
+// Relatedness combines three signals:
+//   pillar       same content pillar
+//   keywords     overlap between seoKeywords
+//   concept      the other post's concept is named in this post's body
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { readPost } from './frontmatter.js';
+import { conceptName } from './quality-gate.js';
+
+export const MAX_LINKS = 3;
+
+// Candidates scoring below this are never linked, even if an anchor exists
+const MIN_SCORE = 2;
+
+const GENERIC_WORDS = new Set([
+  'safety', 'construction', 'workers', 'worker', 'workplace', 'jobsite', 'site',
+  'crew', 'crews', 'the', 'and', 'for', 'with', 'how', 'why', 'what', 'your',
+]);
+
+function keywordTokens(keywords) {
+  return new Set(
+    keywords.join(' ').toLowerCase().split(/[^a-z0-9'-]+/)
+      .filter(w => w.length > 2 && !GENERIC_WORDS.has(w))
+  );
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Phrases in another post's body that can carry a link to `candidate`, most
+// specific first: the full concept, then two-to-four word keyword phrases.
+// Single words only count when they are the whole concept ("groupthink").
+function anchorPhrases(candidate) {
+  const phrases = [];
+  const add = phrase => { if (phrase.length > 4 && !phrases.includes(phrase)) phrases.push(phrase); };
+
+  if (candidate.concept && candidate.concept.split(' ').length <= 5) add(candidate.concept);
+
+  for (const keyword of candidate.seoKeywords) {
+    const words = keyword.toLowerCase().split(' ').filter(w => !GENERIC_WORDS.has(w));
+    if (words.length >= 2 && words.length <= 4) add(words.join(' '));
+    for (let i = 0; i < words.length - 1; i++) {
+      if (words[i].length > 3 && words[i + 1].length > 3) add(`${words[i]} ${words[i + 1]}`);
+    }
+  }
+
+  return phrases;
+}
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+/**
+ * Load every post in the blog directory with the fields linking needs.
+ * Concepts come from the topic bank when the slug is in it.
+ */
+export function loadPosts(blogDir, topics = []) {
+  if (!fs.existsSync(blogDir)) return [];
+  return fs.readdirSync(blogDir)
+    .filter(f => f.endsWith('.mdx'))
+    .map(f => {
+      const slug = f.replace(/\.mdx$/, '');
+      const { data, body } = readPost(path.join(blogDir, f));
+      const topic = topics.find(t => t.slug === slug);
+      return {
+        slug,
+        title: data.title,
+        date: data.date,
+        draft: !!data.draft,
+        pillar: data.pillar || topic?.pillar || '',
+        seoKeywords: data.seoKeywords || [],
+        concept: conceptName(topic?.psychologicalConcept || ''),
+        body,
+      };
+    });
+}
+
+/** Posts a reader can reach today — the only valid link targets. */
+export function linkablePosts(posts, today = new Date().toISOString().split('T')[0]) {
+  return posts.filter(p => !p.draft && p.date <= today);
+}
+
+// ---------------------------------------------------------------------------
+// Scoring
+// ---------------------------------------------------------------------------
+
+/**
+ * Score how related `candidate` is to a post with the given pillar, keywords
+ * and body. Returns { score, reasons }.
+ */
+export function scoreRelated(source, candidate) {
+  let score = 0;
+  const reasons = [];
+
+  if (source.pillar && source.pillar === candidate.pillar) {
+    score += 2;
+    reasons.push(`same pillar (${candidate.pillar})`);
+  }
+
+  const sourceTokens = keywordTokens(source.seoKeywords);
+  const shared = [...keywordTokens(candidate.seoKeywords)].filter(t => sourceTokens.has(t));
+  if (shared.length > 0) {
+    score += 1.5 * shared.length;
+    reasons.push(`shared keywords: ${shared.join(', ')}`);
+  }
+
+  if (candidate.concept && source.body.toLowerCase().includes(candidate.concept)) {
+    score += 3;
+    reasons.push(`body mentions "${candidate.concept}"`);
+  }
+
+  return { score, reasons };
+}
+
+// ---------------------------------------------------------------------------
+// Insertion
+// ---------------------------------------------------------------------------
+
+// Find `phrase` in a prose paragraph that is not a heading and not already linked
+function locateAnchor(lines, phrase, usedLines) {
+  const pattern = new RegExp(`\\b${escapeRegex(phrase)}\\b`, 'i');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (usedLines.has(i) || !line.trim() || /^\s*(#|>|```|\||<)/.test(line)) continue;
+    const match = line.match(pattern);
+    if (!match) continue;
+    // Skip matches that sit inside existing link text or URLs
+    const before = line.slice(0, match.index);
+    if ((before.match(/\[/g) || []).length > (before.match(/\]/g) || []).length) continue;
+    if ((before.match(/\(/g) || []).length > (before.match(/\)/g) || []).length) continue;
+    return { lineIndex: i, index: match.index, text: match[0] };
+  }
+  return null;
+}
+
+/**
+ * Rank candidates by relatedness to `source` ({ slug, pillar, seoKeywords,
+ * body? }). Returns [{ candidate, score, reasons }], best first.
+ */
+export function rankRelated(source, candidates) {
+  const body = source.body || '';
+  return candidates
+    .filter(c => c.slug !== source.slug && !body.includes(`/blog/${c.slug}`))
+    .map(c => ({ candidate: c, ...scoreRelated({ ...source, body }, c) }))
+    .filter(r => r.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score || b.candidate.date.localeCompare(a.candidate.date));
+}
+
+/** Brief section asking the model to link the related posts itself. */
+export function relatedPostsBrief(related) {
+  if (related.length === 0) return '';
+  const list = related.map(({ candidate }) =>
+    `- [${candidate.title}](/blog/${candidate.slug})${candidate.concept ? ` — ${candidate.concept}` : ''}`
+  ).join('\n');
+  return `RELATED POSTS TO LINK:
+Link two or three of these posts from inside the body using the exact markdown paths below. Put each link on a phrase where the connection is natural — never a "related reading" line or a list. Skip any that don't fit.
+${list}`;
+}
+
+/** Internal /blog/ links present in a body, in order. */
+export function extractInternalLinks(body) {
+  return [...body.matchAll(/\[([^\]]+)\]\(\/blog\/([^)#?\s/]+)\/?\)/g)]
+    .map(m => ({ anchor: m[1], slug: m[2] }));
+}
+
+/** Unwrap /blog/ links whose slug is not in `validSlugs`, keeping the anchor text. */
+export function removeUnknownLinks(body, validSlugs) {
+  return body.replace(/\[([^\]]+)\]\(\/blog\/([^)#?\s/]+)\/?\)/g,
+    (match, anchor, slug) => (validSlugs.has(slug) ? match : anchor));
+}
+
+/**
+ * Weave up to `max` links to the best-scoring candidates into the body.
+ *
+ * @param {string} body        Markdown body of the post being linked from
+ * @param {object} source      { slug, pillar, seoKeywords } of that post
+ * @param {object[]} candidates Posts that may be linked to
+ * @returns {{ body: string, links: Array<{ slug: string, title: string, anchor: string, score: number, reasons: string[] }> }}
+ */
+export function insertInternalLinks(body, source, candidates, { max = MAX_LINKS } = {}) {
+  const lines = body.split('\n');
+  const usedLines = new Set();
+  const links = [];
+
+  for (const { candidate, score, reasons } of rankRelated({ ...source, body }, candidates)) {
+    if (links.length >= max) break;
+    for (const phrase of anchorPhrases(candidate)) {
+      const found = locateAnchor(lines, phrase, usedLines);
+      if (!found) continue;
+      const line = lines[found.lineIndex];
+      lines[found.lineIndex] = `${line.slice(0, found.index)}[${found.text}](/blog/${candidate.slug})${line.slice(found.index + found.text.length)}`;
+      usedLines.add(found.lineIndex);
+      links.push({ slug: candidate.slug, title: candidate.title, anchor: found.text, score, reasons });
+      break;
+    }
+  }
+
+  return { body: lines.join('\n'), links };
+}
+
+/** Count links in a body that already point at other blog posts. */
+export function countInternalLinks(body) {
+  return (body.match(/\]\(\/blog\/[^)]+\)/g) || []).length;
+}
+
+/**
+ * After generation: keep the links the model placed to posts we offered,
+ * unwrap any others, and top up to `max` with phrase-matched links.
+ */
+export function reconcileLinks(body, source, related, candidates, { max = MAX_LINKS } = {}) {
+  const offered = new Map(related.map(r => [r.candidate.slug, r]));
+  const cleaned = removeUnknownLinks(body, new Set(offered.keys()));
+
+  const placed = [];
+  for (const { anchor, slug } of extractInternalLinks(cleaned)) {
+    if (placed.some(l => l.slug === slug)) continue;
+    const { candidate, score, reasons } = offered.get(slug);
+    placed.push({ slug, title: candidate.title, anchor, score, reasons, placedBy: 'model' });
+  }
+
+  if (placed.length >= max) return { body: cleaned, links: placed };
+
+  const topUp = insertInternalLinks(cleaned, source, candidates, { max: max - placed.length });
+  return {
+    body: topUp.body,
+    links: [...placed, ...topUp.links.map(l => ({ ...l, placedBy: 'phrase-match' }))],
+  };
+}
@@ -0,0 +1,353 @@
+// ============================================================================
+// SafetyTAP LLM Provider
+// ============================================================================
+//
+// Every model call in the content engine and the /api/observe endpoint goes
+// through this module. Pick the provider with LLM_PROVIDER:
+//
+//   anthropic  (default) Claude via @anthropic-ai/sdk, needs ANTHROPIC_API_KEY
+//   fixture    Offline and deterministic. Returns canned text from
+//              LLM_FIXTURES_DIR/<task>.txt when present, otherwise builds a
+//              response from the prompt itself. No key, no network, no cost —
+//              use it to run the whole pipeline on a laptop or in CI.
+//
+// Models are configured per task so cheap tasks can use a cheaper model:
+//
+//   LLM_MODEL_POST, LLM_MODEL_TLDR, LLM_MODEL_ANALYSIS, LLM_MODEL_SEARCH,
+//   LLM_MODEL_OBSERVATION, LLM_MODEL_DISTRIBUTION, LLM_MODEL_TRANSLATION,
+//   LLM_MODEL_TOOLBOX_TALK, LLM_MODEL_TOPICS — fall back to LLM_MODEL, then
+//   DEFAULT_MODEL.
+//
+// Transient failures (429, 5xx, overloaded) are retried with backoff (see
+// retry.js), and every call is recorded in the usage ledger (see usage.js).
+// Tag calls with where they came from by passing a context to
+// createProvider, and narrow it per post with withContext({ day, slug }).
+//
+// ============================================================================
+
+import Anthropic from '@anthropic-ai/sdk';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { recordUsage } from './usage.js';
+import { withRetry } from './retry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
+
+export const TASKS = {
+  POST: 'post',
+  TLDR: 'tldr',
+  ANALYSIS: 'analysis',
+  SEARCH: 'search',
+  OBSERVATION: 'observation',
+  DISTRIBUTION: 'distribution',
+  TRANSLATION: 'translation',
+  TOOLBOX_TALK: 'toolbox-talk',
+  TOPICS: 'topics',
+};
+
+const MODEL_ENV = {
+  [TASKS.POST]: 'LLM_MODEL_POST',
+  [TASKS.TLDR]: 'LLM_MODEL_TLDR',
+  [TASKS.ANALYSIS]: 'LLM_MODEL_ANALYSIS',
+  [TASKS.SEARCH]: 'LLM_MODEL_SEARCH',
+  [TASKS.OBSERVATION]: 'LLM_MODEL_OBSERVATION',
+  [TASKS.DISTRIBUTION]: 'LLM_MODEL_DISTRIBUTION',
+  [TASKS.TRANSLATION]: 'LLM_MODEL_TRANSLATION',
+  [TASKS.TOOLBOX_TALK]: 'LLM_MODEL_TOOLBOX_TALK',
+  [TASKS.TOPICS]: 'LLM_MODEL_TOPICS',
+};
+
+/** Model name for a task, honoring the per-task environment overrides. */
+export function modelFor(task) {
+  return process.env[MODEL_ENV[task]] || process.env.LLM_MODEL || DEFAULT_MODEL;
+}
+
+// ---------------------------------------------------------------------------
+// Anthropic
+// ---------------------------------------------------------------------------
+
+function createAnthropicProvider() {
+  let client = null;
+
+  return {
+    name: 'anthropic',
+    credentialError: process.env.ANTHROPIC_API_KEY ? null : 'ANTHROPIC_API_KEY not set in environment',
+
+    async complete({ task, system, messages, maxTokens = 1024, tools }) {
+      // Retries happen in withRetry so every provider backs off the same way
+      if (!client) client = new Anthropic({ maxRetries: 0 });
+      const model = modelFor(task);
+      const response = await client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        ...(system ? { system } : {}),
+        messages,
+        ...(tools ? { tools } : {}),
+      });
+
+      return {
+        text: response.content.filter(b => b.type === 'text').map(b => b.text).join('\n'),
+        model,
+        usage: {
+          inputTokens: response.usage?.input_tokens || 0,
+          outputTokens: response.usage?.output_tokens || 0,
+          webSearches: response.usage?.server_tool_use?.web_search_requests || 0,
+        },
+      };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Fixture (offline, deterministic)
+// ---------------------------------------------------------------------------
+
+const FIXTURES_DIR = process.env.LLM_FIXTURES_DIR
+  ? path.resolve(process.env.LLM_FIXTURES_DIR)
+  : path.join(__dirname, '..', 'fixtures');
+
+function messageText(message) {
+  if (!message) return '';
+  if (typeof message.content === 'string') return message.content;
+  return message.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+}
+
+function briefField(brief, label) {
+  const match = brief.match(new RegExp(`^${label}:\\s*(.+)$`, 'm'));
+  return match ? match[1].trim() : '';
+}
+
+// Sentence bank for the echo post. Placeholders come from the brief.
+const ECHO_SENTENCES = [
+  'Picture the crew at first break, coffee on the tailgate, walking the same deck they walked yesterday.',
+  'Nobody on that deck is careless, and every one of them has done this work for years.',
+  'That is exactly why {concept} matters on a jobsite.',
+  '{framing}',
+  'The research behind {concept} has been repeated across industries, and the pattern holds up in the field.',
+  'A foreman sees it when the same near miss shows up twice in a month.',
+  'A superintendent sees it when the walk-through finds what the crew stopped noticing weeks ago.',
+  'The fix is rarely another rule, because the rule was never the gap.',
+  'What changes outcomes is giving people a reason to look again at the work in front of them.',
+  'Crews that talk about what they almost missed start catching more of it.',
+];
+
+function echoPost(brief) {
+  const title = briefField(brief, 'Title') || 'Untitled';
+  const concept = (briefField(brief, 'Psychological Concept') || 'this concept')
+    .split(/\s[—–-]\s|\s\(|[.,:;]/)[0].trim().toLowerCase();
+  const framing = briefField(brief, 'Construction Framing') || 'The same thing plays out on every site.';
+  const lengths = (briefField(brief, 'Target Length').match(/\d+/g) || ['800']).map(Number);
+  const targetWords = Math.round((lengths[0] + (lengths[1] || lengths[0])) / 2);
+
+  const headings = ['What the Crew Actually Sees', 'Why It Happens', 'How It Shows Up on Site', 'What Leaders Can Change'];
+  const sections = [];
+  let words = 0;
+  let sentence = 0;
+
+  for (let s = 0; words < targetWords; s++) {
+    const heading = headings[s % headings.length] + (s >= headings.length ? ` (Part ${Math.floor(s / headings.length) + 1})` : '');
+    const paragraphs = [];
+    for (let p = 0; p < 3 && words < targetWords; p++) {
+      const lines = [];
+      for (let l = 0; l < 3; l++) {
+        const text = ECHO_SENTENCES[sentence++ % ECHO_SENTENCES.length]
+          .replace('{concept}', concept)
+          .replace('{framing}', framing);
+        lines.push(text);
+        words += text.split(/\s+/).length;
+      }
+      paragraphs.push(lines.join(' '));
+    }
+    sections.push(`${s === 0 ? '' : `## ${heading}\n\n`}${paragraphs.join('\n\n')}`);
+  }
+
+  return `${sections.join('\n\n')}\n\n## The Question Worth Asking\n\nIf "${title}" describes your site, what would your crew notice tomorrow that they walked past today?`;
+}
+
+// Distribution pack built from the post's own sentences, so the pull-quote
+// is verbatim and the rules the real model is held to still hold
+function echoDistribution(prompt) {
+  const title = briefField(prompt, 'Title') || 'Untitled';
+  const body = prompt.split('POST:\n')[1] || '';
+  const sentences = [...new Set(body.replace(/^#+\s.*$/gm, '').match(/[^.?\n]+[.?]/g) || [])]
+    .map(s => s.trim())
+    .filter(s => s.length > 20 && s.length < 160);
+  const pick = i => sentences[i % Math.max(sentences.length, 1)] || title;
+
+  return JSON.stringify({
+    linkedin: `${pick(0)} ${pick(1)}\n\n${pick(2)} ${pick(3)}\n\nNew on the SafetyTAP blog: ${title}.`,
+    thread: [pick(0), pick(2), pick(4), `${pick(5)} More in "${title}".`],
+    newsletter: `${pick(1)} ${pick(3)}`,
+    pullQuote: pick(7),
+  });
+}
+
+// Toolbox talk from the post's opening paragraph and concept line
+function echoToolboxTalk(prompt) {
+  const body = prompt.split('POST:\n')[1] || '';
+  const opening = body.split(/\n\n/)[0].trim();
+  const concept = briefField(prompt, 'Psychological Concept').split(/\s[—–-]\s/)[0] || 'This concept';
+  return JSON.stringify({
+    scenario: opening.split(/\s+/).slice(0, 90).join(' ').replace(/[^.?]*$/, '').trim() || opening,
+    concept: `${concept} shapes what a crew notices on a normal day. It works on experienced hands as much as new ones.`,
+    prompts: [
+      'Where on this site have we stopped noticing something we walk past every day?',
+      'When did someone here last catch a problem nobody else saw, and what made them look?',
+      'What would make it easier to speak up when something looks off?',
+    ],
+    takeaway: 'Pick one spot on the site today and look at it like it is your first day.',
+  });
+}
+
+// Concepts for echo topics. Replacement requests start further down the list
+// so a rejected slot gets a different concept.
+const ECHO_CONCEPTS = [
+  ['change blindness', 'Change blindness is the failure to notice that something in view has changed between one look and the next.'],
+  ['attentional tunneling', 'Attentional tunneling locks focus on one demanding task while everything at the edge of it drops away.'],
+  ['hindsight bias', 'Hindsight bias makes an outcome look obvious once it is known, so the signals before it seem clearer than they were.'],
+  ['planning fallacy', 'The planning fallacy is the steady underestimate of how long a task will take, even by people who have done it many times.'],
+  ['decision fatigue', 'Decision fatigue wears down the quality of choices as the number of decisions in a day piles up.'],
+  ['automation complacency', 'Automation complacency is the drop in monitoring that follows when a machine or system usually gets it right.'],
+  ['illusion of control', 'The illusion of control leads people to overrate how much their own skill decides an outcome that chance also shapes.'],
+  ['curse of knowledge', 'The curse of knowledge makes it hard for an expert to picture what a beginner does not yet know.'],
+  ['habituation to alarms', 'Habituation dulls the response to a warning that repeats without consequence until it no longer registers.'],
+  ['status quo bias', 'Status quo bias favors the current way of working even when a change would clearly lower the risk.'],
+  ['peak end rule', 'The peak-end rule means a shift is remembered by its worst moment and its last one, not by its average.'],
+  ['false consensus effect', 'The false consensus effect leads people to assume the rest of the crew sees the risk the same way they do.'],
+];
+
+function echoTopics(brief) {
+  const slots = [...brief.matchAll(/^Day (\d+) \| pillar: ([\w-]+) \| format: ([\w-]+)(?: \| research angle: (.*?) \(from ")?/gm)];
+  const offset = brief.includes('REPLACEMENTS:') ? 5 : 0;
+  return JSON.stringify(slots.map(([, day, pillar, , angle]) => {
+    const [concept, finding] = ECHO_CONCEPTS[(Number(day) + offset) % ECHO_CONCEPTS.length];
+    const words = concept.split(' ');
+    return {
+      day: Number(day),
+      slug: `${words.join('-')}-on-site-day-${day}`,
+      title: `${words.map(w => w[0].toUpperCase() + w.slice(1)).join(' ')} on Site: What the Crew Misses`,
+      targetKeyword: `${concept} construction crews`,
+      psychologicalConcept: `${finding} It shows up in ${pillar.replace('-', ' ')} on every site.`,
+      constructionFraming: angle || `A framing crew on a tight schedule runs into ${concept} during the afternoon push. Nobody is careless; the setup makes the miss likely.`,
+      researchReferences: ['Fixture Reference 2020 Placeholder — replaced by real studies outside fixture mode'],
+      safetyTapConnection: `A photo of the work area is a second look, which is what ${concept} takes away.`,
+    };
+  }));
+}
+
+function echoResponse(task, system, messages) {
+  const first = messageText(messages[0]);
+  const last = messageText(messages[messages.length - 1]);
+
+  switch (task) {
+    case TASKS.POST:
+      // Revision requests carry the original brief as the first message
+      return echoPost(first);
+    case TASKS.TLDR: {
+      const body = last.split(/\n\n/).slice(2).join(' ').replace(/#+\s[^\n]*/g, '');
+      return (body.match(/[^.?]+[.?]/g) || [body]).slice(0, 2).join(' ').trim();
+    }
+    case TASKS.ANALYSIS: {
+      const articles = [...last.matchAll(/ARTICLE \d+:\nTitle: (.*)/g)].map(m => m[1]);
+      const pillars = JSON.parse(last.match(/array from (\[[^\]]*\])/)?.[1] || '[]');
+      return JSON.stringify(articles.map(title => ({
+        summary: title,
+        relevancePillars: pillars.filter(p => p.split('-').some(w => title.toLowerCase().includes(w))),
+        relevanceScore: 0.5,
+        potentialAngles: [],
+      })));
+    }
+    case TASKS.SEARCH:
+      return '[]';
+    case TASKS.OBSERVATION:
+      return 'Materials stacked along a travel path get clipped by equipment mirrors more than anything else on site. Worth checking the clearance before the next delivery.\n\nMirrors reach farther than the tires.';
+    case TASKS.DISTRIBUTION:
+      return echoDistribution(first);
+    case TASKS.TOOLBOX_TALK:
+      return echoToolboxTalk(first);
+    case TASKS.TOPICS:
+      return echoTopics(first);
+    case TASKS.TRANSLATION:
+      // Hands the post back unchanged in the translation format, title marked
+      return first.slice(first.indexOf('TITLE:')).replace(/^TITLE: /m, 'TITLE: [ES] ');
+    default:
+      return last;
+  }
+}
+
+function createFixtureProvider() {
+  return {
+    name: 'fixture',
+    credentialError: null,
+
+    async complete({ task, system, messages }) {
+      const fixturePath = path.join(FIXTURES_DIR, `${task}.txt`);
+      const text = fs.existsSync(fixturePath)
+        ? fs.readFileSync(fixturePath, 'utf-8')
+        : echoResponse(task, system, messages);
+
+      // Rough 4-characters-per-token estimate keeps usage numbers plausible
+      const promptChars = (system || '').length + messages.map(messageText).join('').length;
+      return {
+        text,
+        model: `fixture:${modelFor(task)}`,
+        usage: {
+          inputTokens: Math.ceil(promptChars / 4),
+          outputTokens: Math.ceil(text.length / 4),
+        },
+      };
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+const PROVIDERS = {
+  anthropic: createAnthropicProvider,
+  fixture: createFixtureProvider,
+};
+
+// Retry transient failures and record each real call in the usage ledger,
+// tagged with the caller's context
+function instrument(provider, context, options = {}) {
+  return {
+    name: provider.name,
+    credentialError: provider.credentialError,
+
+    async complete(request) {
+      const result = await withRetry(() => provider.complete(request), { label: `Model call (${request.task})`, retries: options.retries });
+      if (provider.name !== 'fixture') {
+        recordUsage({ ...context, provider: provider.name, task: request.task, model: result.model, usage: result.usage });
+      }
+      return result;
+    },
+
+    withContext(extra) {
+      return instrument(provider, { ...context, ...extra }, options);
+    },
+  };
+}
+
+/**
+ * Create the configured provider. Every provider exposes:
+ *   name              'anthropic' | 'fixture'
+ *   credentialError   null when ready, otherwise a message for the user
+ *   complete({ task, system, messages, maxTokens, tools }) → { text, model, usage }
+ *   withContext({ day, slug }) → the same provider, tagging ledger entries
+ *
+ * @param {string} name
+ * @param {{ source?: string, day?: number, slug?: string }} context  Recorded with every call
+ * @param {{ retries?: number }} options  retries: transient failures to retry (default LLM_MAX_RETRIES)
+ */
+export function createProvider(name = process.env.LLM_PROVIDER || 'anthropic', context = {}, options = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return instrument(factory(), context, options);
+}
@@ -0,0 +1,154 @@
+// ============================================================================
+// SafetyTAP PDF Text
+// ============================================================================
+//
+// Pulls the text out of a PDF well enough to summarize it: every content
+// stream is inflated and the strings drawn by its text operators (Tj, TJ,
+// ' and ") are joined in page order. That covers reports published as
+// text PDFs with standard fonts, like NIOSH FACE reports. Scanned pages and
+// fonts with their own glyph encodings come back empty; save those reports
+// as HTML or text instead.
+//
+// ============================================================================
+
+import zlib from 'zlib';
+
+// Below this share of ordinary characters the "text" is glyph codes, not words
+const MIN_READABLE = 0.8;
+
+function inflate(data) {
+  try {
+    return zlib.inflateSync(data);
+  } catch {
+    try {
+      return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } catch {
+      return null;
+    }
+  }
+}
+
+// The streams worth reading: page content, not images, fonts or metadata
+function contentStreams(buffer) {
+  const raw = buffer.toString('latin1');
+  const streams = [];
+  const start = /stream\r?\n/g;
+  let match;
+  while ((match = start.exec(raw))) {
+    const begin = match.index + match[0].length;
+    const end = raw.indexOf('endstream', begin);
+    if (end === -1) break;
+    const dict = raw.slice(raw.lastIndexOf('obj', match.index), match.index);
+    start.lastIndex = end + 'endstream'.length;
+    if (/\/Subtype\s*\/(Image|XML)|\/Length[123]\b|\/Type\s*\/(XRef|Metadata|ObjStm)/.test(dict)) continue;
+    if (/\/Filter/.test(dict) && !/\/FlateDecode/.test(dict)) continue;
+    const data = buffer.subarray(begin, end);
+    const content = /\/FlateDecode/.test(dict) ? inflate(data) : data;
+    if (content) streams.push(content.toString('latin1'));
+  }
+  return streams;
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '', f: '', '(': '(', ')': ')', '\\': '\\' };
+
+// A literal string starting at content[i] === '('; returns [text, index after it]
+function literalString(content, i) {
+  let depth = 0;
+  let text = '';
+  for (i++; i < content.length; i++) {
+    const ch = content[i];
+    if (ch === '\\') {
+      const next = content[++i];
+      if (/[0-7]/.test(next)) {
+        const octal = content.slice(i, i + 3).match(/^[0-7]{1,3}/)[0];
+        text += String.fromCharCode(parseInt(octal, 8));
+        i += octal.length - 1;
+      } else if (next === '\r' || next === '\n') {
+        if (next === '\r' && content[i + 1] === '\n') i++;
+      } else {
+        text += ESCAPES[next] ?? next;
+      }
+    } else if (ch === '(') {
+      depth++;
+      text += ch;
+    } else if (ch === ')') {
+      if (depth === 0) return [text, i + 1];
+      depth--;
+      text += ch;
+    } else {
+      text += ch;
+    }
+  }
+  return [text, i];
+}
+
+function hexString(content, i) {
+  const end = content.indexOf('>', i);
+  const hex = content.slice(i + 1, end === -1 ? content.length : end).replace(/\s/g, '');
+  const bytes = (hex.length % 2 ? `${hex}0` : hex).match(/../g) || [];
+  return [bytes.map(b => String.fromCharCode(parseInt(b, 16))).join(''), end === -1 ? content.length : end + 1];
+}
+
+// Text drawn by one content stream, a line break wherever the text moves down
+function streamText(content) {
+  let out = '';
+  let operands = [];
+  let array = null;
+  for (let i = 0; i < content.length;) {
+    const ch = content[i];
+    if (ch === '(') {
+      const [text, next] = literalString(content, i);
+      (array || operands).push(text);
+      i = next;
+    } else if (ch === '<' && content[i + 1] !== '<') {
+      const [text, next] = hexString(content, i);
+      (array || operands).push(text);
+      i = next;
+    } else if (ch === '[') {
+      array = [];
+      i++;
+    } else if (ch === ']') {
+      operands.push(array || []);
+      array = null;
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else {
+      const word = content.slice(i).match(/^[^\s()<>[\]/%]+|^\/[^\s()<>[\]/%]*|^[\s\S]/)[0];
+      i += word.length;
+      if (array) {
+        // Kerning in a TJ array; a big gap is a space between words
+        if (Number(word) < -200) array.push(' ');
+        continue;
+      }
+      if (word === 'Tj' || word === "'" || word === '"') {
+        out += `${word === 'Tj' ? '' : '\n'}${operands.filter(o => typeof o === 'string').pop() || ''}`;
+      } else if (word === 'TJ') {
+        const parts = operands.filter(Array.isArray).pop() || [];
+        out += parts.join('');
+      } else if (word === 'Td' || word === 'TD') {
+        out += Number(operands[operands.length - 1]) < 0 ? '\n' : ' ';
+      } else if (word === 'T*' || word === 'ET') {
+        out += '\n';
+      } else if (word === 'Tm') {
+        out += ' ';
+      }
+      if (!/^[-+.\d]/.test(word) && !word.startsWith('/')) operands = [];
+      else operands.push(word);
+    }
+  }
+  return out;
+}
+
+/** The text of a PDF, or '' when it has none we can read. */
+export function pdfText(buffer) {
+  const text = contentStreams(buffer)
+    .map(streamText)
+    .join('\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n[\s\n]*/g, '\n')
+    .trim();
+  if (!text) return '';
+  const readable = (text.match(/[A-Za-z0-9\s.,;:'"()\-–—%$&/]/g) || []).length;
+  return readable / text.length >= MIN_READABLE ? text : '';
+}
@@ -0,0 +1,252 @@
+// ============================================================================
+// SafetyTAP Generation Pipeline
+// ============================================================================
+//
+// The steps every generated post goes through, whether it is a scheduled day
+// (`content-engine daily`) or an ad-hoc topic (`content-engine generate`):
+//
+//   research    pick feed items that connect to the topic
+//   draft       write from the brief, then revise until the quality gate passes
+//   links       keep the model's internal links, top up by phrase match
+//   tldr        2-3 sentence summary (non-fatal if it fails)
+//   sources     topic references plus integrated feed items; flag uncited names
+//
+// Research, draft and TL;DR are checkpointed to the caller's run, so a rerun
+// after a failure resumes where it stopped. Callers decide where the post is
+// written and what gets recorded about it.
+//
+// ============================================================================
+
+import { validateDraft, formatViolations } from './quality-gate.js';
+import { TASKS } from './llm.js';
+import { SYSTEM_PROMPT, TLDR_SYSTEM_PROMPT, buildBrief } from './prompt.js';
+import { MAX_LINKS, rankRelated, reconcileLinks } from './internal-links.js';
+import { buildSources, findUncitedResearchers } from './sources.js';
+import { loadResearchFeed, findRelevantResearch } from './research-feed.js';
+import { articleKeys } from './research-archive.js';
+
+// Drafts that fail the quality gate go back to the model at most this many times
+const MAX_REVISION_PASSES = 2;
+
+// ---------------------------------------------------------------------------
+// Model Calls
+// ---------------------------------------------------------------------------
+
+async function generatePost(llm, brief) {
+  const { text } = await llm.complete({
+    task: TASKS.POST,
+    maxTokens: 4096,
+    system: SYSTEM_PROMPT,
+    messages: [{ role: 'user', content: brief }],
+  });
+
+  return text;
+}
+
+// Send a failing draft back with the specific violations from the quality gate
+async function revisePost(llm, brief, draft, report) {
+  const { text } = await llm.complete({
+    task: TASKS.POST,
+    maxTokens: 4096,
+    system: SYSTEM_PROMPT,
+    messages: [
+      { role: 'user', content: brief },
+      { role: 'assistant', content: draft },
+      {
+        role: 'user',
+        content: `This draft breaks the publishing rules. Fix every problem below and keep everything else that works — the scenario, the research, the voice.
+
+${formatViolations(report)}
+
+Return the full revised post in clean markdown. No commentary before or after it.`,
+      },
+    ],
+  });
+
+  return text;
+}
+
+// Generate, check, and revise until the draft passes or we run out of passes
+export async function generateWithQualityGate(llm, topic, brief) {
+  let content = await generatePost(llm, brief);
+  let report = validateDraft(content, topic);
+  let revisionPasses = 0;
+
+  while (!report.passed && revisionPasses < MAX_REVISION_PASSES) {
+    revisionPasses++;
+    console.log(`Quality gate: ${report.violations.length} violation(s) — revision pass ${revisionPasses}/${MAX_REVISION_PASSES}`);
+    report.violations.forEach(v => console.log(`  [${v.rule}] ${v.message}`));
+    content = await revisePost(llm, brief, content, report);
+    report = validateDraft(content, topic);
+  }
+
+  if (report.passed) {
+    console.log(`Quality gate: passed (${report.wordCount} words, ${revisionPasses} revision pass(es))`);
+  } else {
+    console.log(`Quality gate: FAILED after ${revisionPasses} revision pass(es) — saving for editor review`);
+    report.violations.forEach(v => console.log(`  [${v.rule}] ${v.message}`));
+  }
+
+  return { content, qualityReport: { ...report, revisionPasses } };
+}
+
+export async function generateTldr(llm, content, topic) {
+  const { text } = await llm.complete({
+    task: TASKS.TLDR,
+    maxTokens: 512,
+    system: TLDR_SYSTEM_PROMPT,
+    messages: [{
+      role: 'user',
+      content: `Summarize this article in 2-3 sentences for a busy safety manager or superintendent. Capture the key psychological concept and what it means on the jobsite.\n\nTitle: ${topic.title}\n\n${content}`,
+    }],
+  });
+  return text.trim();
+}
+
+// ---------------------------------------------------------------------------
+// Frontmatter and Links
+// ---------------------------------------------------------------------------
+
+/** Frontmatter for a newly generated post. Every generator writes posts through this. */
+export function buildFrontmatter(topic, publishDate, { tldr, sources, draft = true } = {}) {
+  // Estimate read time based on format
+  const readTimes = {
+    'deep-dive': '6 min',
+    'field-tip': '3 min',
+    'myth-buster': '4 min',
+    'incident-analysis': '5 min',
+    'research-spotlight': '4 min',
+    'leadership-brief': '4 min',
+  };
+
+  const readTime = readTimes[topic.format] || '5 min';
+
+  // Build tags from pillar + format + keywords
+  const tags = [
+    topic.pillar,
+    topic.format,
+    ...topic.targetKeyword.split(' ').filter(w => w.length > 4).slice(0, 2),
+  ].filter(Boolean);
+
+  // Generate a proper description from the psychological concept
+  const description = topic.psychologicalConcept.length > 155
+    ? topic.psychologicalConcept.slice(0, 152) + '...'
+    : topic.psychologicalConcept;
+
+  return {
+    title: topic.title,
+    description,
+    date: publishDate,
+    tags: [...new Set(tags)],
+    readTime,
+    featured: topic.format === 'deep-dive',
+    seoKeywords: [topic.targetKeyword],
+    pillar: topic.pillar,
+    format: topic.format,
+    tldr: tldr || undefined,
+    draft,
+    sources,
+  };
+}
+
+// Pre-generation: the post has no body yet, so its concept and framing stand in
+export function linkSource(topic) {
+  return {
+    slug: topic.slug,
+    pillar: topic.pillar,
+    seoKeywords: [topic.targetKeyword],
+    body: `${topic.psychologicalConcept} ${topic.constructionFraming}`.toLowerCase(),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Full Pipeline
+// ---------------------------------------------------------------------------
+
+export function reportResume(run) {
+  if (run.discardedStale) console.log('\nDiscarded checkpoints from an earlier run (the brief has changed since).');
+  if (run.resumed) console.log(`\nResuming earlier run from checkpoints: ${run.steps().join(', ')}`);
+}
+
+/**
+ * Research, draft, link, summarize and source one post.
+ *
+ * @param {object} llm  Provider already narrowed with withContext()
+ * @param {object} topic
+ * @param {{ run: object, linkTargets: object[], editorialNote?: string, rejectionNote?: string, attachedResearch?: object[] }} options
+ *   run: checkpoint run from openRun(); linkTargets: published posts it may link to;
+ *   attachedResearch: archived articles an editor attached to the day, used first
+ * @returns {Promise<{ content: string, qualityReport: object, links: object[], tldr: string, sources: object[], uncitedResearchers: string[], researchItems: object[] }>}
+ */
+export async function draftPost(llm, topic, { run, linkTargets, editorialNote = null, rejectionNote = null, attachedResearch = [] }) {
+  reportResume(run);
+
+  // Research feed items for real-world grounding, fixed once selected so a
+  // resumed draft keeps matching its sources. Attached articles always go in;
+  // the best feed matches fill the rest of the three slots. Each item keeps
+  // why it was picked under `match`.
+  const { value: researchItems } = await run.step('research', () => {
+    // Known by URL or title, so attached items without a URL don't hide feed items without one
+    const attachedKeys = new Set(attachedResearch.flatMap(articleKeys));
+    const attached = attachedResearch.map(item => ({ ...item, match: { attached: true, reason: 'attached by an editor' } }));
+    const found = findRelevantResearch(topic, loadResearchFeed())
+      .filter(({ item }) => !articleKeys(item).some(key => attachedKeys.has(key)))
+      .map(({ item, score, reason }) => ({ ...item, match: { score, reason } }));
+    return [...attached, ...found].slice(0, Math.max(3, attachedResearch.length));
+  });
+
+  if (researchItems.length > 0) {
+    console.log(`\nResearch integration: ${researchItems.length} relevant articles found`);
+    researchItems.forEach((item, i) => {
+      const attached = item.match?.attached ? ' (attached)' : '';
+      console.log(`  ${i + 1}. ${item.title}${attached}`);
+      if (item.match && !item.match.attached) console.log(`     score ${item.match.score}: ${item.match.reason}`);
+    });
+  } else {
+    console.log('\nNo recent research to integrate (generating from topic brief only)');
+  }
+
+  // Related published posts the model should link to
+  const related = rankRelated(linkSource(topic), linkTargets).slice(0, MAX_LINKS + 2);
+  if (related.length > 0) {
+    console.log(`\nRelated posts offered for linking: ${related.map(r => r.candidate.slug).join(', ')}`);
+  }
+
+  const brief = buildBrief(topic, { researchItems, editorialNote, rejectionNote, related });
+  const { value: generated, cached: draftCached } = await run.step('draft', () => {
+    console.log(`\nGenerating post (provider: ${llm.name})...`);
+    return generateWithQualityGate(llm, topic, brief);
+  });
+  const { qualityReport } = generated;
+  if (draftCached) console.log(`\nUsing checkpointed draft (${qualityReport.wordCount} words)`);
+
+  // Keep the model's links to offered posts, unwrap anything else, top up by phrase match
+  const linked = reconcileLinks(generated.content, linkSource(topic), related, linkTargets);
+  const content = linked.body;
+  console.log(`Internal links: ${linked.links.length}`);
+  linked.links.forEach(l => console.log(`  -> ${l.slug} on "${l.anchor}" (${l.placedBy})`));
+
+  let tldr = '';
+  if (run.has('tldr')) {
+    tldr = run.load('tldr').tldr;
+    console.log(`Using checkpointed TL;DR: ${tldr.slice(0, 80)}...`);
+  } else {
+    console.log('Generating TL;DR summary...');
+    try {
+      tldr = await generateTldr(llm, content, topic);
+      run.save('tldr', { tldr });
+      console.log(`TL;DR: ${tldr.slice(0, 80)}...`);
+    } catch (err) {
+      console.log(`TL;DR generation failed (non-fatal): ${err.message}`);
+    }
+  }
+
+  // Sources: the brief's research references plus the feed items it integrated
+  const sources = buildSources(topic, researchItems);
+  const uncitedResearchers = findUncitedResearchers(content, sources);
+  if (uncitedResearchers.length > 0) {
+    console.log(`Researchers named but not in sources: ${uncitedResearchers.join(', ')}`);
+  }
+
+  return { content, qualityReport, links: linked.links, tldr, sources, uncitedResearchers, researchItems };
+}
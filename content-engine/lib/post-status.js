@@ -0,0 +1,65 @@
+// ============================================================================
+// SafetyTAP Post Lifecycle
+// ============================================================================
+//
+// Every scheduled day moves through the same states:
+//
+//   (pending) → draft → approved → published
+//                 ↓
+//              rejected → regenerated as a new draft
+//
+//   (pending) → skipped      missed day given up on by `--catch-up skip`
+//
+// Drafts are written by the daily generator with `draft: true` in their
+// frontmatter and never render on the public site. An editor approves or
+// rejects them from /admin/schedule. Approved posts go live once their date
+// arrives; the daily run then marks them published.
+//
+// ============================================================================
+
+export const POST_STATUS = {
+  DRAFT: 'draft',
+  APPROVED: 'approved',
+  PUBLISHED: 'published',
+  REJECTED: 'rejected',
+  SKIPPED: 'skipped',
+};
+
+const GENERATED_STATUSES = new Set([POST_STATUS.DRAFT, POST_STATUS.APPROVED, POST_STATUS.PUBLISHED]);
+
+/**
+ * True when the day already has a post on disk that is waiting on review or
+ * live. Rejected and never-generated days are still open for generation.
+ */
+export function isGenerated(entry) {
+  return !!entry && GENERATED_STATUSES.has(entry.status);
+}
+
+/** True when the day still needs a post: never generated, or rejected. */
+export function isOpen(entry) {
+  return !isGenerated(entry) && entry?.status !== POST_STATUS.SKIPPED;
+}
+
+/** Lowest day in firstDay..lastDay that still needs a post generated. */
+export function findNextOpenDay(posts, lastDay, firstDay = 1) {
+  for (let day = firstDay; day <= lastDay; day++) {
+    if (isOpen(posts?.[day])) return day;
+  }
+  return null;
+}
+
+/**
+ * Mark approved posts whose date has arrived as published. Mutates the
+ * schedule and returns the days that changed.
+ */
+export function promoteApproved(schedule, today = new Date().toISOString().split('T')[0]) {
+  const promoted = [];
+  for (const [day, entry] of Object.entries(schedule.posts || {})) {
+    if (entry.status === POST_STATUS.APPROVED && entry.date && entry.date <= today) {
+      entry.status = POST_STATUS.PUBLISHED;
+      entry.publishedAt = new Date().toISOString();
+      promoted.push(parseInt(day, 10));
+    }
+  }
+  return promoted;
+}
@@ -0,0 +1,211 @@
+// ============================================================================
+// SafetyTAP Quality Gate
+// ============================================================================
+//
+// Checks a generated draft against the hard rules in the system prompt and
+// the topic brief: no lists, no exclamation marks, no cliches or buzzwords,
+// H2-only headings, no H1, and a length within 10% of the target.
+//
+// Returns a report the generator can feed back to the model for revision and
+// store on the schedule entry.
+//
+// ============================================================================
+
+// Allowed deviation from the brief's target length (the prompt says "within 10%")
+const LENGTH_TOLERANCE = 0.1;
+
+// Phrases the system prompt bans outright. Matched case-insensitively.
+const BANNED_PHRASES = [
+  { pattern: /safety is (?:our|the|your) (?:#\s?1|number[- ]one|no\.? ?1|top|first) priority/i, label: 'safety is our #1 priority' },
+  { pattern: /\bsafety first\b/i, label: 'safety first' },
+  { pattern: /\bsafety is everyone'?s responsibility\b/i, label: "safety is everyone's responsibility" },
+  { pattern: /\brevolutionary\b/i, label: 'revolutionary' },
+  { pattern: /\bgame[- ]chang(?:er|ing)\b/i, label: 'game-changing' },
+  { pattern: /\bparadigm shift\b/i, label: 'paradigm shift' },
+  { pattern: /\bcutting[- ]edge\b/i, label: 'cutting-edge' },
+  { pattern: /\bsynerg(?:y|ies|ize)\b/i, label: 'synergy' },
+];
+
+const LIST_ITEM = /^\s*(?:[-*+•]|\d+[.)])\s+\S/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Labels of the banned cliches and buzzwords that appear in the text. */
+export function findBannedPhrases(text) {
+  return BANNED_PHRASES.filter(({ pattern }) => pattern.test(text)).map(p => p.label);
+}
+
+/** True when the text has an exclamation mark outside markdown image syntax. */
+export function hasExclamation(text) {
+  return /!(?!\[)/.test(text.replace(/!\[[^\]]*\]\([^)]*\)/g, ''));
+}
+
+/**
+ * Parse a brief length like "1000-1200 words" or "600 words" into bounds.
+ * Returns null when the brief has no usable number.
+ */
+export function parseTargetLength(targetLength) {
+  const numbers = String(targetLength || '').match(/\d[\d,]*/g);
+  if (!numbers) return null;
+  const [min, max = min] = numbers.map(n => parseInt(n.replace(/,/g, ''), 10));
+  return {
+    min: Math.floor(min * (1 - LENGTH_TOLERANCE)),
+    max: Math.ceil(max * (1 + LENGTH_TOLERANCE)),
+  };
+}
+
+/** Sentences in a short piece of prose, split on . or ? before a capital or digit. */
+export function countSentences(text) {
+  return text.trim().split(/(?<=[.?])\s+(?=["'“]?[A-Z0-9])/).filter(Boolean).length;
+}
+
+export function countWords(markdown) {
+  return markdown
+    .replace(/^#{1,6}\s+/gm, '')
+    .split(/\s+/)
+    .filter(w => /[A-Za-z0-9]/.test(w)).length;
+}
+
+// Prose lines only: code fences are skipped so a stray snippet never trips a rule
+function proseLines(markdown) {
+  const lines = [];
+  let inFence = false;
+  markdown.split(/\r?\n/).forEach((line, i) => {
+    if (/^\s*```/.test(line)) { inFence = !inFence; return; }
+    if (!inFence) lines.push({ text: line, number: i + 1 });
+  });
+  return lines;
+}
+
+const CONCEPT_STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'shows', 'research',
+  'theory', 'effect', 'model', 'safety', 'construction', 'workers',
+]);
+
+// "Inattentional blindness — the failure to..." -> "inattentional blindness"
+export function conceptName(psychologicalConcept) {
+  if (!psychologicalConcept) return '';
+  return psychologicalConcept
+    .split(/\s[—–-]\s|\s\(|[.,:;]/)[0]
+    .replace(/^(?:the|a|an)\s+/i, '')
+    .trim()
+    .toLowerCase();
+}
+
+// Distinctive words of the concept name; the draft must use at least half of them
+function conceptTerms(psychologicalConcept) {
+  return conceptName(psychologicalConcept)
+    .split(/[^a-z'-]+/)
+    .map(w => w.replace(/'s$/, ''))
+    .filter(w => w.length > 3 && !CONCEPT_STOP_WORDS.has(w))
+    .slice(0, 6);
+}
+
+function snippet(text) {
+  const trimmed = text.trim();
+  return trimmed.length > 80 ? `${trimmed.slice(0, 77)}...` : trimmed;
+}
+
+// ---------------------------------------------------------------------------
+// Validator
+// ---------------------------------------------------------------------------
+
+/**
+ * Validate a draft against the system prompt rules and its topic brief.
+ *
+ * @param {string} content  Markdown body (no frontmatter)
+ * @param {object} topic    Topic bank entry the draft was written from
+ * @returns {{ passed: boolean, wordCount: number, targetWords: {min:number,max:number}|null, violations: Array<{rule:string,message:string,examples:string[]}>, checkedAt: string }}
+ */
+export function validateDraft(content, topic) {
+  const violations = [];
+  const lines = proseLines(content);
+
+  const add = (rule, message, examples = []) => {
+    violations.push({ rule, message, examples: examples.slice(0, 3) });
+  };
+
+  // Lists
+  const listLines = lines.filter(l => LIST_ITEM.test(l.text));
+  if (listLines.length > 0) {
+    add('no-lists', `Found ${listLines.length} bullet or numbered list line(s). Rewrite them as prose.`,
+      listLines.map(l => `line ${l.number}: ${snippet(l.text)}`));
+  }
+
+  // Exclamation marks (ignore markdown image syntax)
+  const exclaimLines = lines.filter(l => hasExclamation(l.text));
+  if (exclaimLines.length > 0) {
+    add('no-exclamation-marks', `Found exclamation marks on ${exclaimLines.length} line(s). Remove every one.`,
+      exclaimLines.map(l => `line ${l.number}: ${snippet(l.text)}`));
+  }
+
+  // Cliches and buzzwords
+  const phraseHits = findBannedPhrases(content);
+  if (phraseHits.length > 0) {
+    add('no-cliches', `Uses banned cliches or buzzwords: ${phraseHits.map(p => `"${p}"`).join(', ')}.`, phraseHits);
+  }
+
+  // Headings
+  const headings = lines
+    .map(l => ({ ...l, match: l.text.match(HEADING) }))
+    .filter(l => l.match);
+  const h1s = headings.filter(h => h.match[1].length === 1);
+  if (h1s.length > 0) {
+    add('no-h1', 'Contains an H1 heading. The title is added by the template; use ## for sections.',
+      h1s.map(h => `line ${h.number}: ${snippet(h.text)}`));
+  }
+  const deepHeadings = headings.filter(h => h.match[1].length > 2);
+  if (deepHeadings.length > 0) {
+    add('h2-only', 'Uses ### or deeper headings. Only ## section headings are allowed.',
+      deepHeadings.map(h => `line ${h.number}: ${snippet(h.text)}`));
+  }
+  if (!headings.some(h => h.match[1].length === 2)) {
+    add('needs-subheadings', 'Has no ## subheadings. Break the post into sections.');
+  }
+
+  // Length
+  const wordCount = countWords(content);
+  const targetWords = parseTargetLength(topic.targetLength);
+  if (targetWords && (wordCount < targetWords.min || wordCount > targetWords.max)) {
+    const direction = wordCount > targetWords.max ? 'Cut' : 'Expand';
+    add('length', `${direction} the post: ${wordCount} words, brief asks for ${topic.targetLength} (allowed ${targetWords.min}-${targetWords.max}).`);
+  }
+
+  // Topic brief: the post has to actually be about the concept it was briefed on
+  const terms = conceptTerms(topic.psychologicalConcept);
+  const lower = content.toLowerCase();
+  const missing = terms.filter(t => !lower.includes(t));
+  if (terms.length > 0 && missing.length > terms.length / 2) {
+    add('off-brief', `Barely touches the core concept from the brief ("${conceptName(topic.psychologicalConcept)}"). Missing: ${missing.join(', ')}.`);
+  }
+
+  // SafetyTAP may appear once, in the final section
+  const mentions = (content.match(/safetytap/gi) || []).length;
+  if (mentions > 1) {
+    add('safetytap-mentions', `Mentions SafetyTAP ${mentions} times. It may appear once, in the final section.`);
+  }
+
+  return {
+    passed: violations.length === 0,
+    wordCount,
+    targetWords,
+    violations,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Turn a failing report into revision instructions for the model.
+ */
+export function formatViolations(report) {
+  return report.violations.map((v, i) => {
+    let line = `${i + 1}. [${v.rule}] ${v.message}`;
+    if (v.examples.length > 0 && v.rule !== 'no-cliches') {
+      line += `\n   ${v.examples.join('\n   ')}`;
+    }
+    return line;
+  }).join('\n');
+}
@@ -0,0 +1,150 @@
+// ============================================================================
+// SafetyTAP Research Adapters
+// ============================================================================
+//
+// Turn incident records into research items (title, url, publishedDate,
+// rawDescription) the research agent can analyze like any article. A source
+// in research-sources.json names its adapter:
+//
+//   osha-fatality   csv     OSHA fatality and catastrophe exports: the
+//                           fatality inspection data, severe injury reports
+//                           and IMIS accident search downloads. Columns are
+//                           matched by name, so any of those layouts work.
+//                           Rows with a NAICS code outside construction (23)
+//                           are skipped.
+//   niosh-face      folder  NIOSH FACE investigation reports saved as HTML,
+//                           PDF or text. The title, report number, report
+//                           date and SUMMARY section are read from the report.
+//
+// An adapter returns null for a record it can't use.
+//
+// ============================================================================
+
+// ---------------------------------------------------------------------------
+// Shared
+// ---------------------------------------------------------------------------
+
+// Header names compared without case, spaces or punctuation
+const headerKey = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function column(record, aliases) {
+  const keys = new Map(Object.keys(record).map(name => [headerKey(name), name]));
+  const name = aliases.map(alias => keys.get(alias)).find(Boolean);
+  return name ? record[name].trim() : '';
+}
+
+/** "3/14/2024", "2024-03-14" or "March 14, 2024" as "YYYY-MM-DD", or '' when it isn't a date. */
+export function isoDate(value) {
+  if (!value) return '';
+  const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+  if (us) {
+    const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+    return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+  }
+  const d = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : `${value} UTC`);
+  return Number.isNaN(d.getTime()) ? '' : d.toISOString().split('T')[0];
+}
+
+function firstSentence(text, max) {
+  const sentence = text.split(/(?<=[.!?])\s/)[0].trim().replace(/\.$/, '');
+  return sentence.length > max ? `${sentence.slice(0, max - 1).trim()}…` : sentence;
+}
+
+// ---------------------------------------------------------------------------
+// OSHA fatality and catastrophe exports
+// ---------------------------------------------------------------------------
+
+const OSHA_COLUMNS = {
+  date: ['dateofincident', 'eventdate', 'incidentdate', 'date'],
+  employer: ['employer', 'company', 'establishment', 'estabname', 'employeraddressofincident', 'companycitystatezip'],
+  city: ['city', 'sitecity'],
+  state: ['state', 'sitestate'],
+  description: ['hazarddescription', 'finalnarrative', 'narrative', 'eventdesc', 'abstracttext', 'description'],
+  kind: ['fatalityorcatastrophe', 'eventtitle', 'eventtype'],
+  inspection: ['inspection', 'inspectionnr', 'inspectionnumber', 'activitynr'],
+  naics: ['naics', 'naicscode', 'primarynaics'],
+};
+
+const CONSTRUCTION_NAICS = /^23/;
+
+function fromOshaRecord(record) {
+  const get = field => column(record, OSHA_COLUMNS[field]);
+  const description = get('description');
+  if (!description) return null;
+  const naics = get('naics');
+  if (naics && !CONSTRUCTION_NAICS.test(naics)) return null;
+
+  const kind = get('kind') || 'Fatality';
+  const employer = get('employer').split(/[,;]/)[0].trim();
+  const place = [get('city'), get('state')].filter(Boolean).join(', ');
+  const where = [employer, place].filter(Boolean).join(', ');
+  const date = isoDate(get('date'));
+  // Exports can carry a suffix ("1712345.015"); the inspection is the leading digits
+  const inspection = get('inspection').match(/^\d+/)?.[0] || '';
+
+  return {
+    title: `${kind}: ${firstSentence(description, 90)}${where ? ` (${where})` : ''}`,
+    url: inspection ? `https://www.osha.gov/ords/imis/establishment.inspection_detail?id=${inspection}` : '',
+    publishedDate: date,
+    rawDescription: [
+      `${kind}${date ? ` on ${date}` : ''}${where ? ` at ${where}` : ''}.`,
+      description,
+      inspection ? `OSHA inspection ${inspection}.` : '',
+    ].filter(Boolean).join(' '),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// NIOSH FACE reports
+// ---------------------------------------------------------------------------
+
+// "FACE 2019-03", "FACE Report 2005-11", "FACE 18OR010"
+const FACE_NUMBER = /\bFACE\s*(?:Report\s*)?(?:#|No\.?\s*)?(\d{2,4}-\d{1,3}|\d{2}[A-Z]{2}\d{3})\b/i;
+const REPORT_DATE = /\b(?:Report\s+)?Date(?:\s+of\s+Report)?\s*:\s*([A-Z][a-z]+\.?\s+\d{1,2},\s+\d{4}|\d{1,2}\/\d{1,2}\/\d{4})/;
+// The SUMMARY section runs to the next heading in capitals
+const SUMMARY = /\bSUMMARY\b:?\s*\n?([\s\S]+?)(?:\n\s*[A-Z][A-Z ,/&-]{5,}\s*\n|$)/;
+
+function htmlMeta(html, pattern) {
+  const match = html?.match(pattern);
+  return match ? match[1].trim() : '';
+}
+
+// A line that is only the report number, like the "FACE Report 2019-03" header
+const isNumberLine = line => FACE_NUMBER.test(line) && !line.replace(FACE_NUMBER, '').replace(/[\s:#.,-]/g, '');
+
+function fromFaceReport({ text, html, modifiedDate }) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const titleLine = lines.findIndex(line => !isNumberLine(line));
+  const heading = htmlMeta(html, /<h1[^>]*>([\s\S]*?)<\/h1>/i).replace(/<[^>]+>/g, '')
+    || htmlMeta(html, /<title[^>]*>([\s\S]*?)<\/title>/i)
+    || lines[titleLine]
+    || '';
+  const title = heading.replace(/\s*\|.*$/, '').replace(/\s+/g, ' ').trim();
+  if (!title) return null;
+
+  const number = (text.match(FACE_NUMBER) || title.match(FACE_NUMBER))?.[1];
+  const summary = (text.match(SUMMARY)?.[1] || lines.slice(titleLine + 1).join(' ')).replace(/\s+/g, ' ').trim();
+  if (!summary) return null;
+
+  return {
+    title: number && !FACE_NUMBER.test(title) ? `${title} (FACE ${number})` : title,
+    url: htmlMeta(html, /<link[^>]+rel=["']canonical["'][^>]+href=["']([^"']+)/i)
+      || htmlMeta(html, /<meta[^>]+property=["']og:url["'][^>]+content=["']([^"']+)/i),
+    publishedDate: isoDate(text.match(REPORT_DATE)?.[1]) || modifiedDate,
+    rawDescription: summary,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Registry
+// ---------------------------------------------------------------------------
+
+/**
+ * Adapters by name. `types` lists the source types an adapter reads;
+ * csv adapters get one record (header -> value) per row, folder adapters
+ * one document { file, text, html, modifiedDate } per file.
+ */
+export const ADAPTERS = {
+  'osha-fatality': { types: ['csv'], read: fromOshaRecord },
+  'niosh-face': { types: ['folder'], read: fromFaceReport },
+};
@@ -0,0 +1,150 @@
+// ============================================================================
+// SafetyTAP Research Archive
+// ============================================================================
+//
+// Every article the research agent analyzes is appended to an append-only
+// JSONL archive, one line per article:
+//
+//   {"key":"osha.gov/news/newsreleases/region5/20261014","archivedAt":"2026-10-15T05:02:11.000Z",
+//    "source":"osha","sourceName":"OSHA News Releases","title":"...","url":"https://...",
+//    "publishedDate":"2026-10-14","summary":"...","relevancePillars":["safety-culture"],
+//    "relevanceScore":0.8,"potentialAngles":["..."]}
+//
+// An article is known by its normalized URL or its normalized title, so the
+// same OSHA release reached through a tracking link, or re-posted under a
+// new URL, is analyzed (and paid for) once. Lines are never rewritten: the
+// research feed is each run's view, the archive is everything ever seen.
+//
+// Editors attach archived articles to a day without a post (the day's `research`
+// in schedule.json lists their keys); the daily run puts them in the brief.
+//
+// The archive lives at content-engine/research-archive.jsonl and is
+// committed with the daily content, like the usage ledger.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createCorpus, cosine, sharedTerms } from './text-similarity.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const RESEARCH_ARCHIVE_PATH = path.join(__dirname, '..', 'research-archive.jsonl');
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+/** Host and path without scheme, "www.", tracking parameters, fragment or trailing slash. */
+export function normalizeUrl(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url);
+    const params = [...parsed.searchParams].filter(([name]) => !TRACKING_PARAMS.test(name));
+    const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+    return `${parsed.host.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}${query}`.toLowerCase();
+  } catch {
+    return url.trim().toLowerCase();
+  }
+}
+
+/** The title as lowercase letters and digits, cut to 60 characters. */
+export function normalizeTitle(title) {
+  return String(title || '').toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 60);
+}
+
+// Titles shorter than this ("Update", "News release") say nothing about identity
+const MIN_TITLE_KEY = 10;
+
+/** Every key an article is known by: its URL, and its title when that is long enough. */
+export function articleKeys(item) {
+  const keys = [];
+  const url = normalizeUrl(item.url);
+  if (url) keys.push(url);
+  const title = normalizeTitle(item.title);
+  if (title.length > MIN_TITLE_KEY) keys.push(`title:${title}`);
+  return keys;
+}
+
+/** All archived articles, oldest first. */
+export function loadArchive(archivePath = RESEARCH_ARCHIVE_PATH) {
+  if (!fs.existsSync(archivePath)) return [];
+  return fs.readFileSync(archivePath, 'utf-8')
+    .split('\n')
+    .map((line, i) => {
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${path.basename(archivePath)} line ${i + 1}: ${err.message}`);
+      }
+    })
+    .filter(Boolean);
+}
+
+/** Look up archived articles by any of their keys. */
+export function indexArchive(records) {
+  const index = new Map();
+  records.forEach(record => articleKeys(record).forEach(key => { if (!index.has(key)) index.set(key, record); }));
+  records.forEach(record => index.set(record.key, record));
+  return {
+    find: item => articleKeys(item).map(key => index.get(key)).find(Boolean) || null,
+    get: key => index.get(key) || null,
+  };
+}
+
+/**
+ * Append analyzed articles the archive doesn't know yet.
+ *
+ * @returns {object[]} the records written
+ */
+export function appendToArchive(items, archivePath = RESEARCH_ARCHIVE_PATH) {
+  const index = indexArchive(loadArchive(archivePath));
+  const seen = new Set();
+  const records = [];
+  const archivedAt = new Date().toISOString();
+  items.forEach(item => {
+    const keys = articleKeys(item);
+    if (keys.length === 0 || index.find(item) || keys.some(key => seen.has(key))) return;
+    keys.forEach(key => seen.add(key));
+    records.push({ key: keys[0], archivedAt, ...item });
+  });
+  if (records.length > 0) {
+    fs.appendFileSync(archivePath, records.map(r => `${JSON.stringify(r)}\n`).join(''), 'utf-8');
+  }
+  return records;
+}
+
+/** Archived articles for a list of keys, in that order; unknown keys are left out. */
+export function findArchived(records, keys = []) {
+  const index = indexArchive(records);
+  return keys.map(key => index.get(key)).filter(Boolean);
+}
+
+/** An archived record as a research feed item (what the brief and sources read). */
+export function toFeedItem({ key, archivedAt, ...item }) {
+  return item;
+}
+
+/**
+ * Archived articles matching a query, best first. Title, summary and angles
+ * are scored by TF-IDF cosine (lib/text-similarity.js).
+ *
+ * @param {{ pillar?: string, limit?: number }} [options]
+ * @returns {{ record: object, score: number, matched: string[] }[]}
+ *   matched: the query words the article shares, heaviest first
+ */
+export function searchArchive(records, query, { pillar = null, limit = 20 } = {}) {
+  const candidates = pillar ? records.filter(r => r.relevancePillars?.includes(pillar)) : records;
+  if (candidates.length === 0) return [];
+  const corpus = createCorpus(candidates.map(r => [r.title, r.summary, ...(r.potentialAngles || [])].join(' ')));
+  const q = corpus.vectorize(query);
+  return candidates
+    .map((record, i) => ({
+      record,
+      score: Math.round(cosine(q, corpus.vectors[i]) * 100) / 100,
+      matched: sharedTerms(q, corpus.vectors[i]).map(corpus.word),
+    }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || (b.record.publishedDate || '').localeCompare(a.record.publishedDate || ''))
+    .slice(0, limit);
+}
@@ -0,0 +1,138 @@
+// ============================================================================
+// SafetyTAP Research Feed
+// ============================================================================
+//
+// Reads the feed the research agent writes (research-feed.json) and picks
+// the items worth integrating into a post. Items are ranked by how much
+// their text has in common with the topic (TF-IDF, so a shared "scaffold"
+// counts for far more than a shared "safety"), with a nudge for the
+// topic's own pillar. Each pick comes with its score and the words behind
+// it, and the daily run records them on the schedule entry.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createCorpus, cosine, sharedTerms } from './text-similarity.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const RESEARCH_FEED_PATH = path.join(__dirname, '..', 'research-feed.json');
+
+// A feed item has to score this much against a topic to go into its post;
+// set RESEARCH_MATCH_THRESHOLD to change it
+export const DEFAULT_MATCH_THRESHOLD = 0.2;
+// Added to the score when the research agent filed the item under the topic's pillar
+const PILLAR_BONUS = 0.1;
+// Items from a source suited to the topic's format (research-sources.json `formats`)
+const FORMAT_BONUS = 0.1;
+// Items the research agent rated below this are off-topic for SafetyTAP, whatever they share
+const MIN_RELEVANCE = 0.5;
+const MAX_MATCHES = 3;
+
+/** The research agent's feed, or null when it is missing or older than 48 hours. */
+export function loadResearchFeed(feedPath = RESEARCH_FEED_PATH) {
+  if (!fs.existsSync(feedPath)) {
+    console.log('No research feed found. Generating without current events.');
+    return null;
+  }
+
+  const feed = JSON.parse(fs.readFileSync(feedPath, 'utf-8'));
+
+  // Only use feed if it's less than 48 hours old
+  const feedAge = Date.now() - new Date(feed.generatedAt).getTime();
+  if (feedAge > 48 * 60 * 60 * 1000) {
+    console.log('Research feed is stale (>48h). Generating without current events.');
+    return null;
+  }
+
+  return feed;
+}
+
+// Words nearly every topic and article has; a feed is too small for TF-IDF
+// alone to tell that they say nothing
+const GENERIC_WORDS = /\b(safety|construction|jobsites?|sites?|workers?|work|crews?|training)\b/gi;
+
+function matchText(parts) {
+  return parts.filter(Boolean).join('. ').replace(GENERIC_WORDS, ' ');
+}
+
+/** What a topic is about: its title, keyword, concept and jobsite framing. */
+function topicText(topic) {
+  return matchText([topic.title, topic.targetKeyword, topic.psychologicalConcept, topic.constructionFraming]);
+}
+
+function itemText(item) {
+  return matchText([item.title, item.summary, ...(item.potentialAngles || [])]);
+}
+
+function matchReason({ item, similarity, pillarMatch, formatMatch, matched }, topic) {
+  const parts = [];
+  if (matched.length > 0) parts.push(`shares ${matched.map(w => `"${w}"`).join(', ')} with the topic (similarity ${similarity})`);
+  else parts.push('no words in common with the topic');
+  if (pillarMatch) parts.push(`filed under ${topic.pillar}`);
+  if (formatMatch) parts.push(`from a source for ${topic.format} posts`);
+  if ((item.weight ?? 1) !== 1) parts.push(`source weight ${item.weight}`);
+  if ((item.relevanceScore ?? 0) < MIN_RELEVANCE) parts.push(`rated ${item.relevanceScore ?? 'unscored'} for relevance by the research agent (below ${MIN_RELEVANCE})`);
+  return parts.join('; ');
+}
+
+/**
+ * Score every feed item against a topic, best first. An item's score is the
+ * TF-IDF cosine (lib/text-similarity.js) between its title, summary and
+ * angles and the topic's title, keyword, concept and framing, plus
+ * PILLAR_BONUS when the research agent filed it under the topic's pillar and
+ * FORMAT_BONUS when its source suits the topic's format, times its source's
+ * weight (lib/research-sources.js).
+ *
+ * @returns {{ item: object, score: number, similarity: number, pillarMatch: boolean, formatMatch: boolean, matched: string[], eligible: boolean, reason: string }[]}
+ *   matched: the words item and topic share, heaviest first; eligible: rated
+ *   relevant enough by the research agent to be used at all
+ */
+export function scoreResearch(topic, items) {
+  if (items.length === 0) return [];
+  const corpus = createCorpus([...items.map(itemText), topicText(topic)]);
+  const topicVector = corpus.vectors[items.length];
+
+  return items
+    .map((item, i) => {
+      const similarity = round(cosine(topicVector, corpus.vectors[i]));
+      const pillarMatch = !!topic.pillar && !!item.relevancePillars?.includes(topic.pillar);
+      const formatMatch = !!topic.format && !!item.formats?.includes(topic.format);
+      const bonus = (pillarMatch ? PILLAR_BONUS : 0) + (formatMatch ? FORMAT_BONUS : 0);
+      const match = {
+        item,
+        score: round((similarity + bonus) * (item.weight ?? 1)),
+        similarity,
+        pillarMatch,
+        formatMatch,
+        matched: sharedTerms(topicVector, corpus.vectors[i]).map(corpus.word),
+        eligible: (item.relevanceScore ?? 0) >= MIN_RELEVANCE,
+      };
+      return { ...match, reason: matchReason(match, topic) };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+/** The score a feed item needs to go into a post: RESEARCH_MATCH_THRESHOLD, or the default. */
+export function matchThreshold() {
+  const value = parseFloat(process.env.RESEARCH_MATCH_THRESHOLD);
+  return Number.isNaN(value) ? DEFAULT_MATCH_THRESHOLD : value;
+}
+
+/**
+ * The feed items that best match a topic, up to three, each with its score
+ * and the reason it was chosen (see scoreResearch).
+ *
+ * @param {{ threshold?: number, limit?: number }} [options]
+ */
+export function findRelevantResearch(topic, feed, { threshold = matchThreshold(), limit = MAX_MATCHES } = {}) {
+  if (!feed || !feed.items) return [];
+  return scoreResearch(topic, feed.items)
+    .filter(match => match.eligible && match.score >= threshold)
+    .slice(0, limit);
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
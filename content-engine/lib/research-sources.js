@@ -0,0 +1,276 @@
+// ============================================================================
+// SafetyTAP Research Sources
+// ============================================================================
+//
+// Where the research agent looks, read from research-sources.json. Each
+// source has an id, a name and a type:
+//
+//   rss, atom   a feed URL
+//   json        a JSON API (url) or file (path); `items` is the dot path to
+//               the array of items, `fields` maps title/url/date/description
+//               to the item's own field names
+//   csv         a CSV file, or a folder of them (path), or a URL; `fields`
+//               maps title/url/date/description to column names
+//   folder      a folder of reports (path): .html, .htm, .pdf, .txt, .md
+//
+// `adapter` reads records a source's own way instead (see
+// lib/research-adapters.js): osha-fatality for OSHA fatality and
+// catastrophe CSV exports, niosh-face for a folder of NIOSH FACE reports.
+//
+// Optional on every source:
+//
+//   weight    multiplies the score its items get against a topic (default 1)
+//   pillars   pillar hints: given to the analysis, and used when it names none
+//   formats   topic formats its items suit; a topic in one of them scores its
+//             items higher (incident records for incident-analysis posts)
+//   limit     newest items to take per run (default 20)
+//   enabled   false to leave the source out
+//
+// Paths are relative to content-engine/.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Parser from 'rss-parser';
+import { z } from 'zod';
+import { PILLARS, FORMATS } from './topics.js';
+import { withRetry } from './retry.js';
+import { parseCsv } from './csv.js';
+import { pdfText } from './pdf-text.js';
+import { ADAPTERS, isoDate } from './research-adapters.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const RESEARCH_SOURCES_PATH = path.join(__dirname, '..', 'research-sources.json');
+
+export const SOURCE_TYPES = ['rss', 'atom', 'json', 'csv', 'folder'];
+const FOLDER_EXTENSIONS = new Set(['.html', '.htm', '.pdf', '.txt', '.md']);
+
+const DEFAULT_LIMIT = 20;
+const FETCH_TIMEOUT_MS = 15000;
+const USER_AGENT = 'SafetyTAP-Research-Agent/1.0';
+
+const FIELD_DEFAULTS = {
+  title: ['title', 'name', 'headline'],
+  url: ['url', 'link', 'href'],
+  date: ['publishedDate', 'date', 'published', 'pubDate', 'updated'],
+  description: ['description', 'summary', 'abstract', 'content', 'body'],
+};
+
+// ---------------------------------------------------------------------------
+// Config
+// ---------------------------------------------------------------------------
+
+const sourceSchema = z.object({
+  id: z.string().regex(/^[a-z0-9-]+$/, 'lowercase letters, digits and dashes'),
+  name: z.string().min(1),
+  type: z.enum(SOURCE_TYPES),
+  url: z.string().url().optional(),
+  path: z.string().optional(),
+  adapter: z.enum(Object.keys(ADAPTERS)).optional(),
+  items: z.string().optional(),
+  fields: z.object({ title: z.string(), url: z.string(), date: z.string(), description: z.string() }).partial().strict().optional(),
+  weight: z.number().positive().default(1),
+  pillars: z.array(z.enum(PILLARS)).default([]),
+  formats: z.array(z.enum(FORMATS)).default([]),
+  limit: z.number().int().positive().default(DEFAULT_LIMIT),
+  enabled: z.boolean().default(true),
+}).strict()
+  .refine(s => !['rss', 'atom'].includes(s.type) || s.url, { message: 'rss and atom sources need a url' })
+  .refine(s => s.type !== 'folder' || s.path, { message: 'folder sources need a path' })
+  .refine(s => !['json', 'csv'].includes(s.type) || s.url || s.path, { message: 'json and csv sources need a url or a path' })
+  .refine(s => !s.adapter || ADAPTERS[s.adapter].types.includes(s.type), { message: 'adapter does not read this source type' })
+  .refine(s => s.type !== 'csv' || s.adapter || s.fields?.title, { message: 'csv sources need an adapter or fields.title' });
+
+/**
+ * Every source in research-sources.json, defaults filled in, disabled ones
+ * included. Throws with the offending fields listed if it doesn't validate.
+ */
+export function loadResearchSources(sourcesPath = RESEARCH_SOURCES_PATH) {
+  if (!fs.existsSync(sourcesPath)) {
+    throw new Error(`${path.basename(sourcesPath)} not found; the research agent needs at least one source`);
+  }
+  const result = z.array(sourceSchema).safeParse(JSON.parse(fs.readFileSync(sourcesPath, 'utf-8')));
+  if (!result.success) {
+    const problems = result.error.issues.map(issue => `${issue.path.join('.') || '(root)'}: ${issue.message}`);
+    throw new Error(`${path.basename(sourcesPath)} is invalid:\n  ${problems.join('\n  ')}`);
+  }
+  const ids = result.data.map(s => s.id);
+  const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (duplicate) throw new Error(`${path.basename(sourcesPath)}: source id "${duplicate}" is used twice`);
+  return result.data.map(source => ({
+    ...source,
+    ...(source.path ? { path: path.resolve(path.dirname(sourcesPath), source.path) } : {}),
+  }));
+}
+
+/** What a source adds to each of its items in the research feed: weight and formats. */
+export function sourceFeedFields(source) {
+  if (!source) return {};
+  return {
+    ...(source.weight !== 1 ? { weight: source.weight } : {}),
+    ...(source.formats.length > 0 ? { formats: source.formats } : {}),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Reading
+// ---------------------------------------------------------------------------
+
+// Carries the status and headers so withRetry can tell a 429/5xx from a 4xx
+function httpError(message, res) {
+  return Object.assign(new Error(message), { status: res.status, headers: res.headers });
+}
+
+async function fetchText(source) {
+  return withRetry(async () => {
+    const res = await fetch(source.url, { headers: { 'User-Agent': USER_AGENT }, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!res.ok) throw httpError(`${res.status} ${res.statusText}`, res);
+    return res.text();
+  }, { label: source.name, retries: 2 });
+}
+
+/** Plain text of an HTML page: scripts, styles and tags dropped, block ends as line breaks. */
+export function htmlText(html) {
+  return html
+    .replace(/<(script|style|nav|header|footer)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<\/(p|div|h[1-6]|li|tr|section|article)>|<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;|&rsquo;|&lsquo;/g, "'")
+    .replace(/&[a-z]+;|&#\d+;/gi, ' ')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n[\s\n]*/g, '\n')
+    .trim();
+}
+
+function cleanText(text) {
+  return String(text || '').replace(/<[^>]*>/g, '').replace(/&[a-z]+;/gi, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// A field by its configured name, or the first default name the record has
+function field(record, source, name) {
+  const names = source.fields?.[name] ? [source.fields[name]] : FIELD_DEFAULTS[name];
+  const value = names.map(n => n.split('.').reduce((v, key) => v?.[key], record)).find(v => v !== undefined && v !== null && v !== '');
+  return value === undefined ? '' : String(value);
+}
+
+function mappedItem(record, source) {
+  const title = cleanText(field(record, source, 'title'));
+  if (!title) return null;
+  return {
+    title,
+    url: field(record, source, 'url').trim(),
+    publishedDate: isoDate(field(record, source, 'date')),
+    rawDescription: cleanText(field(record, source, 'description')),
+  };
+}
+
+async function readFeed(source) {
+  const parser = new Parser({
+    timeout: FETCH_TIMEOUT_MS,
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: source.type === 'atom'
+        ? 'application/atom+xml, application/xml, text/xml, */*'
+        : 'application/rss+xml, application/xml, text/xml, */*',
+    },
+  });
+  const feed = await withRetry(() => parser.parseURL(source.url), { label: source.name, retries: 2 });
+  return (feed.items || []).map(item => ({
+    title: cleanText(item.title || 'Untitled'),
+    url: item.link || item.guid || item.id || '',
+    publishedDate: isoDate(item.isoDate || item.pubDate),
+    rawDescription: cleanText(item.contentSnippet || item.content || item.summary || ''),
+  }));
+}
+
+async function readJson(source) {
+  const data = JSON.parse(source.path ? fs.readFileSync(source.path, 'utf-8') : await fetchText(source));
+  const items = source.items ? source.items.split('.').reduce((v, key) => v?.[key], data) : data;
+  if (!Array.isArray(items)) throw new Error(`no array at ${source.items ? `"${source.items}"` : 'the top level'}`);
+  return items.map(record => mappedItem(record, source));
+}
+
+// A path to a file, or a folder of files with one of the extensions
+function filesAt(target, extensions) {
+  if (!fs.existsSync(target)) return [];
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target)
+    .filter(f => !f.startsWith('.') && extensions.has(path.extname(f).toLowerCase()))
+    .sort()
+    .map(f => path.join(target, f));
+}
+
+/** The files a local source reads now, or null for a source read from a URL. */
+export function localFiles(source) {
+  if (!source.path) return null;
+  const extensions = source.type === 'folder' ? FOLDER_EXTENSIONS : new Set([`.${source.type}`]);
+  return filesAt(source.path, extensions);
+}
+
+async function readCsv(source) {
+  const texts = source.path
+    ? localFiles(source).map(file => fs.readFileSync(file, 'utf-8'))
+    : [await fetchText(source)];
+  const read = source.adapter ? ADAPTERS[source.adapter].read : record => mappedItem(record, source);
+  return texts.flatMap(text => parseCsv(text).records.map(read));
+}
+
+function readFolder(source, skipped) {
+  const read = source.adapter ? ADAPTERS[source.adapter].read : ({ text, html, modifiedDate }) => {
+    const title = html?.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1].trim() || text.split('\n')[0];
+    return { title: cleanText(title), url: '', publishedDate: modifiedDate, rawDescription: cleanText(text.slice(title.length)) };
+  };
+  return localFiles(source).map(file => {
+    const ext = path.extname(file).toLowerCase();
+    const html = ext === '.html' || ext === '.htm' ? fs.readFileSync(file, 'utf-8') : null;
+    const text = ext === '.pdf' ? pdfText(fs.readFileSync(file)) : html !== null ? htmlText(html) : fs.readFileSync(file, 'utf-8');
+    if (!text) {
+      skipped.push({ file: path.basename(file), reason: 'no readable text (scanned PDF or embedded font?) — save it as HTML or text' });
+      return null;
+    }
+    const modifiedDate = fs.statSync(file).mtime.toISOString().split('T')[0];
+    const item = read({ file: path.basename(file), text, html, modifiedDate });
+    if (!item) skipped.push({ file: path.basename(file), reason: 'not a report the adapter recognizes' });
+    return item;
+  });
+}
+
+/**
+ * A source's newest items, as research items ready for analysis.
+ * Local sources whose path doesn't exist yet have no items.
+ *
+ * @returns {Promise<{ items: object[], skipped: { file: string, reason: string }[] }>}
+ *   items: { source, sourceName, title, url, publishedDate, rawDescription, pillarHints };
+ *   skipped: files in a folder that couldn't be read
+ */
+export async function readSource(source) {
+  const skipped = [];
+  let items;
+  if (source.type === 'rss' || source.type === 'atom') items = await readFeed(source);
+  else if (source.type === 'json') items = await readJson(source);
+  else if (source.type === 'csv') items = await readCsv(source);
+  else items = readFolder(source, skipped);
+
+  return {
+    items: items
+      .filter(Boolean)
+      .sort((a, b) => (b.publishedDate || '').localeCompare(a.publishedDate || ''))
+      .slice(0, source.limit)
+      .map(item => ({
+        source: source.id,
+        sourceName: source.name,
+        ...item,
+        publishedDate: item.publishedDate || new Date().toISOString().split('T')[0],
+        rawDescription: item.rawDescription.slice(0, 1000),
+        pillarHints: source.pillars,
+      })),
+    skipped,
+  };
+}
@@ -0,0 +1,72 @@
+// ============================================================================
+// SafetyTAP Retries
+// ============================================================================
+//
+// Retry with exponential backoff for transient failures: rate limits (429),
+// server errors (5xx), Anthropic's "overloaded" (529) and dropped
+// connections. Anything else fails immediately — a bad request or a missing
+// key won't fix itself on the next attempt.
+//
+// The model provider wraps every call in this, so every engine script gets
+// the same behavior. Tune it with LLM_MAX_RETRIES (default 4) and
+// LLM_RETRY_BASE_MS (default 2000).
+//
+// ============================================================================
+
+const DEFAULT_RETRIES = 4;
+const DEFAULT_BASE_MS = 2000;
+const MAX_DELAY_MS = 60_000;
+
+const NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT']);
+
+function statusOf(err) {
+  return err?.status ?? err?.statusCode ?? err?.response?.status;
+}
+
+/** True for errors worth retrying: 408, 409, 429, 5xx, overloaded, network drops. */
+export function isTransientError(err) {
+  const status = statusOf(err);
+  if (status === 408 || status === 409 || status === 429 || (status >= 500 && status < 600)) return true;
+  if (err?.error?.type === 'overloaded_error' || err?.type === 'overloaded_error') return true;
+  if (err?.name === 'APIConnectionError' || err?.name === 'APIConnectionTimeoutError') return true;
+  const code = err?.code || err?.cause?.code;
+  return NETWORK_CODES.has(code);
+}
+
+// Seconds from a retry-after header, when the error carries one
+function retryAfterMs(err) {
+  const headers = err?.headers;
+  const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `fn`, retrying transient failures with exponential backoff and jitter.
+ * Honors retry-after when the error has one.
+ *
+ * @param {() => Promise<any>} fn
+ * @param {{ retries?: number, baseMs?: number, label?: string, onRetry?: (info: { attempt: number, delayMs: number, err: Error }) => void }} options
+ */
+export async function withRetry(fn, options = {}) {
+  const retries = options.retries ?? parseInt(process.env.LLM_MAX_RETRIES || DEFAULT_RETRIES, 10);
+  const baseMs = options.baseMs ?? parseInt(process.env.LLM_RETRY_BASE_MS || DEFAULT_BASE_MS, 10);
+  const onRetry = options.onRetry || (({ attempt, delayMs, err }) => {
+    const status = statusOf(err);
+    console.warn(`${options.label || 'Request'} failed${status ? ` (${status})` : ''}: ${err.message} — retry ${attempt}/${retries} in ${Math.round(delayMs / 1000)}s`);
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= retries || !isTransientError(err)) throw err;
+      const backoff = Math.min(MAX_DELAY_MS, baseMs * 2 ** attempt);
+      const delayMs = retryAfterMs(err) ?? Math.round(backoff / 2 + Math.random() * backoff / 2);
+      onRetry({ attempt: attempt + 1, delayMs, err });
+      await sleep(delayMs);
+    }
+  }
+}
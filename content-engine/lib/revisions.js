@@ -0,0 +1,127 @@
+// ============================================================================
+// SafetyTAP Post Revision History
+// ============================================================================
+//
+// Every time a post's MDX is replaced — revised from an editorial note or
+// rolled back — the outgoing version is kept in the history folder with a
+// unified diff of what replaced it:
+//
+//   content-engine/history/<slug>/
+//     history.json   one record per archived version, oldest first
+//     v1.mdx         the post as it was before the first change
+//     v1.diff        unified diff from v1 to the version that replaced it
+//
+// The live MDX file is always the newest version (history length + 1).
+// Rolling back restores an earlier version's content but keeps the post's
+// current `draft` flag, so a live post stays live.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { createTwoFilesPatch } from 'diff';
+import { parseMdx, serializeMdx, validateFrontmatter } from './frontmatter.js';
+
+const MANIFEST = 'history.json';
+
+function postDir(historyDir, slug) {
+  return path.join(historyDir, slug);
+}
+
+/** Archived versions of a post, oldest first. */
+export function loadHistory(historyDir, slug) {
+  const manifestPath = path.join(postDir(historyDir, slug), MANIFEST);
+  if (!fs.existsSync(manifestPath)) return { slug, versions: [] };
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+}
+
+/** Number the live MDX file would get if it were archived now. */
+export function currentVersion(historyDir, slug) {
+  return loadHistory(historyDir, slug).versions.length + 1;
+}
+
+/** Raw MDX text of an archived version. */
+export function readVersion(historyDir, slug, version) {
+  const record = loadHistory(historyDir, slug).versions.find(v => v.version === version);
+  if (!record) throw new Error(`${slug} has no version ${version}`);
+  return fs.readFileSync(path.join(postDir(historyDir, slug), record.file), 'utf-8');
+}
+
+/** Unified diff stored for an archived version (what replaced it). */
+export function readDiff(historyDir, slug, version) {
+  const record = loadHistory(historyDir, slug).versions.find(v => v.version === version);
+  if (!record) return '';
+  const diffPath = path.join(postDir(historyDir, slug), record.diff);
+  return fs.existsSync(diffPath) ? fs.readFileSync(diffPath, 'utf-8') : '';
+}
+
+/**
+ * Archive the live text of a post before it is replaced by `nextText`.
+ *
+ * @param {string} historyDir
+ * @param {string} slug
+ * @param {string} previousText  MDX being replaced
+ * @param {string} nextText      MDX replacing it
+ * @param {{ reason: 'revision'|'rollback', note?: string, restoredVersion?: number }} meta
+ * @returns {object} The new history record
+ */
+export function archiveVersion(historyDir, slug, previousText, nextText, meta) {
+  const dir = postDir(historyDir, slug);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const history = loadHistory(historyDir, slug);
+  const version = history.versions.length + 1;
+  const file = `v${version}.mdx`;
+  const diff = `v${version}.diff`;
+
+  const patch = createTwoFilesPatch(
+    `${slug}.mdx (v${version})`,
+    `${slug}.mdx (v${version + 1})`,
+    previousText,
+    nextText,
+  );
+
+  fs.writeFileSync(path.join(dir, file), previousText, 'utf-8');
+  fs.writeFileSync(path.join(dir, diff), patch, 'utf-8');
+
+  const record = {
+    version,
+    file,
+    diff,
+    archivedAt: new Date().toISOString(),
+    replacedBy: meta.reason,
+    ...(meta.note ? { note: meta.note } : {}),
+    ...(meta.restoredVersion ? { restoredVersion: meta.restoredVersion } : {}),
+  };
+  history.versions.push(record);
+  fs.writeFileSync(path.join(dir, MANIFEST), JSON.stringify(history, null, 2), 'utf-8');
+
+  return record;
+}
+
+/**
+ * Replace a post with a new version, archiving the current one first.
+ * Returns the history record for the archived version.
+ */
+export function replacePost(historyDir, mdxPath, slug, nextText, meta) {
+  const previousText = fs.readFileSync(mdxPath, 'utf-8');
+  const record = archiveVersion(historyDir, slug, previousText, nextText, meta);
+  fs.writeFileSync(mdxPath, nextText, 'utf-8');
+  return record;
+}
+
+/**
+ * Restore an archived version's body. The live frontmatter stays, like a
+ * revision keeps it: the draft flag, an image uploaded since, backfilled
+ * sources and an edited TL;DR all survive. Returns { record, restoredVersion,
+ * version } where `version` is the number the live file now has.
+ */
+export function rollbackPost(historyDir, mdxPath, slug, version) {
+  const current = parseMdx(fs.readFileSync(mdxPath, 'utf-8'), mdxPath);
+  const restored = parseMdx(readVersion(historyDir, slug, version), `${slug} v${version}`);
+
+  validateFrontmatter(current.data, mdxPath);
+  const nextText = serializeMdx(current.data, restored.body, current.eol);
+  const record = replacePost(historyDir, mdxPath, slug, nextText, { reason: 'rollback', restoredVersion: version });
+  return { record, restoredVersion: version, version: record.version + 1 };
+}
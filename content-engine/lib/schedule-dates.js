@@ -0,0 +1,151 @@
+// ============================================================================
+// SafetyTAP Schedule Dates
+// ============================================================================
+//
+// Maps schedule days to calendar dates — the one place that does, for the
+// CLI, /admin/schedule and the GitHub workflow.
+//
+// Posts go out on publishing dates, set by the cadence in schedule.json:
+//
+//   "cadence": {
+//     "weekdays": ["mon", "wed", "fri"],        days of the week that publish
+//     "blackouts": ["2026-12-25"],              single dates that never publish
+//     "pauses": [{ "from": "2026-12-21", "to": "2026-12-27", "reason": "Shutdown" }]
+//   }
+//
+// With no cadence every date publishes. A day that still needs a post takes
+// the first publishing date after the day before it, and never before
+// startDate + (day - 1), so days keep their numbers when the cadence
+// changes and a pause pushes everything after it back. Once a post is
+// generated (or the day is skipped) the date stored on its entry wins, so
+// neither the cadence nor startDate ever re-dates a post that exists.
+//
+// Later seasons (seasons.json) can start on their own date, kept in
+// seasonStarts by the season's first day:
+//
+//   "seasonStarts": { "181": "2027-01-04" }
+//
+// From day 181 on, that date takes the place of startDate, so a season
+// planned after the last one ran out doesn't start in the past.
+//
+// All date math is UTC on "YYYY-MM-DD" strings.
+//
+// ============================================================================
+
+import { isOpen } from './post-status.js';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const DEFAULT_CADENCE = { weekdays: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'], blackouts: [], pauses: [] };
+
+// No cadence publishes less than once a year; past that it has no dates at all
+const MAX_GAP_DAYS = 366;
+
+export function todayUtc() {
+  return new Date().toISOString().split('T')[0];
+}
+
+export function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().split('T')[0];
+}
+
+/** Whole days from `from` to `to` (negative when `to` is earlier). */
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/** "mon".."sun" for a date. */
+export function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+/** The schedule's cadence with defaults filled in. */
+export function getCadence(schedule) {
+  return { ...DEFAULT_CADENCE, ...schedule.cadence };
+}
+
+/** Why nothing publishes on `date`, or null when it is a publishing date. */
+export function nonPublishingReason(schedule, date) {
+  const cadence = getCadence(schedule);
+  if (!cadence.weekdays.includes(weekdayOf(date))) {
+    return `${weekdayOf(date)} is not a publishing day (cadence: ${cadence.weekdays.join(', ')})`;
+  }
+  if (cadence.blackouts.includes(date)) return `${date} is a blackout date`;
+  const pause = cadence.pauses.find(p => p.from <= date && date <= p.to);
+  if (pause) return `publishing is paused ${pause.from} to ${pause.to}${pause.reason ? ` (${pause.reason})` : ''}`;
+  return null;
+}
+
+export function isPublishingDate(schedule, date) {
+  return nonPublishingReason(schedule, date) === null;
+}
+
+/** The first publishing date on or after `date`. */
+export function nextPublishingDate(schedule, date) {
+  for (let i = 0; i <= MAX_GAP_DAYS; i++) {
+    const candidate = addDays(date, i);
+    if (isPublishingDate(schedule, candidate)) return candidate;
+  }
+  throw new Error(`The schedule cadence has no publishing date within a year of ${date}. Check its weekdays, blackouts and pauses.`);
+}
+
+/**
+ * The start date that governs a day: startDate for season 1, or the
+ * seasonStarts entry of the season the day falls in.
+ *
+ * @returns {{ firstDay: number, date: string }}
+ */
+export function seasonStart(schedule, day) {
+  return Object.entries(schedule.seasonStarts || {})
+    .map(([firstDay, date]) => ({ firstDay: Number(firstDay), date }))
+    .filter(start => start.firstDay <= day)
+    .reduce((latest, start) => (start.firstDay > latest.firstDay ? start : latest), { firstDay: 1, date: schedule.startDate });
+}
+
+/** Set the start date that governs `firstDay` (mutates the schedule). */
+export function setSeasonStart(schedule, firstDay, date) {
+  if (firstDay === 1) {
+    schedule.startDate = date;
+  } else {
+    schedule.seasonStarts = { ...schedule.seasonStarts, [firstDay]: date };
+  }
+}
+
+/**
+ * Calendar date of every day from 1 to lastDay.
+ *
+ * @returns {Record<number, string>}
+ */
+export function scheduleDates(schedule, lastDay) {
+  const dates = {};
+  let previous = addDays(schedule.startDate, -1);
+  for (let day = 1; day <= lastDay; day++) {
+    const entry = schedule.posts?.[day];
+    if (entry?.date && !isOpen(entry)) {
+      dates[day] = entry.date;
+    } else {
+      const start = seasonStart(schedule, day);
+      const floor = addDays(start.date, day - start.firstDay);
+      const after = addDays(previous, 1);
+      dates[day] = nextPublishingDate(schedule, after > floor ? after : floor);
+    }
+    previous = dates[day];
+  }
+  return dates;
+}
+
+/** Calendar date for a schedule day. */
+export function getDateForDay(schedule, day) {
+  return scheduleDates(schedule, day)[day];
+}
+
+/** Days in 1..lastDay still waiting on a post whose date has already passed. */
+export function findMissedDays(schedule, lastDay, today = todayUtc()) {
+  const dates = scheduleDates(schedule, lastDay);
+  const missed = [];
+  for (let day = 1; day <= lastDay; day++) {
+    if (isOpen(schedule.posts?.[day]) && dates[day] < today) missed.push(day);
+  }
+  return missed;
+}
@@ -0,0 +1,179 @@
+// ============================================================================
+// SafetyTAP Schedule Rules
+// ============================================================================
+//
+// Spacing rules for the order topics run in, read from schedule-rules.json:
+//
+//   maxConsecutive   { pillar: 1 }                    no pillar two days running
+//   maxPerWeek       { format: { "deep-dive": 2 } }   per Monday-to-Sunday week
+//   weekdays         { format: { "field-tip": ["mon"] } }  only on these days
+//
+// Each rule works on "pillar" or "format". Skipped days publish nothing, so
+// they don't count as a neighbor. checkSchedule() is shared by the rebalance
+// command and /admin/schedule, so both report the same violations.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { POST_STATUS } from './post-status.js';
+import { WEEKDAYS, weekdayOf, scheduleDates } from './schedule-dates.js';
+import { seasonOfDay } from './topics.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SCHEDULE_RULES_PATH = path.join(__dirname, '..', 'schedule-rules.json');
+
+export const DEFAULT_RULES = {
+  maxConsecutive: { pillar: 1 },
+  maxPerWeek: {},
+  weekdays: {},
+};
+
+const FIELDS = ['pillar', 'format'];
+
+export function loadScheduleRules(rulesPath = SCHEDULE_RULES_PATH) {
+  if (!fs.existsSync(rulesPath)) return DEFAULT_RULES;
+  const rules = { ...DEFAULT_RULES, ...JSON.parse(fs.readFileSync(rulesPath, 'utf-8')) };
+
+  const unknown = [rules.maxConsecutive, rules.maxPerWeek, rules.weekdays]
+    .flatMap(Object.keys)
+    .filter(field => !FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`schedule-rules.json: unknown field "${unknown[0]}" (expected: ${FIELDS.join(', ')})`);
+  }
+  Object.values(rules.weekdays).flatMap(Object.values).flat().forEach(day => {
+    if (!WEEKDAYS.includes(day)) throw new Error(`schedule-rules.json: unknown weekday "${day}" (expected: ${WEEKDAYS.join(', ')})`);
+  });
+  return rules;
+}
+
+// Monday of the date's week, as "YYYY-MM-DD"
+function weekOf(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().split('T')[0];
+}
+
+/**
+ * Every day that will publish, in order, with the topic it runs. A day is
+ * movable until a post has been generated for it, unless it is pinned
+ * (`pinned: true` on its schedule entry).
+ *
+ * @param {object[]} [seasons]  From loadSeasons(); tags each slot with its season
+ * @returns {{ day: number, date: string, season: number|null, pillar: string, format: string, movable: boolean, topic: object }[]}
+ */
+export function scheduleSlots(topics, schedule, seasons = []) {
+  const dates = scheduleDates(schedule, topics.reduce((max, t) => Math.max(max, t.day), 0));
+  return [...topics]
+    .sort((a, b) => a.day - b.day)
+    .filter(topic => schedule.posts?.[topic.day]?.status !== POST_STATUS.SKIPPED)
+    .map(topic => {
+      const entry = schedule.posts?.[topic.day];
+      return {
+        day: topic.day,
+        date: dates[topic.day],
+        season: seasonOfDay(seasons, topic.day)?.season ?? null,
+        pillar: topic.pillar,
+        format: topic.format,
+        movable: !entry?.status && !entry?.pinned,
+        topic,
+      };
+    });
+}
+
+/**
+ * Check a schedule against the rules.
+ *
+ * @param {{ day: number, date: string, pillar: string, format: string }[]} entries  In publishing order, skipped days left out
+ * @param {object} rules  From loadScheduleRules()
+ * @returns {{ penalty: number, violations: { rule: string, days: number[], message: string }[] }}
+ *   penalty: how far over the rules the schedule is (a run two days too long counts 2)
+ */
+export function checkSchedule(entries, rules) {
+  const violations = [];
+  let penalty = 0;
+  const add = (rule, days, excess, message) => {
+    violations.push({ rule, days, message });
+    penalty += excess;
+  };
+
+  Object.entries(rules.maxConsecutive || {}).forEach(([field, max]) => {
+    let start = 0;
+    for (let i = 1; i <= entries.length; i++) {
+      if (i < entries.length && entries[i][field] === entries[start][field]) continue;
+      const run = entries.slice(start, i);
+      if (run.length > max) {
+        add('max-consecutive', run.map(e => e.day), run.length - max,
+          `${run.length} ${run[0][field]} posts in a row (days ${run[0].day}-${run[run.length - 1].day}); at most ${max} allowed.`);
+      }
+      start = i;
+    }
+  });
+
+  Object.entries(rules.maxPerWeek || {}).forEach(([field, limits]) => {
+    Object.entries(limits).forEach(([value, max]) => {
+      const weeks = new Map();
+      entries.filter(e => e[field] === value).forEach(e => {
+        const week = weekOf(e.date);
+        weeks.set(week, [...(weeks.get(week) || []), e]);
+      });
+      weeks.forEach((inWeek, week) => {
+        if (inWeek.length > max) {
+          add('max-per-week', inWeek.map(e => e.day), inWeek.length - max,
+            `${inWeek.length} ${value} posts in the week of ${week} (days ${inWeek.map(e => e.day).join(', ')}); at most ${max} allowed.`);
+        }
+      });
+    });
+  });
+
+  Object.entries(rules.weekdays || {}).forEach(([field, allowed]) => {
+    Object.entries(allowed).forEach(([value, days]) => {
+      entries.filter(e => e[field] === value && !days.includes(weekdayOf(e.date))).forEach(e => {
+        add('weekday', [e.day], 1, `Day ${e.day} is a ${value} on a ${weekdayOf(e.date)}; ${value} runs on ${days.join(', ')} only.`);
+      });
+    });
+  });
+
+  return { penalty, violations };
+}
+
+/**
+ * Reorder topics to break as many rules as few times as possible, moving
+ * only the movable slots, and only within a season so each season keeps its
+ * own topics. Repairs the current order one swap at a time, nearest slot
+ * first, so a schedule that already follows the rules comes back unchanged.
+ *
+ * @param {object[]} slots  From scheduleSlots()
+ * @returns {object[]}  The topics in their new order, one per slot
+ */
+export function rebalanceTopics(slots, rules, { maxPasses = 20 } = {}) {
+  const order = slots.map(s => s.topic);
+  const score = () => checkSchedule(slots.map((s, i) => ({ day: s.day, date: s.date, pillar: order[i].pillar, format: order[i].format })), rules);
+  const movable = slots.map((s, i) => (s.movable ? i : -1)).filter(i => i !== -1);
+  const indexOfDay = new Map(slots.map((s, i) => [s.day, i]));
+
+  let current = score();
+  for (let pass = 0; pass < maxPasses && current.penalty > 0; pass++) {
+    let improved = false;
+    const offending = [...new Set(current.violations.flatMap(v => v.days))]
+      .map(day => indexOfDay.get(day))
+      .filter(i => slots[i].movable);
+
+    for (const i of offending) {
+      const candidates = movable.filter(j => j !== i && slots[j].season === slots[i].season).sort((a, b) => Math.abs(a - i) - Math.abs(b - i));
+      for (const j of candidates) {
+        [order[i], order[j]] = [order[j], order[i]];
+        const next = score();
+        if (next.penalty < current.penalty) {
+          current = next;
+          improved = true;
+          break;
+        }
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+    if (!improved) break;
+  }
+  return order;
+}
@@ -0,0 +1,160 @@
+// ============================================================================
+// SafetyTAP Schedule Schema
+// ============================================================================
+//
+// The single definition of schedule.json, and the migrations that bring an
+// older file up to it. lib/schedule-store.js migrates every schedule it
+// reads and validates every schedule it writes.
+//
+// An entry's note, hero image and generation details are grouped:
+//
+//   note         { text, updatedAt, appliedAt }       the editorial note
+//   image        { path, source, photographer,         the hero image
+//                  fetchedAt, uploadedAt }
+//   generation   { at, hadResearch, hadNote,           how the post was written
+//                  researchMatches }
+//
+// Reports that belong to other modules (qualityReport, distribution,
+// toolboxTalk, translations) are checked for the fields the schedule reads
+// and otherwise kept as they come.
+//
+// To change the shape, bump SCHEMA_VERSION and add a migration for it.
+//
+// ============================================================================
+
+import { z } from 'zod';
+import { POST_STATUS } from './post-status.js';
+import { WEEKDAYS } from './schedule-dates.js';
+import { PILLARS, FORMATS } from './topics.js';
+
+export const SCHEMA_VERSION = 2;
+
+const date = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'expected YYYY-MM-DD');
+const dayKey = z.string().regex(/^[1-9]\d*$/, 'expected a day number');
+
+const noteSchema = z.object({
+  text: z.string(),
+  updatedAt: z.string().optional(),
+  appliedAt: z.string().optional(), // last time `daily --revise` applied it
+}).strict();
+
+const imageSchema = z.object({
+  path: z.string(),
+  source: z.enum(['pexels', 'upload']).optional(),
+  photographer: z.string().optional(),
+  fetchedAt: z.string().optional(),
+  uploadedAt: z.string().optional(),
+}).strict();
+
+const researchMatchSchema = z.object({
+  title: z.string(),
+  url: z.string().optional(),
+  score: z.number().optional(), // absent for articles an editor attached
+  reason: z.string(),
+}).strict();
+
+const generationSchema = z.object({
+  at: z.string(), // ISO time, or "pre-existing" for posts written before the schedule
+  hadResearch: z.boolean().optional(),
+  hadNote: z.boolean().optional(),
+  researchMatches: z.array(researchMatchSchema).optional(), // the research items used, and why
+}).strict();
+
+const reportSchema = z.object({ passed: z.boolean() }).passthrough();
+
+export const scheduleEntrySchema = z.object({
+  slug: z.string().optional(),
+  title: z.string().optional(),
+  date: date.optional(),
+  pillar: z.enum(PILLARS).optional(),
+  format: z.enum(FORMATS).optional(),
+  status: z.enum(Object.values(POST_STATUS)).optional(),
+  pinned: z.boolean().optional(),
+  note: noteSchema.optional(),
+  image: imageSchema.optional(),
+  generation: generationSchema.optional(),
+  research: z.array(z.string()).optional(), // research archive keys an editor attached
+  qualityReport: reportSchema.optional(),
+  uncitedResearchers: z.array(z.string()).optional(),
+  internalLinks: z.array(z.object({ slug: z.string(), mode: z.string() }).passthrough()).optional(),
+  distribution: z.object({ report: reportSchema }).passthrough().optional(),
+  toolboxTalk: z.object({ file: z.string(), report: reportSchema }).passthrough().optional(),
+  translations: z.record(z.object({ status: z.string() }).passthrough()).optional(),
+  approvedAt: z.string().optional(),
+  rejectedAt: z.string().optional(),
+  rejectionNote: z.string().optional(),
+  publishedAt: z.string().optional(),
+  skippedAt: z.string().optional(),
+  revisedAt: z.string().optional(),
+  rolledBackAt: z.string().optional(),
+  rolledBackTo: z.number().int().optional(),
+}).strict();
+
+export const scheduleSchema = z.object({
+  schemaVersion: z.literal(SCHEMA_VERSION),
+  startDate: date,
+  cadence: z.object({
+    weekdays: z.array(z.enum(WEEKDAYS)).min(1),
+    blackouts: z.array(date),
+    pauses: z.array(z.object({ from: date, to: date, reason: z.string().optional() }).strict()),
+  }).partial().strict().optional(),
+  seasonStarts: z.record(dayKey, date).optional(),
+  reslots: z.array(z.object({ at: z.string(), fromDay: z.number().int(), days: z.number().int() }).strict()).optional(),
+  posts: z.record(dayKey, scheduleEntrySchema),
+}).strict();
+
+// ---------------------------------------------------------------------------
+// Migrations
+// ---------------------------------------------------------------------------
+
+// Move flat fields into a group, dropping the group when none were set
+function group(entry, name, fields) {
+  const grouped = {};
+  Object.entries(fields).forEach(([from, to]) => {
+    if (entry[from] !== undefined) grouped[to] = entry[from];
+    delete entry[from];
+  });
+  if (Object.keys(grouped).length > 0) entry[name] = grouped;
+}
+
+// Each migration takes a schedule from the version before it (mutates it).
+// A file without schemaVersion is version 1.
+const MIGRATIONS = {
+  // Version 2: note, image and generation fields grouped; totalDays dropped
+  // (the topic bank and seasons.json say how long the schedule is)
+  2: schedule => {
+    delete schedule.totalDays;
+    Object.values(schedule.posts || {}).forEach(entry => {
+      if (entry.imageUploadedAt) entry.imageSource = 'upload';
+      group(entry, 'note', { editorialNote: 'text', noteUpdatedAt: 'updatedAt', noteAppliedAt: 'appliedAt' });
+      group(entry, 'image', {
+        heroImage: 'path', imageSource: 'source', imagePhotographer: 'photographer',
+        imageFetchedAt: 'fetchedAt', imageUploadedAt: 'uploadedAt',
+      });
+      group(entry, 'generation', { generatedAt: 'at', hadResearchIntegration: 'hadResearch', hadEditorialNote: 'hadNote' });
+      if (entry.note && !entry.note.text) delete entry.note;
+      if (entry.image && !entry.image.path) delete entry.image;
+    });
+  },
+};
+
+/**
+ * Bring a parsed schedule up to SCHEMA_VERSION (mutates it).
+ *
+ * @returns {{ schedule: object, from: number }}  from: the version it was at
+ */
+export function migrateSchedule(schedule) {
+  const from = schedule.schemaVersion ?? 1;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`schedule.json is schema version ${from}, newer than this code understands (${SCHEMA_VERSION}). Update the content engine.`);
+  }
+  for (let version = from + 1; version <= SCHEMA_VERSION; version++) MIGRATIONS[version](schedule);
+  schedule.schemaVersion = SCHEMA_VERSION;
+  return { schedule, from };
+}
+
+/** Problems with a schedule as "path: message" lines; empty when it is valid. */
+export function scheduleProblems(schedule) {
+  const result = scheduleSchema.safeParse(schedule);
+  return result.success ? [] : result.error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`);
+}
@@ -0,0 +1,188 @@
+// ============================================================================
+// SafetyTAP Schedule Store
+// ============================================================================
+//
+// Every read and write of schedule.json goes through here: the CLI
+// commands, /admin/schedule and the admin API routes.
+//
+//   - Reads migrate the file to the current schema (lib/schedule-schema.js).
+//   - Writes validate against the schema, then write a temp file and rename
+//     it over schedule.json, so a reader never sees half a file.
+//   - Writes hold schedule.json.lock, so two processes never interleave a
+//     read-modify-write. A lock older than LOCK_STALE_MS was left by a
+//     crashed process and is taken over.
+//
+// Two ways to write:
+//
+//   updateSchedule(change)   Read the latest file, apply `change`, write.
+//                            For quick edits. updateScheduleAsync() does the
+//                            same but waits for the lock without blocking,
+//                            for the admin API routes: a server must keep
+//                            answering while a CLI run holds the lock.
+//   saveSchedule(schedule)   For a schedule held in memory since
+//                            loadSchedule(), as the long-running commands
+//                            do. Only the fields changed since it was loaded
+//                            (or last saved) are written, onto the latest
+//                            file, so an editor's note saved mid-run
+//                            survives the run's own save.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SCHEMA_VERSION, migrateSchedule, scheduleProblems } from './schedule-schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const SCHEDULE_PATH = path.join(__dirname, '..', 'schedule.json');
+
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 50;
+
+// What each loaded schedule looked like when it was loaded or last saved
+const snapshots = new WeakMap();
+
+export function scheduleExists(schedulePath = SCHEDULE_PATH) {
+  return fs.existsSync(schedulePath);
+}
+
+function readSchedule(schedulePath) {
+  if (!fs.existsSync(schedulePath)) {
+    throw new Error('No schedule found. Run `content-engine schedule init` to create one.');
+  }
+  return migrateSchedule(JSON.parse(fs.readFileSync(schedulePath, 'utf-8'))).schedule;
+}
+
+/** A schedule that hasn't been saved yet; saveSchedule() creates the file. */
+export function newSchedule(startDate, { cadence, posts = {} } = {}) {
+  return { schemaVersion: SCHEMA_VERSION, startDate, ...(cadence ? { cadence } : {}), posts };
+}
+
+/** The schedule, migrated to the current schema. */
+export function loadSchedule(schedulePath = SCHEDULE_PATH) {
+  const schedule = readSchedule(schedulePath);
+  snapshots.set(schedule, structuredClone(schedule));
+  return schedule;
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+// Blocks the whole process; only for the CLI, which has nothing else to do
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Take the lock if it's free (or stale); false while another process holds it
+function tryLock(lockPath, deadline) {
+  try {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, at: new Date().toISOString() }), { flag: 'wx' });
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    const age = Date.now() - (fs.statSync(lockPath, { throwIfNoEntry: false })?.mtimeMs ?? Date.now());
+    if (age > LOCK_STALE_MS) {
+      fs.rmSync(lockPath, { force: true });
+      return tryLock(lockPath, deadline);
+    }
+    if (Date.now() > deadline) {
+      const locked = new Error(`schedule.json is locked by another process (${lockPath}). Try again, or delete the lock file if nothing else is running.`);
+      throw Object.assign(locked, { code: 'SCHEDULE_LOCKED' });
+    }
+    return false;
+  }
+}
+
+function withLock(schedulePath, fn) {
+  const lockPath = `${schedulePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (!tryLock(lockPath, deadline)) sleep(LOCK_RETRY_MS);
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+async function withLockAsync(schedulePath, fn) {
+  const lockPath = `${schedulePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  while (!tryLock(lockPath, deadline)) await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+function writeSchedule(schedule, schedulePath) {
+  const problems = scheduleProblems(schedule);
+  if (problems.length > 0) {
+    throw new Error(`Not saving an invalid schedule.json:\n  ${problems.slice(0, 10).join('\n  ')}`);
+  }
+  const tempPath = `${schedulePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ schemaVersion: schedule.schemaVersion, ...schedule }, null, 2), 'utf-8');
+  fs.renameSync(tempPath, schedulePath);
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Apply what changed from `base` to `mine` onto `target`, key by key. Plain
+// objects are merged down to the field that changed; anything else is
+// replaced whole.
+function applyChanges(target, base, mine) {
+  new Set([...Object.keys(base), ...Object.keys(mine)]).forEach(key => {
+    if (JSON.stringify(base[key]) === JSON.stringify(mine[key])) return;
+    if (isObject(mine[key]) && isObject(target[key]) && (isObject(base[key]) || base[key] === undefined)) {
+      applyChanges(target[key], base[key] || {}, mine[key]);
+    } else if (mine[key] === undefined) {
+      delete target[key];
+    } else {
+      target[key] = structuredClone(mine[key]);
+    }
+  });
+}
+
+/**
+ * Save a schedule from loadSchedule() (or a new one). Writes only its
+ * changes since it was loaded, onto the latest file.
+ */
+export function saveSchedule(schedule, schedulePath = SCHEDULE_PATH) {
+  withLock(schedulePath, () => {
+    const base = snapshots.get(schedule);
+    if (base && fs.existsSync(schedulePath)) {
+      const latest = readSchedule(schedulePath);
+      applyChanges(latest, base, schedule);
+      writeSchedule(latest, schedulePath);
+    } else {
+      writeSchedule(migrateSchedule(schedule).schedule, schedulePath);
+    }
+  });
+  snapshots.set(schedule, structuredClone(schedule));
+}
+
+/**
+ * Read the latest schedule, let `change` edit it, and write it back, all
+ * under the lock. Returns whatever `change` returns.
+ */
+export function updateSchedule(change, schedulePath = SCHEDULE_PATH) {
+  return withLock(schedulePath, () => applyUpdate(change, schedulePath));
+}
+
+/**
+ * updateSchedule() for a server: waits for the lock on a timer instead of
+ * blocking. Gives up after LOCK_TIMEOUT_MS with an error whose `code` is
+ * 'SCHEDULE_LOCKED'.
+ */
+export function updateScheduleAsync(change, schedulePath = SCHEDULE_PATH) {
+  return withLockAsync(schedulePath, () => applyUpdate(change, schedulePath));
+}
+
+function applyUpdate(change, schedulePath) {
+  const schedule = readSchedule(schedulePath);
+  const result = change(schedule);
+  writeSchedule(schedule, schedulePath);
+  return result;
+}
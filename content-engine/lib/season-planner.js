@@ -0,0 +1,232 @@
+// ============================================================================
+// SafetyTAP Season Planner
+// ============================================================================
+//
+// Plans the next season of the topic bank: N new days after the last one,
+// in the exact topic-bank.json shape.
+//
+//   1. Slots     each new day gets a pillar and a format from the target
+//                ratios (default: the current bank's mix), spread so the
+//                same pillar or format never runs two days in a row
+//   2. Angles    high-relevance research feed items lend their
+//                potentialAngles to slots in a matching pillar
+//   3. Topics    the model writes a topic per slot, in batches
+//   4. Checks    every topic must pass topicSchema and stay clear of the
+//                bank, topics.json and every written post (lib/topic-overlap.js);
+//                rejected slots go back to the model with the reason
+//
+// Topics still rejected after the replacement passes are dropped and the
+// remaining days renumbered, so the season never has holes.
+//
+// ============================================================================
+
+import fs from 'fs';
+import { TASKS } from './llm.js';
+import { TOPIC_BANK_SYSTEM_PROMPT, buildSeasonBrief } from './prompt.js';
+import { DEFAULT_TONE, FORMAT_LENGTHS, topicSchema, slugify } from './topics.js';
+import { collectTopicItems, findTopicOverlaps } from './topic-overlap.js';
+
+// Matches highRelevanceCount in the research agent's feed
+export const HIGH_RELEVANCE = 0.7;
+export const BATCH_SIZE = 10;
+export const REPLACEMENT_PASSES = 2;
+
+// ---------------------------------------------------------------------------
+// Slots
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse "hazard-recognition:3,crew-dynamics:1" into weights. Names must be
+ * in `allowed`; a name without a weight counts as 1.
+ */
+export function parseRatios(spec, allowed, label) {
+  const ratios = {};
+  spec.split(',').map(s => s.trim()).filter(Boolean).forEach(part => {
+    const [name, weight = '1'] = part.split(':').map(s => s.trim());
+    if (!allowed.includes(name)) {
+      throw new Error(`Unknown ${label} "${name}" (expected: ${allowed.join(', ')})`);
+    }
+    const value = parseFloat(weight);
+    if (!(value > 0)) throw new Error(`${label} "${name}" needs a positive weight, got "${weight}"`);
+    ratios[name] = value;
+  });
+  if (Object.keys(ratios).length === 0) throw new Error(`No ${label}s in "${spec}"`);
+  return ratios;
+}
+
+/** How often each value of a field appears in a list of topics. */
+export function currentMix(topics, field) {
+  return topics.reduce((mix, t) => ({ ...mix, [t[field]]: (mix[t[field]] || 0) + 1 }), {});
+}
+
+// Largest remainder, so the counts add up to exactly `count`
+function allocate(count, ratios) {
+  const total = Object.values(ratios).reduce((a, b) => a + b, 0);
+  const shares = Object.entries(ratios).map(([name, weight]) => {
+    const exact = (count * weight) / total;
+    return { name, n: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let left = count - shares.reduce((sum, s) => sum + s.n, 0);
+  [...shares].sort((a, b) => b.remainder - a.remainder).forEach(s => {
+    if (left > 0) { s.n++; left--; }
+  });
+  return Object.fromEntries(shares.map(s => [s.name, s.n]));
+}
+
+// Most remaining first, never the same as the day before unless nothing else is left
+function spread(counts) {
+  const remaining = { ...counts };
+  const order = [];
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  for (let i = 0; i < total; i++) {
+    const previous = order[order.length - 1];
+    const candidates = Object.entries(remaining).filter(([, n]) => n > 0).sort((a, b) => b[1] - a[1]);
+    const [name] = candidates.find(([candidate]) => candidate !== previous) || candidates[0];
+    remaining[name]--;
+    order.push(name);
+  }
+  return order;
+}
+
+/**
+ * Pillar and format for each new day.
+ *
+ * @returns {{ day: number, pillar: string, format: string }[]}
+ */
+export function planSlots(count, startDay, pillarRatios, formatRatios) {
+  const pillars = spread(allocate(count, pillarRatios));
+  const formats = spread(allocate(count, formatRatios));
+  return pillars.map((pillar, i) => ({ day: startDay + i, pillar, format: formats[i] }));
+}
+
+// ---------------------------------------------------------------------------
+// Research Angles
+// ---------------------------------------------------------------------------
+
+/** potentialAngles from high-relevance feed items, best first; one per item. */
+export function loadResearchAngles(feedPath, minScore = HIGH_RELEVANCE) {
+  if (!fs.existsSync(feedPath)) return [];
+  const feed = JSON.parse(fs.readFileSync(feedPath, 'utf-8'));
+  return (feed.items || [])
+    .filter(item => item.relevanceScore >= minScore && item.potentialAngles?.length > 0)
+    .sort((a, b) => b.relevanceScore - a.relevanceScore)
+    .map(item => ({
+      angle: item.potentialAngles[0],
+      title: item.title,
+      url: item.url || '',
+      pillars: item.relevancePillars || [],
+      relevanceScore: item.relevanceScore,
+    }));
+}
+
+/** Give each slot the best unused angle for its pillar, if there is one. Mutates the slots. */
+export function assignAngles(slots, angles) {
+  const unused = [...angles];
+  slots.forEach(slot => {
+    const index = unused.findIndex(a => a.pillars.includes(slot.pillar));
+    if (index !== -1) slot.angle = unused.splice(index, 1)[0];
+  });
+  return slots;
+}
+
+// ---------------------------------------------------------------------------
+// Topics
+// ---------------------------------------------------------------------------
+
+function parseTopics(text) {
+  const json = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?\s*```/)?.[1] || text.match(/\[[\s\S]*\]/)?.[0] || text;
+  const topics = JSON.parse(json);
+  if (!Array.isArray(topics)) throw new Error('Topic response is not a JSON array');
+  return topics;
+}
+
+/**
+ * Ask the model for one topic per slot. Returns the raw objects keyed by
+ * day; slots the model skipped are missing.
+ */
+export async function requestTopics(llm, slots, existing, rejected = []) {
+  const { text } = await llm.complete({
+    task: TASKS.TOPICS,
+    maxTokens: 8192,
+    system: TOPIC_BANK_SYSTEM_PROMPT,
+    messages: [{ role: 'user', content: buildSeasonBrief(slots, existing, rejected) }],
+  });
+  const byDay = {};
+  parseTopics(text).forEach((raw, i) => {
+    // Trust the slot order when the model drops or garbles the day
+    const day = slots.some(s => s.day === raw?.day) ? raw.day : slots[i]?.day;
+    if (day !== undefined) byDay[day] = raw;
+  });
+  return byDay;
+}
+
+/**
+ * Fill in the fields the slot decides and check the result against the
+ * topic-bank schema. Returns { topic } or { error }.
+ */
+export function finalizeTopic(raw, slot, takenSlugs) {
+  if (!raw) return { error: 'No topic came back for this slot.' };
+  const title = String(raw.title || '').trim();
+  let slug = /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(raw.slug || '') ? raw.slug : slugify(title);
+  for (let n = 2; takenSlugs.has(slug); n++) slug = `${slugify(title)}-${n}`;
+
+  const topic = {
+    day: slot.day,
+    slug,
+    title,
+    pillar: slot.pillar,
+    format: slot.format,
+    targetKeyword: String(raw.targetKeyword || '').trim().toLowerCase(),
+    psychologicalConcept: String(raw.psychologicalConcept || '').trim(),
+    constructionFraming: String(raw.constructionFraming || '').trim(),
+    researchReferences: Array.isArray(raw.researchReferences) ? raw.researchReferences.map(r => String(r).trim()).filter(Boolean) : [],
+    safetyTapConnection: String(raw.safetyTapConnection || '').trim(),
+    targetLength: FORMAT_LENGTHS[slot.format],
+    tone: DEFAULT_TONE,
+  };
+
+  const result = topicSchema.safeParse(topic);
+  if (!result.success) {
+    return { error: `Invalid topic: ${result.error.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; ')}.` };
+  }
+  if (topic.researchReferences.length === 0) return { error: 'No research references.' };
+  return { topic };
+}
+
+/**
+ * New topics that overlap anything already planned or written, with the
+ * reason. A new topic loses to every existing one, and to an earlier day in
+ * the same season.
+ *
+ * @returns {Map<number, string>}  day -> reason
+ */
+export function findDuplicates(candidates, { bank, adhoc, blogDir, today }) {
+  const items = collectTopicItems({ bank, adhoc, extra: candidates, extraLabel: 'season', blogDir, today });
+  const byId = new Map(items.map(i => [i.id, i]));
+  const rejected = new Map();
+
+  findTopicOverlaps(items).clusters.forEach(cluster => {
+    const fresh = cluster.members.filter(m => m.source === 'season').sort((a, b) => a.day - b.day);
+    if (fresh.length === 0) return;
+    const hasExisting = fresh.length < cluster.members.length;
+    const losers = hasExisting ? fresh : fresh.slice(1);
+
+    losers.forEach(member => {
+      // Name what it collides with: an existing topic if any, else the earlier new day
+      const links = cluster.pairs
+        .filter(p => p.a === member.id || p.b === member.id)
+        .map(p => ({ pair: p, other: byId.get(p.a === member.id ? p.b : p.a) }));
+      const { pair, other } = links.find(l => l.other.source !== 'season')
+        || links.find(l => l.other.day < member.day)
+        || links[0];
+      rejected.set(member.day, `Too close to ${other.source === 'season' ? `new day ${other.day}` : other.label} "${other.title}" (keyword "${other.keywords[0]}", similarity ${pair.score.toFixed(2)}).`);
+    });
+  });
+
+  return rejected;
+}
+
+/** "keyword — title" lines for everything the model has to stay clear of. */
+export function existingTopicLines(items) {
+  return items.map(i => `${i.keywords.join(' / ')} — ${i.title}`);
+}
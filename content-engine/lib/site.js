@@ -0,0 +1,20 @@
+// ============================================================================
+// SafetyTAP Site URLs
+// ============================================================================
+//
+// Absolute URLs for copy that leaves the site (distribution packs, the email
+// digest). SITE_URL overrides the default, which matches `site` in
+// astro.config.mjs.
+//
+// ============================================================================
+
+export const SITE_URL = (process.env.SITE_URL || 'https://safetytap.com').replace(/\/$/, '');
+
+export function postUrl(slug) {
+  return `${SITE_URL}/blog/${slug}`;
+}
+
+/** Make a site path like /images/blog/x.jpg absolute; full URLs pass through. */
+export function absoluteUrl(pathOrUrl) {
+  return /^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${SITE_URL}${pathOrUrl.startsWith('/') ? '' : '/'}${pathOrUrl}`;
+}
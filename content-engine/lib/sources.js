@@ -0,0 +1,126 @@
+// ============================================================================
+// SafetyTAP Post Sources
+// ============================================================================
+//
+// Builds the structured `sources` list a post carries in its frontmatter:
+// the topic's researchReferences plus every research-feed item the post was
+// asked to integrate, with its URL and date. BlogPost.astro renders the list
+// as a "Sources" section so readers can check the claims.
+//
+// Also finds researchers the body names that are not in that list, so an
+// editor can catch a citation the model made up or pulled from memory.
+//
+// ============================================================================
+
+// Honorifics, acronyms and sentence openers that look like names
+const NOT_SURNAMES = new Set([
+  'The', 'This', 'That', 'These', 'Those', 'Their', 'They', 'Then', 'When', 'What',
+  'Why', 'How', 'One', 'Two', 'Most', 'Some', 'Every', 'Research', 'Researchers',
+  'Studies', 'Study', 'Work', 'Later', 'Earlier', 'Other', 'Another', 'His', 'Her',
+  'SafetyTAP', 'OSHA', 'NIOSH', 'CPWR', 'BLS', 'ANSI', 'NASA', 'Dr', 'Professor',
+  'He', 'She', 'It', 'We', 'You', 'I', 'Nobody', 'Everyone', 'Someone', 'Nothing',
+  'Safety', 'Crews', 'Workers', 'Leaders', 'Supervisors', 'Foremen', 'People',
+]);
+
+// Verbs that follow a researcher's name when the body describes a finding
+const FINDING_VERBS = 'found|finds|showed|shows|demonstrated|demonstrates|discovered|documented|described|describes|coined|called|calls|argued|argues|observed|proposed|studied|tested|identified|named|measured|reported|ran|asked|noted|notes|concluded|labeled|labelled|put it|spent|famously';
+
+// "Simons & Chabris 1999 Gorillas in Our Midst — sustained inattentional..."
+const REFERENCE = /^(.+?)\s+((?:19|20)\d{2})\s+(.+)$/;
+
+// ---------------------------------------------------------------------------
+// Building
+// ---------------------------------------------------------------------------
+
+/** Parse a topic-bank research reference into a structured source. */
+export function parseReference(reference) {
+  const match = reference.match(REFERENCE);
+  if (!match) return { type: 'research', title: reference.trim(), citation: reference.trim() };
+
+  const [, authors, year, rest] = match;
+  const [title, note] = rest.split(/\s[—–]\s/);
+  return {
+    type: 'research',
+    authors: authors.trim(),
+    year: parseInt(year, 10),
+    title: title.trim(),
+    ...(note ? { note: note.trim() } : {}),
+    citation: reference.trim(),
+  };
+}
+
+/** Turn an integrated research-feed item into a structured source. */
+export function feedSource(item) {
+  return {
+    type: 'news',
+    title: item.title,
+    ...(item.sourceName ? { publisher: item.sourceName } : {}),
+    ...(item.url ? { url: item.url } : {}),
+    ...(item.publishedDate ? { date: item.publishedDate } : {}),
+  };
+}
+
+/**
+ * Sources for a post: the topic's research references first, then the
+ * research-feed items that were integrated into it.
+ */
+export function buildSources(topic, researchItems = []) {
+  return [
+    ...(topic.researchReferences || []).map(parseReference),
+    ...researchItems.map(feedSource),
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Checking
+// ---------------------------------------------------------------------------
+
+// "Simons & Chabris", "Fischer et al.", "Darley and Latané" -> surnames
+function sourceSurnames(sources) {
+  const surnames = new Set();
+  for (const source of sources) {
+    const text = source.type === 'research' ? (source.authors || source.title) : `${source.title} ${source.publisher || ''}`;
+    text
+      .replace(/\bet al\.?/g, '')
+      .split(/\s*(?:&|,|\band\b)\s*|\s+/)
+      .filter(w => /^\p{Lu}/u.test(w))
+      .forEach(w => surnames.add(w.replace(/[^\p{L}'-]/gu, '').toLowerCase()));
+  }
+  return surnames;
+}
+
+/**
+ * Researchers the body names that are not in `sources`. Looks for the ways
+ * the system prompt asks posts to cite: "psychologist Daniel Kahneman",
+ * "Simons and Chabris found", "Reason's Swiss cheese model". A group of
+ * co-authors counts as cited when any one of them is, since references
+ * usually list only the first ("Collins et al.").
+ *
+ * @returns {string[]} Surnames, in order of first mention
+ */
+export function findUncitedResearchers(body, sources) {
+  const name = "\\p{Lu}(?:'\\p{Lu})?[\\p{L}-]+";
+  const group = `((?:${name}\\s+)?${name}(?:,\\s+${name})*(?:,?\\s+(?:and|&)\\s+${name})?)`;
+  const patterns = [
+    new RegExp(`\\b(?:[Pp]sychologists?|[Rr]esearchers?|[Ss]ociologists?|[Pp]rofessor|Dr\\.?|[Ss]cientists?|[Ee]conomists?)\\s+${group}`, 'gu'),
+    new RegExp(`\\b${group}(?:\\s+et al\\.?)?(?:\\s+\\((?:19|20)\\d{2}\\))?\\s+(?:${FINDING_VERBS})\\b`, 'gu'),
+    new RegExp(`\\b(${name})'s\\s+(?:(?:19|20)\\d{2}\\s+)?(?:study|studies|research|experiment|experiments|model|theory|work|finding|findings)\\b`, 'gu'),
+  ];
+
+  const cited = sourceSurnames(sources);
+  const uncited = [];
+  const prose = body.replace(/^#{1,6}\s.*$/gm, '').replace(/\]\([^)]*\)/g, ']');
+
+  for (const pattern of patterns) {
+    for (const match of prose.matchAll(pattern)) {
+      // "Daniel Kahneman" -> Kahneman; "Collins, Brown, and Seaton" -> all three
+      const names = match[1].split(/\s*(?:,|\band\b|&)\s*/).filter(Boolean)
+        .map(n => n.trim().split(/\s+/).pop())
+        .filter(n => !NOT_SURNAMES.has(n) && !/ing$/.test(n));
+      if (names.length === 0 || names.some(n => cited.has(n.toLowerCase()))) continue;
+      names.filter(n => !uncited.includes(n)).forEach(n => uncited.push(n));
+    }
+  }
+
+  return uncited;
+}
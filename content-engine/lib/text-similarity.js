@@ -0,0 +1,133 @@
+// ============================================================================
+// SafetyTAP Text Similarity
+// ============================================================================
+//
+// TF-IDF vectors and cosine similarity for short texts: keywords, titles,
+// concept summaries. A corpus is built from every text being compared, so
+// words that appear everywhere ("construction", "safety") count for little
+// and the words that set a text apart count for more.
+//
+//   const corpus = createCorpus(texts);
+//   cosine(corpus.vectors[0], corpus.vectors[1])   // 0 (nothing shared) to 1
+//
+// Tokens are lowercased words with stopwords removed and a light suffix
+// strip, so "crews" matches "crew" and "blindness" stays "blindness".
+//
+// ============================================================================
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'during', 'each', 'even', 'every',
+  'for', 'from', 'had', 'has', 'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its',
+  'just', 'less', 'like', 'may', 'more', 'most', 'much', 'must', 'no', 'not', 'of',
+  'on', 'one', 'only', 'or', 'other', 'our', 'out', 'over', 'own', 's', 'same',
+  'should', 'so', 'some', 'such', 'than', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under',
+  'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while',
+  'who', 'why', 'will', 'with', 'without', 'would', 'you', 'your',
+  // Contractions, after the apostrophe is dropped
+  'arent', 'cant', 'didnt', 'doesnt', 'dont', 'isnt', 'theyre', 'wasnt',
+  'weve', 'wont', 'youre', 'vs',
+]);
+
+// Longest suffix first; the stem has to keep at least four letters
+const SUFFIXES = ['ations', 'ation', 'ings', 'ing', 'ies', 'ers', 'er', 'ed', 'es', 's'];
+
+function stem(word) {
+  if (word.endsWith('ss') || word.endsWith('ness')) return word;
+  for (const suffix of SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 4) {
+      return suffix === 'ies' ? `${word.slice(0, -3)}y` : word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+function words(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’']/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+/** Words of a text as comparable tokens. */
+export function tokenize(text) {
+  return words(text).map(stem);
+}
+
+function termCounts(tokens) {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Build TF-IDF vectors for a set of texts.
+ *
+ * @param {string[]} texts
+ * @returns {{ vectors: Map<string, number>[], idf: Map<string, number>, vectorize: (text: string) => Map<string, number>, word: (term: string) => string }}
+ *   vectors: one per text, in order; vectorize: weigh another text by this
+ *   corpus; word: the first full word seen for a stemmed term, for display
+ */
+export function createCorpus(texts) {
+  const surface = new Map();
+  texts.forEach(text => words(text).forEach(w => { if (!surface.has(stem(w))) surface.set(stem(w), w); }));
+  const documents = texts.map(text => termCounts(tokenize(text)));
+  const df = new Map();
+  documents.forEach(counts => counts.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1)));
+
+  // Smoothed so a term in every document still counts a little
+  const idf = new Map();
+  df.forEach((count, term) => idf.set(term, Math.log((1 + documents.length) / (1 + count)) + 1));
+  const unseen = Math.log(1 + documents.length) + 1;
+
+  const weigh = counts => {
+    const vector = new Map();
+    counts.forEach((count, term) => vector.set(term, count * (idf.get(term) ?? unseen)));
+    return vector;
+  };
+
+  return {
+    vectors: documents.map(weigh),
+    idf,
+    vectorize: text => weigh(termCounts(tokenize(text))),
+    word: term => surface.get(term) || term,
+  };
+}
+
+function norm(vector) {
+  let sum = 0;
+  vector.forEach(weight => { sum += weight * weight; });
+  return Math.sqrt(sum);
+}
+
+/** Cosine similarity of two TF-IDF vectors, 0 to 1. */
+export function cosine(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((weight, term) => {
+    const other = large.get(term);
+    if (other) dot += weight * other;
+  });
+  return dot === 0 ? 0 : dot / (norm(a) * norm(b));
+}
+
+/** Terms both vectors share, heaviest first — the "why" behind a score. */
+export function sharedTerms(a, b, limit = 5) {
+  return [...a.keys()]
+    .filter(term => b.has(term))
+    .sort((x, y) => a.get(y) * b.get(y) - a.get(x) * b.get(x))
+    .slice(0, limit);
+}
+
+/** Heaviest terms in a vector that are not in any of the others. */
+export function distinctiveTerms(vector, others = [], limit = 5) {
+  return [...vector.entries()]
+    .filter(([term]) => !others.some(other => other.has(term)))
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, limit)
+    .map(([term]) => term);
+}
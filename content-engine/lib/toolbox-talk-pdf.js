@@ -0,0 +1,114 @@
+// ============================================================================
+// SafetyTAP Toolbox Talk PDF
+// ============================================================================
+//
+// One letter-size page for the superintendent to print or forward: the
+// talk's four sections, then crew sign-in lines in whatever room is left.
+// Built at site build time by src/pages/blog/[slug]/toolbox-talk.pdf.ts from
+// the same data as the /blog/<slug>/toolbox-talk page.
+//
+// Uses the PDF standard fonts (Helvetica) so there is nothing to embed.
+//
+// ============================================================================
+
+import PDFDocument from 'pdfkit';
+
+// Brand colors from tailwind.config.mjs
+const COLORS = {
+  navy: '#1B2A4A',
+  teal: '#2A9D8F',
+  pale: '#E6F5F3',
+  dark: '#2D3748',
+  muted: '#718096',
+  rule: '#CBD5E0',
+};
+
+const MARGIN = 54;
+const SIGN_IN_LINE_HEIGHT = 26;
+const SIGN_IN_MAX_ROWS = 8;
+
+function sectionHeading(doc, text) {
+  doc.moveDown(0.9);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.teal)
+    .text(text.toUpperCase(), { characterSpacing: 1 });
+  doc.moveDown(0.3);
+}
+
+function body(doc, text, options = {}) {
+  doc.font('Helvetica').fontSize(11).fillColor(COLORS.dark)
+    .text(text, { lineGap: 3, ...options });
+}
+
+/**
+ * Render a toolbox talk as a one-page PDF.
+ *
+ * @param {{ title: string, date: string, url: string, talk: { scenario: string, concept: string, prompts: string[], takeaway: string } }} handout
+ *   date: "YYYY-MM-DD" publish date of the post; url: absolute URL of the post
+ * @returns {Promise<Buffer>}
+ */
+export function renderToolboxTalkPdf({ title, date, url, talk }) {
+  const doc = new PDFDocument({
+    size: 'LETTER',
+    margin: MARGIN,
+    info: { Title: `Toolbox Talk: ${title}`, Author: 'SafetyTAP' },
+  });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const width = doc.page.width - MARGIN * 2;
+  const bottom = doc.page.height - MARGIN;
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(9).fillColor(COLORS.teal)
+    .text('SAFETYTAP TOOLBOX TALK', { characterSpacing: 1.5 });
+  doc.moveDown(0.4);
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(COLORS.navy).text(title, { lineGap: 2 });
+  doc.moveDown(0.3);
+  const published = new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+  doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(`From the post of ${published}  ·  ${url}`);
+  doc.moveTo(MARGIN, doc.y + 8).lineTo(MARGIN + width, doc.y + 8).lineWidth(1).strokeColor(COLORS.rule).stroke();
+  doc.moveDown(0.6);
+
+  sectionHeading(doc, 'The Scenario');
+  body(doc, talk.scenario);
+
+  sectionHeading(doc, 'The Concept');
+  body(doc, talk.concept);
+
+  sectionHeading(doc, 'Talk It Over');
+  talk.prompts.forEach((prompt, i) => {
+    body(doc, `${i + 1}.  ${prompt}`, { indent: 0 });
+    doc.moveDown(0.3);
+  });
+
+  // Takeaway in a tinted box
+  sectionHeading(doc, "Today's Takeaway");
+  doc.font('Helvetica-Bold').fontSize(12);
+  const boxTop = doc.y;
+  const textHeight = doc.heightOfString(talk.takeaway, { width: width - 24, lineGap: 3 });
+  doc.rect(MARGIN, boxTop, width, textHeight + 20).fill(COLORS.pale);
+  doc.rect(MARGIN, boxTop, 4, textHeight + 20).fill(COLORS.teal);
+  doc.fillColor(COLORS.navy).text(talk.takeaway, MARGIN + 16, boxTop + 10, { width: width - 24, lineGap: 3 });
+  doc.x = MARGIN;
+  doc.y = boxTop + textHeight + 20;
+
+  // Sign-in lines fill the rest of the page, two names per row
+  sectionHeading(doc, 'Crew Sign-In');
+  body(doc, 'Date: ______________    Location: ______________________    Led by: ______________________', { width });
+  const firstRow = doc.y + 10;
+  const rows = Math.min(SIGN_IN_MAX_ROWS, Math.floor((bottom - firstRow) / SIGN_IN_LINE_HEIGHT));
+  const columnWidth = (width - 24) / 2;
+  for (let row = 0; row < rows; row++) {
+    const y = firstRow + (row + 1) * SIGN_IN_LINE_HEIGHT;
+    [MARGIN, MARGIN + columnWidth + 24].forEach(x => {
+      doc.moveTo(x, y).lineTo(x + columnWidth, y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+    });
+  }
+
+  doc.end();
+  return done;
+}
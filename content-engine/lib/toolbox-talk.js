@@ -0,0 +1,184 @@
+// ============================================================================
+// SafetyTAP Toolbox Talks
+// ============================================================================
+//
+// A one-page version of each post for the morning toolbox talk:
+//
+//   scenario    the post's jobsite scenario, short enough to read aloud
+//   concept     the psychological concept in two sentences
+//   prompts     three discussion questions for the crew
+//   takeaway    one thing to act on today
+//
+// Talks are stored as structured data next to the posts, in
+// src/content/toolbox-talks/<slug>.json, and rendered by the site at
+// /blog/<slug>/toolbox-talk (print layout) and /blog/<slug>/toolbox-talk.pdf
+// (built with toolbox-talk-pdf.js). The schema lives in blog-schema.js with
+// the other collection schemas.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toolboxTalkSchema } from './blog-schema.js';
+import { TASKS } from './llm.js';
+import { TOOLBOX_TALK_SYSTEM_PROMPT, buildToolboxTalkBrief } from './prompt.js';
+import { findBannedPhrases, hasExclamation, formatViolations, countSentences, countWords } from './quality-gate.js';
+import { plainText } from './distribution.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const TOOLBOX_TALKS_DIR = path.join(__dirname, '..', '..', 'src', 'content', 'toolbox-talks');
+
+const SCENARIO_WORDS = { min: 40, max: 110 };
+const TAKEAWAY_MAX_WORDS = 30;
+// Keeps the printed handout on one page with room for crew sign-in lines
+const TOTAL_MAX_WORDS = 320;
+
+const MAX_REVISION_PASSES = 1;
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/** Check a talk against its shape and the post rules. Same report shape as the quality gate. */
+export function validateToolboxTalk(talk) {
+  const violations = [];
+  const add = (rule, message, examples = []) => {
+    violations.push({ rule, message, examples: examples.slice(0, 3) });
+  };
+
+  const shape = toolboxTalkSchema.safeParse(talk);
+  if (!shape.success) {
+    add('shape', `Needs scenario, concept, exactly three prompts and a takeaway — ${shape.error.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; ')}.`);
+    return { passed: false, violations, checkedAt: new Date().toISOString() };
+  }
+
+  const scenarioWords = countWords(talk.scenario);
+  if (scenarioWords < SCENARIO_WORDS.min || scenarioWords > SCENARIO_WORDS.max) {
+    add('scenario-length', `The scenario is ${scenarioWords} words. Keep it between ${SCENARIO_WORDS.min} and ${SCENARIO_WORDS.max}.`);
+  }
+
+  if (countSentences(talk.concept) !== 2) {
+    add('concept-sentences', `The concept has ${countSentences(talk.concept)} sentence(s). Explain it in exactly two.`);
+  }
+
+  const notQuestions = talk.prompts.filter(p => !p.trim().endsWith('?'));
+  if (notQuestions.length > 0) {
+    add('prompts-questions', 'Every discussion prompt must be a question ending with a question mark.', notQuestions);
+  }
+
+  if (countSentences(talk.takeaway) !== 1 || countWords(talk.takeaway) > TAKEAWAY_MAX_WORDS) {
+    add('takeaway', `The takeaway must be one sentence of at most ${TAKEAWAY_MAX_WORDS} words.`, [talk.takeaway]);
+  }
+
+  const text = [talk.scenario, talk.concept, ...talk.prompts, talk.takeaway].join('\n');
+  if (hasExclamation(text)) {
+    add('no-exclamation-marks', 'Uses exclamation marks. Remove every one.');
+  }
+  const phraseHits = findBannedPhrases(text);
+  if (phraseHits.length > 0) {
+    add('no-cliches', `Uses banned cliches or buzzwords: ${phraseHits.map(p => `"${p}"`).join(', ')}.`, phraseHits);
+  }
+
+  const totalWords = countWords(text);
+  if (totalWords > TOTAL_MAX_WORDS) {
+    add('length', `The talk is ${totalWords} words. Cut it under ${TOTAL_MAX_WORDS} so it fits on one page.`);
+  }
+
+  return {
+    passed: violations.length === 0,
+    violations,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Generation
+// ---------------------------------------------------------------------------
+
+function parseTalk(text) {
+  const json = text.match(/```(?:json)?\s*\n?([\s\S]*?)\n?\s*```/)?.[1] || text.match(/\{[\s\S]*\}/)?.[0] || text;
+  const talk = JSON.parse(json);
+  return {
+    scenario: String(talk.scenario || '').trim(),
+    concept: String(talk.concept || '').trim(),
+    prompts: Array.isArray(talk.prompts) ? talk.prompts.map(p => String(p).trim()).filter(Boolean) : [],
+    takeaway: String(talk.takeaway || '').trim(),
+  };
+}
+
+async function requestTalk(llm, messages) {
+  const { text } = await llm.complete({
+    task: TASKS.TOOLBOX_TALK,
+    maxTokens: 1024,
+    system: TOOLBOX_TALK_SYSTEM_PROMPT,
+    messages,
+  });
+  return text;
+}
+
+/**
+ * Write the toolbox talk for a finished post.
+ *
+ * @param {object} llm   Provider already narrowed with withContext()
+ * @param {object} topic
+ * @param {string} body  Final post body (markdown, no frontmatter)
+ * @returns {Promise<{ talk: object, report: object }>}
+ */
+export async function generateToolboxTalk(llm, topic, body) {
+  const brief = buildToolboxTalkBrief(topic, plainText(body));
+  let text = await requestTalk(llm, [{ role: 'user', content: brief }]);
+  let talk = parseTalk(text);
+  let report = validateToolboxTalk(talk);
+  let revisionPasses = 0;
+
+  while (!report.passed && revisionPasses < MAX_REVISION_PASSES) {
+    revisionPasses++;
+    console.log(`Toolbox talk: ${report.violations.length} violation(s) — revision pass ${revisionPasses}/${MAX_REVISION_PASSES}`);
+    report.violations.forEach(v => console.log(`  [${v.rule}] ${v.message}`));
+    text = await requestTalk(llm, [
+      { role: 'user', content: brief },
+      { role: 'assistant', content: text },
+      {
+        role: 'user',
+        content: `This toolbox talk breaks the rules. Fix every problem below and keep everything else.\n\n${formatViolations(report)}\n\nReturn the full JSON object again and nothing else.`,
+      },
+    ]);
+    talk = parseTalk(text);
+    report = validateToolboxTalk(talk);
+  }
+
+  if (!report.passed) {
+    console.log(`Toolbox talk: ${report.violations.length} violation(s) left after ${revisionPasses} revision pass(es) — saving for editor review`);
+  }
+
+  return { talk: { ...talk, generatedAt: new Date().toISOString() }, report: { ...report, revisionPasses } };
+}
+
+/**
+ * Generate and save a post's toolbox talk. Non-fatal like the TL;DR: returns
+ * null on failure so the post itself is still saved. Checkpointed when a run
+ * is given.
+ *
+ * @returns {Promise<{ file: string, generatedAt: string, report: object } | null>}
+ */
+export async function writeToolboxTalk(llm, topic, body, run = null) {
+  console.log('Writing toolbox talk...');
+  try {
+    const { value: result, cached } = run
+      ? await run.step('toolbox-talk', () => generateToolboxTalk(llm, topic, body))
+      : { value: await generateToolboxTalk(llm, topic, body), cached: false };
+    if (cached) console.log('Using checkpointed toolbox talk');
+
+    // A talk that fails its checks is still saved; the schema only needs its shape
+    toolboxTalkSchema.parse(result.talk);
+    fs.mkdirSync(TOOLBOX_TALKS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(TOOLBOX_TALKS_DIR, `${topic.slug}.json`), `${JSON.stringify(result.talk, null, 2)}\n`, 'utf-8');
+    const file = `src/content/toolbox-talks/${topic.slug}.json`;
+    console.log(`Saved toolbox talk: ${file}`);
+    return { file, generatedAt: result.talk.generatedAt, report: result.report };
+  } catch (err) {
+    console.log(`Toolbox talk failed (non-fatal): ${err.message}`);
+    return null;
+  }
+}
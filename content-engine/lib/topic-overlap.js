@@ -0,0 +1,278 @@
+// ============================================================================
+// SafetyTAP Topic Overlap
+// ============================================================================
+//
+// Finds topics likely to compete with each other in search: the topic bank,
+// ad-hoc topics and the posts already written. Every pair is scored with
+// TF-IDF cosine similarity (lib/text-similarity.js) on three fields:
+//
+//   keyword   targetKeyword, plus the post's seoKeywords once it is written
+//   concept   psychologicalConcept (topics only)
+//   title
+//
+// A pair overlaps when its keywords are near-identical or its weighted score
+// passes the threshold. Overlapping pairs are joined into clusters, and each
+// cluster gets a suggestion:
+//
+//   merge         an unwritten topic with the same keyword and concept as
+//                 another; fold it in and free its slot
+//   re-angle      an unwritten topic that shares a keyword with another but
+//                 not the whole idea; give it a keyword of its own
+//   differentiate two written posts that share a keyword; point one at its
+//                 own angle and link them to each other
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { readPost } from './frontmatter.js';
+import { createCorpus, cosine, sharedTerms, distinctiveTerms } from './text-similarity.js';
+
+export const DEFAULT_THRESHOLD = 0.5;
+// Keywords this close compete for the same search whatever the rest says
+export const KEYWORD_THRESHOLD = 0.75;
+// Same keyword and this close on concept: one post, not two
+const MERGE_CONCEPT_THRESHOLD = 0.5;
+
+const WEIGHTS = { keyword: 0.5, concept: 0.3, title: 0.2 };
+
+// ---------------------------------------------------------------------------
+// Items
+// ---------------------------------------------------------------------------
+
+/**
+ * Everything to compare, one item per topic or post. A written post joins
+ * its topic (same slug) rather than being compared with it.
+ *
+ * @param {{ bank?: object[], adhoc?: object[], extra?: object[], extraLabel?: string, blogDir?: string, today?: string }} sources
+ *   extra: topics from another file (e.g. a batch about to be combined),
+ *   labeled with extraLabel
+ */
+export function collectTopicItems({ bank = [], adhoc = [], extra = [], extraLabel = 'file', blogDir = null, today = '' }) {
+  const posts = new Map();
+  if (blogDir && fs.existsSync(blogDir)) {
+    fs.readdirSync(blogDir).filter(f => f.endsWith('.mdx')).forEach(f => {
+      const { data } = readPost(path.join(blogDir, f));
+      posts.set(f.replace(/\.mdx$/, ''), data);
+    });
+  }
+
+  const used = new Set();
+  const item = (source, topic, label) => {
+    const post = posts.get(topic.slug);
+    if (post) used.add(topic.slug);
+    return {
+      id: `${source}:${topic.day ?? topic.slug}`,
+      source,
+      label,
+      day: topic.day ?? null,
+      slug: topic.slug,
+      title: topic.title,
+      keywords: [...new Set([topic.targetKeyword, ...(post?.seoKeywords || [])].filter(Boolean))],
+      concept: topic.psychologicalConcept || '',
+      // What sets a topic apart when the keyword doesn't: its title and jobsite framing
+      angle: [topic.title, topic.constructionFraming].filter(Boolean).join('. '),
+      status: postStatus(post, today),
+      researchReferences: topic.researchReferences || [],
+    };
+  };
+
+  const items = [
+    ...bank.map(t => item('bank', t, `day ${t.day}`)),
+    ...adhoc.map(t => item('adhoc', t, `topics.json ${t.slug}`)),
+    ...extra.map(t => item(extraLabel, t, `${extraLabel} ${t.day ? `day ${t.day}` : t.slug}`)),
+  ];
+
+  // Posts with no topic left in any file still hold their keywords
+  posts.forEach((data, slug) => {
+    if (used.has(slug)) return;
+    items.push({
+      id: `post:${slug}`,
+      source: 'post',
+      label: `post ${slug}`,
+      day: null,
+      slug,
+      title: data.title,
+      keywords: data.seoKeywords || [],
+      concept: '',
+      angle: [data.title, data.description].filter(Boolean).join('. '),
+      status: postStatus(data, today),
+      researchReferences: [],
+    });
+  });
+
+  return items;
+}
+
+function postStatus(post, today) {
+  if (!post) return 'open';
+  return !post.draft && (!today || post.date <= today) ? 'published' : 'written';
+}
+
+const isWritten = item => item.status !== 'open';
+
+// ---------------------------------------------------------------------------
+// Scoring
+// ---------------------------------------------------------------------------
+
+/**
+ * Score every pair of items and keep the ones that overlap.
+ *
+ * @returns {{ pairs: object[], angleCorpus: object }}
+ *   pairs: { a, b, keyword, concept, title, score, sharedKeywordTerms }, highest score first;
+ *   angleCorpus: TF-IDF over each item's title and framing, for re-angle hints
+ */
+export function scoreTopicPairs(items, { threshold = DEFAULT_THRESHOLD } = {}) {
+  // One corpus per field, so each field's common words are weighed against
+  // that field alone
+  const keywordTexts = items.flatMap(i => i.keywords);
+  const keywordCorpus = createCorpus(keywordTexts);
+  let offset = 0;
+  const keywordVectors = items.map(i => {
+    const vectors = keywordCorpus.vectors.slice(offset, offset + i.keywords.length);
+    offset += i.keywords.length;
+    return vectors;
+  });
+  const conceptCorpus = createCorpus(items.map(i => i.concept));
+  const titleCorpus = createCorpus(items.map(i => i.title));
+
+  const pairs = [];
+  for (let x = 0; x < items.length; x++) {
+    for (let y = x + 1; y < items.length; y++) {
+      let keyword = 0;
+      let best = null;
+      keywordVectors[x].forEach(a => keywordVectors[y].forEach(b => {
+        const score = cosine(a, b);
+        if (score > keyword) {
+          keyword = score;
+          best = [a, b];
+        }
+      }));
+      const hasConcepts = items[x].concept && items[y].concept;
+      const concept = hasConcepts ? cosine(conceptCorpus.vectors[x], conceptCorpus.vectors[y]) : null;
+      const title = cosine(titleCorpus.vectors[x], titleCorpus.vectors[y]);
+
+      const weights = hasConcepts ? WEIGHTS : { keyword: WEIGHTS.keyword, concept: 0, title: WEIGHTS.title };
+      const total = weights.keyword + weights.concept + weights.title;
+      const score = (keyword * weights.keyword + (concept || 0) * weights.concept + title * weights.title) / total;
+
+      if (keyword >= KEYWORD_THRESHOLD || score >= threshold) {
+        pairs.push({
+          a: items[x].id,
+          b: items[y].id,
+          keyword: round(keyword),
+          concept: concept === null ? null : round(concept),
+          title: round(title),
+          score: round(score),
+          sharedKeywordTerms: best ? sharedTerms(best[0], best[1]).map(keywordCorpus.word) : [],
+        });
+      }
+    }
+  }
+
+  pairs.sort((p, q) => q.score - p.score);
+  return { pairs, angleCorpus: createCorpus(items.map(i => i.angle)) };
+}
+
+const round = n => Math.round(n * 100) / 100;
+
+// ---------------------------------------------------------------------------
+// Clusters and Suggestions
+// ---------------------------------------------------------------------------
+
+function clusterPairs(items, pairs) {
+  const parent = new Map(items.map(i => [i.id, i.id]));
+  const find = id => (parent.get(id) === id ? id : find(parent.get(id)));
+  pairs.forEach(({ a, b }) => parent.set(find(a), find(b)));
+
+  const groups = new Map();
+  pairs.forEach(pair => {
+    const root = find(pair.a);
+    if (!groups.has(root)) groups.set(root, { ids: new Set(), pairs: [] });
+    const group = groups.get(root);
+    group.ids.add(pair.a);
+    group.ids.add(pair.b);
+    group.pairs.push(pair);
+  });
+  return [...groups.values()];
+}
+
+// The topic that keeps the keyword: a written post first, then the earliest
+// scheduled day, then whatever came first
+function pickKeeper(members) {
+  const rank = item => [isWritten(item) ? 0 : 1, item.day ?? Infinity];
+  return [...members].sort((p, q) => {
+    const [a, b] = [rank(p), rank(q)];
+    return a[0] - b[0] || a[1] - b[1];
+  })[0];
+}
+
+function suggest(member, keeper, pair, corpus, byId) {
+  const keeperVector = corpus.vectors[byId.get(keeper.id).index];
+  const angle = distinctiveTerms(corpus.vectors[byId.get(member.id).index], [keeperVector], 4).map(corpus.word);
+  const angleHint = angle.length > 0 ? ` Its own angle: ${angle.join(', ')}.` : '';
+
+  if (isWritten(member)) {
+    return {
+      action: 'differentiate',
+      target: member.id,
+      keeper: keeper.id,
+      message: `${member.label} and ${keeper.label} are both written and share the keyword "${member.keywords[0]}". Give ${member.label} seoKeywords for its own angle and link the two posts.${angleHint}`,
+    };
+  }
+
+  const sameIdea = pair.keyword >= KEYWORD_THRESHOLD && (pair.concept === null || pair.concept >= MERGE_CONCEPT_THRESHOLD);
+  if (sameIdea) {
+    return {
+      action: 'merge',
+      target: member.id,
+      keeper: keeper.id,
+      message: isWritten(keeper)
+        ? `${member.label} covers what ${keeper.label} already says. Fold its references into a revision of ${keeper.label} and give its slot to a new topic.`
+        : `${member.label} and ${keeper.label} are the same post. Merge ${member.label} into ${keeper.label} (keep the stronger framing and both sets of references) and give its slot to a new topic.`,
+    };
+  }
+
+  return {
+    action: 're-angle',
+    target: member.id,
+    keeper: keeper.id,
+    message: `${member.label} targets "${member.keywords[0]}", too close to ${keeper.label} ("${keeper.keywords[0]}"). Give it a keyword for what it adds.${angleHint}`,
+  };
+}
+
+/**
+ * Find clusters of topics likely to cannibalize each other.
+ *
+ * @param {object[]} items  From collectTopicItems()
+ * @param {{ threshold?: number }} options
+ * @returns {{ pairs: object[], clusters: { members: object[], keeper: string, pairs: object[], suggestions: object[] }[] }}
+ */
+export function findTopicOverlaps(items, { threshold = DEFAULT_THRESHOLD } = {}) {
+  const { pairs, angleCorpus } = scoreTopicPairs(items, { threshold });
+  const byId = new Map(items.map((item, index) => [item.id, { item, index }]));
+
+  const clusters = clusterPairs(items, pairs).map(({ ids, pairs: groupPairs }) => {
+    const members = [...ids].map(id => byId.get(id).item);
+    const keeper = pickKeeper(members);
+    const suggestions = members
+      .filter(m => m.id !== keeper.id)
+      .map(member => {
+        // Judge each member by its closest link to the keeper, or to anyone
+        // in the cluster when it only reached the keeper through another topic
+        const withKeeper = groupPairs.find(p => [p.a, p.b].includes(member.id) && [p.a, p.b].includes(keeper.id));
+        const closest = withKeeper || groupPairs.find(p => [p.a, p.b].includes(member.id));
+        return suggest(member, keeper, closest, angleCorpus, byId);
+      });
+    return {
+      members: members.map(({ id, source, label, day, slug, title, keywords, status }) => ({ id, source, label, day, slug, title, keyword: keywords[0], status })),
+      keeper: keeper.id,
+      pairs: groupPairs,
+      suggestions,
+    };
+  });
+
+  // Biggest problems first: the most topics, then the closest pair
+  clusters.sort((p, q) => q.members.length - p.members.length || q.pairs[0].score - p.pairs[0].score);
+  return { pairs, clusters };
+}
@@ -0,0 +1,157 @@
+// ============================================================================
+// SafetyTAP Topics
+// ============================================================================
+//
+// The shape of a post topic and where topics come from:
+//
+//   topic-bank.json   scheduled topics, one per day
+//   seasons.json      which days of the bank belong to which season, and its name
+//   topics.json       ad-hoc topics, generated on demand with `content-engine generate`
+//
+// The bank grows a season at a time (`content-engine season`, see
+// lib/season-planner.js); days keep counting up from the last season.
+//
+// Both go through the same generation pipeline. Ad-hoc topics only need a
+// title, keyword, concept and framing; everything else gets a default so
+// the brief, quality gate and frontmatter see the same fields a scheduled
+// topic has.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { z } from 'zod';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const TOPIC_BANK_PATH = path.join(__dirname, '..', 'topic-bank.json');
+export const ADHOC_TOPICS_PATH = path.join(__dirname, '..', 'topics.json');
+export const SEASONS_PATH = path.join(__dirname, '..', 'seasons.json');
+
+export const PILLARS = [
+  'hazard-recognition',
+  'cognitive-bias',
+  'crew-dynamics',
+  'learning-development',
+  'safety-culture',
+  'human-factors',
+  'risk-perception',
+  'incident-prevention',
+];
+
+// Target lengths match the format guidelines in the system prompt
+export const FORMAT_LENGTHS = {
+  'deep-dive': '1000-1200 words',
+  'field-tip': '400-600 words',
+  'myth-buster': '600-800 words',
+  'incident-analysis': '800-1000 words',
+  'research-spotlight': '600-800 words',
+  'leadership-brief': '600-800 words',
+};
+
+export const FORMATS = Object.keys(FORMAT_LENGTHS);
+
+export const DEFAULT_TONE = 'Accessible, construction-relevant, no jargon, respects the reader';
+const DEFAULT_CONNECTION = 'SafetyTAP builds the habit this post describes — one photo, one specific observation, back on the job';
+
+const slug = z.string().regex(/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'must be lowercase words joined by hyphens');
+
+export const topicSchema = z.object({
+  day: z.number().int().positive(),
+  slug,
+  title: z.string().min(1),
+  pillar: z.enum(PILLARS),
+  format: z.enum(FORMATS),
+  targetKeyword: z.string().min(1),
+  psychologicalConcept: z.string().min(1),
+  constructionFraming: z.string().min(1),
+  researchReferences: z.array(z.string()),
+  safetyTapConnection: z.string().min(1),
+  targetLength: z.string().min(1),
+  tone: z.string().min(1),
+});
+
+const adhocTopicSchema = topicSchema.omit({ day: true }).extend({
+  slug: slug.optional(),
+  pillar: z.enum(PILLARS).optional(),
+  format: z.enum(FORMATS).default('deep-dive'),
+  researchReferences: z.array(z.string()).default([]),
+  safetyTapConnection: z.string().default(DEFAULT_CONNECTION),
+  targetLength: z.string().optional(),
+  tone: z.string().default(DEFAULT_TONE),
+});
+
+export function slugify(title) {
+  return title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80).replace(/-$/, '');
+}
+
+function describeIssues(error) {
+  return error.issues.map(i => `${i.path.join('.') || '(root)'}: ${i.message}`).join('; ');
+}
+
+/** Fill in defaults for an ad-hoc topic and check it; throws with every issue listed. */
+export function toAdhocTopic(raw) {
+  const result = adhocTopicSchema.safeParse(raw);
+  if (!result.success) {
+    throw new Error(`Invalid topic "${raw?.slug || raw?.title || '?'}" — ${describeIssues(result.error)}`);
+  }
+  const topic = result.data;
+  return {
+    ...topic,
+    slug: topic.slug || slugify(topic.title),
+    targetLength: topic.targetLength || FORMAT_LENGTHS[topic.format],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Loading
+// ---------------------------------------------------------------------------
+
+export function loadTopicBank(bankPath = TOPIC_BANK_PATH) {
+  if (!fs.existsSync(bankPath)) {
+    throw new Error('topic-bank.json not found. Run the topic bank builder first.');
+  }
+  return JSON.parse(fs.readFileSync(bankPath, 'utf-8'));
+}
+
+export function saveTopicBank(topics, bankPath = TOPIC_BANK_PATH) {
+  const sorted = [...topics].sort((a, b) => a.day - b.day);
+  fs.writeFileSync(bankPath, JSON.stringify(sorted, null, 2), 'utf-8');
+}
+
+/** The last scheduled day in the bank — where the schedule ends until another season is added. */
+export function lastTopicDay(topics) {
+  return topics.reduce((max, t) => Math.max(max, t.day), 0);
+}
+
+/**
+ * Seasons of the topic bank, oldest first: { season, name?, firstDay, lastDay, ... }.
+ * Before seasons.json exists the whole bank is season 1. When each season
+ * starts is up to the schedule (seasonStarts in lib/schedule-dates.js).
+ */
+export function loadSeasons(topics, seasonsPath = SEASONS_PATH) {
+  if (fs.existsSync(seasonsPath)) return JSON.parse(fs.readFileSync(seasonsPath, 'utf-8'));
+  const lastDay = lastTopicDay(topics);
+  return lastDay > 0 ? [{ season: 1, firstDay: 1, lastDay }] : [];
+}
+
+export function saveSeasons(seasons, seasonsPath = SEASONS_PATH) {
+  fs.writeFileSync(seasonsPath, JSON.stringify(seasons, null, 2), 'utf-8');
+}
+
+/** The season a day belongs to, or undefined for a day outside every season. */
+export function seasonOfDay(seasons, day) {
+  return seasons.find(s => s.firstDay <= day && day <= s.lastDay);
+}
+
+/** "Season 2: Winter Hazards", or "Season 2" without a name. */
+export function seasonLabel(season) {
+  return `Season ${season.season}${season.name ? `: ${season.name}` : ''}`;
+}
+
+/** Ad-hoc topics from a JSON file holding one topic or an array of them. */
+export function loadAdhocTopics(file = ADHOC_TOPICS_PATH) {
+  if (!fs.existsSync(file)) throw new Error(`Topic file not found: ${file}`);
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  return (Array.isArray(data) ? data : [data]).map(toAdhocTopic);
+}
@@ -0,0 +1,174 @@
+// ============================================================================
+// SafetyTAP Translations
+// ============================================================================
+//
+// Spanish editions of blog posts. The translation keeps the English post's
+// frontmatter (date, tags, hero image, sources) and translates the title,
+// description, TL;DR, keywords and body, using the construction glossary in
+// prompt.js. Spanish editions live in src/content/blog-es/<slug>.mdx and are
+// served at /es/blog/<slug> once the English post is live.
+//
+// Each day's schedule entry tracks its editions:
+//
+//   translations: {
+//     es: { status, file, sourceHash, translatedAt, report }
+//   }
+//
+//   translated   the Spanish file matches the current English post
+//   stale        the English post changed after it was translated
+//   failed       the last attempt errored; the next run tries again
+//
+// sourceHash is taken from the English fields that get translated, so a
+// revision or rollback shows up as stale even when nobody marks it.
+//
+// ============================================================================
+
+import crypto from 'crypto';
+import { TASKS } from './llm.js';
+import { TRANSLATION_SYSTEM_PROMPT, buildTranslationBrief } from './prompt.js';
+import { hasExclamation } from './quality-gate.js';
+import { extractInternalLinks } from './internal-links.js';
+
+export const TRANSLATION_STATUS = {
+  TRANSLATED: 'translated',
+  STALE: 'stale',
+  FAILED: 'failed',
+};
+
+const MAX_REVISION_PASSES = 1;
+
+/** Hash of the English fields a translation is made from. */
+export function sourceHash(data, body) {
+  const source = JSON.stringify([data.title, data.description, data.tldr || '', data.seoKeywords || [], body.trim()]);
+  return crypto.createHash('sha256').update(source).digest('hex').slice(0, 16);
+}
+
+/** Current status of a day's Spanish edition given the English post on disk. */
+export function translationStatus(entry, data, body) {
+  const es = entry?.translations?.es;
+  if (!es) return null;
+  if (es.status === TRANSLATION_STATUS.TRANSLATED && es.sourceHash !== sourceHash(data, body)) {
+    return TRANSLATION_STATUS.STALE;
+  }
+  return es.status;
+}
+
+// ---------------------------------------------------------------------------
+// Parse and Check
+// ---------------------------------------------------------------------------
+
+function parseTranslation(text) {
+  const field = label => text.match(new RegExp(`^${label}:[ \\t]*(.*)$`, 'm'))?.[1].trim() || '';
+  const bodyStart = text.search(/^BODY:[ \t]*$/m);
+  if (!field('TITLE') || bodyStart === -1) {
+    throw new Error('Translation is missing TITLE or BODY');
+  }
+  return {
+    title: field('TITLE'),
+    description: field('DESCRIPTION'),
+    tldr: field('TLDR'),
+    seoKeywords: field('KEYWORDS').split('|').map(k => k.trim()).filter(Boolean),
+    body: text.slice(bodyStart).replace(/^BODY:[ \t]*\r?\n/, '').trim(),
+  };
+}
+
+const headingCount = body => (body.match(/^##\s/gm) || []).length;
+
+/**
+ * Check that a translation kept the post's structure and rules. Same report
+ * shape as the quality gate.
+ */
+export function validateTranslation(translated, sourceBody) {
+  const violations = [];
+  const add = (rule, message, examples = []) => {
+    violations.push({ rule, message, examples: examples.slice(0, 3) });
+  };
+
+  const expected = headingCount(sourceBody);
+  if (headingCount(translated.body) !== expected) {
+    add('headings', `The original has ${expected} ## heading(s); the translation has ${headingCount(translated.body)}. Keep every section.`);
+  }
+
+  const links = new Set(extractInternalLinks(translated.body).map(l => l.slug));
+  const dropped = extractInternalLinks(sourceBody).map(l => l.slug).filter(slug => !links.has(slug));
+  if (dropped.length > 0) {
+    add('links', `Links to ${dropped.map(s => `/blog/${s}`).join(', ')} are missing. Keep every link with its original URL.`, dropped);
+  }
+
+  const fields = [translated.title, translated.description, translated.tldr, translated.body];
+  if (fields.some(text => text.includes('¡') || hasExclamation(text))) {
+    add('no-exclamation-marks', 'Uses exclamation marks (¡ or !). Remove every one.');
+  }
+
+  return {
+    passed: violations.length === 0,
+    violations,
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Translate
+// ---------------------------------------------------------------------------
+
+async function requestTranslation(llm, messages) {
+  const { text } = await llm.complete({
+    task: TASKS.TRANSLATION,
+    maxTokens: 8192,
+    system: TRANSLATION_SYSTEM_PROMPT,
+    messages,
+  });
+  return text;
+}
+
+/**
+ * Translate an English post into Spanish.
+ *
+ * @param {object} llm   Provider already narrowed with withContext()
+ * @param {{ data: object, body: string }} post  English frontmatter and body
+ * @returns {Promise<{ data: object, body: string, report: object, sourceHash: string }>}
+ *   data: frontmatter for the Spanish MDX
+ */
+export async function translatePost(llm, { data, body }) {
+  const brief = buildTranslationBrief(data, body);
+  let text = await requestTranslation(llm, [{ role: 'user', content: brief }]);
+  let translated = parseTranslation(text);
+  let report = validateTranslation(translated, body);
+  let revisionPasses = 0;
+
+  while (!report.passed && revisionPasses < MAX_REVISION_PASSES) {
+    revisionPasses++;
+    console.log(`Translation: ${report.violations.length} violation(s) — revision pass ${revisionPasses}/${MAX_REVISION_PASSES}`);
+    report.violations.forEach(v => console.log(`  [${v.rule}] ${v.message}`));
+    text = await requestTranslation(llm, [
+      { role: 'user', content: brief },
+      { role: 'assistant', content: text },
+      {
+        role: 'user',
+        content: `Fix these problems and return the full translation again in the same format:\n\n${report.violations.map((v, i) => `${i + 1}. [${v.rule}] ${v.message}`).join('\n')}`,
+      },
+    ]);
+    translated = parseTranslation(text);
+    report = validateTranslation(translated, body);
+  }
+
+  if (!report.passed) {
+    console.log(`Translation: ${report.violations.length} violation(s) left after ${revisionPasses} revision pass(es) — saving for editor review`);
+  }
+
+  // Visibility follows the English post (see src/lib/blog.ts), so the
+  // Spanish file is never a draft itself
+  return {
+    data: {
+      ...data,
+      title: translated.title,
+      description: translated.description,
+      tldr: translated.tldr || undefined,
+      seoKeywords: translated.seoKeywords.length > 0 ? translated.seoKeywords : data.seoKeywords,
+      draft: false,
+    },
+    body: translated.body,
+    report: { ...report, revisionPasses },
+    sourceHash: sourceHash(data, body),
+  };
+}
@@ -0,0 +1,118 @@
+// ============================================================================
+// SafetyTAP Usage Ledger
+// ============================================================================
+//
+// Every model call made through the provider (content-engine scripts and the
+// /api/observe endpoint) appends one line to an append-only JSONL ledger:
+//
+//   {"at":"2026-03-01T11:02:13.000Z","source":"daily-generate","provider":"anthropic",
+//    "task":"post","model":"claude-sonnet-4-5-20250929","inputTokens":2210,
+//    "outputTokens":1630,"webSearches":0,"costUsd":0.031,"day":42,"slug":"..."}
+//
+// The ledger lives at content-engine/usage-ledger.jsonl (override with
+// USAGE_LEDGER_PATH) and is committed with the daily content, so CI runs
+// accumulate into the same file. Where the filesystem is read-only (the
+// observe endpoint on Vercel) the record is written to the server log
+// instead, prefixed with "usage-ledger:".
+//
+// Offline fixture calls cost nothing and are not recorded.
+//
+// Costs are estimates from the price table below — update it when pricing
+// changes. Prices are USD per million tokens.
+//
+// ============================================================================
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const LEDGER_PATH = process.env.USAGE_LEDGER_PATH
+  ? path.resolve(process.env.USAGE_LEDGER_PATH)
+  : path.join(__dirname, '..', 'usage-ledger.jsonl');
+
+// First match wins, so more specific model names come first
+const PRICING = [
+  { match: /opus-4-[5-9]/, input: 5, output: 25 },
+  { match: /opus/, input: 15, output: 75 },
+  { match: /sonnet/, input: 3, output: 15 },
+  { match: /haiku-4|3-5-haiku/, input: 1, output: 5 },
+  { match: /haiku/, input: 0.25, output: 1.25 },
+];
+
+// Server-side web search is billed per request on top of tokens
+const WEB_SEARCH_COST = 0.01;
+
+/** Price per million tokens for a model, or null when it isn't in the table. */
+export function priceFor(model) {
+  return PRICING.find(p => p.match.test(model || '')) || null;
+}
+
+/** Estimated USD cost of one call. Unknown models cost 0 and are flagged by the report. */
+export function estimateCost(model, { inputTokens = 0, outputTokens = 0, webSearches = 0 } = {}) {
+  const price = priceFor(model);
+  const tokens = price ? (inputTokens * price.input + outputTokens * price.output) / 1_000_000 : 0;
+  return Math.round((tokens + webSearches * WEB_SEARCH_COST) * 1_000_000) / 1_000_000;
+}
+
+/**
+ * Append one call to the ledger. Never throws — losing a ledger line must
+ * not fail a post or an observation.
+ */
+export function recordUsage({ source, provider, task, model, usage, day, slug }, ledgerPath = LEDGER_PATH) {
+  const entry = {
+    at: new Date().toISOString(),
+    source: source || 'unknown',
+    provider,
+    task,
+    model,
+    inputTokens: usage?.inputTokens || 0,
+    outputTokens: usage?.outputTokens || 0,
+    webSearches: usage?.webSearches || 0,
+    costUsd: estimateCost(model, usage),
+    ...(day ? { day } : {}),
+    ...(slug ? { slug } : {}),
+  };
+
+  try {
+    fs.appendFileSync(ledgerPath, `${JSON.stringify(entry)}\n`, 'utf-8');
+  } catch {
+    console.warn(`usage-ledger: ${JSON.stringify(entry)}`);
+  }
+  return entry;
+}
+
+/** All ledger entries, oldest first. Malformed lines are skipped. */
+export function readLedger(ledgerPath = LEDGER_PATH) {
+  if (!fs.existsSync(ledgerPath)) return [];
+  return fs.readFileSync(ledgerPath, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .flatMap(line => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+}
+
+/**
+ * Group entries and total them.
+ * @returns {Array<{ key: string, calls: number, inputTokens: number, outputTokens: number, webSearches: number, costUsd: number }>}
+ */
+export function summarize(entries, keyFn) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyFn(entry);
+    const group = groups.get(key) || { key, calls: 0, inputTokens: 0, outputTokens: 0, webSearches: 0, costUsd: 0 };
+    group.calls++;
+    group.inputTokens += entry.inputTokens || 0;
+    group.outputTokens += entry.outputTokens || 0;
+    group.webSearches += entry.webSearches || 0;
+    group.costUsd += entry.costUsd || 0;
+    groups.set(key, group);
+  }
+  return [...groups.values()].map(g => ({ ...g, costUsd: Math.round(g.costUsd * 10000) / 10000 }));
+}
@@ -0,0 +1,82 @@
+// ============================================================================
+// SafetyTAP Topic Browser
+// ============================================================================
+//
+// Lists the topic bank with each day's date and status, or shows one topic
+// in full — the brief fields the generator works from.
+//
+// Usage (via the content-engine CLI, `npm run topics -- ...`):
+//   content-engine topics                          # Every day: date, status, pillar, format, title
+//   content-engine topics --pillar crew-dynamics   # Only one pillar
+//   content-engine topics --format field-tip       # Only one format
+//   content-engine topics --open                   # Only days still waiting on a post
+//   content-engine topics --day 42                 # One topic in full
+//   content-engine topics --json
+//
+// ============================================================================
+
+import { isOpen } from './lib/post-status.js';
+import { scheduleDates, todayUtc } from './lib/schedule-dates.js';
+import { scheduleExists, loadSchedule, newSchedule } from './lib/schedule-store.js';
+import { loadTopicBank, lastTopicDay } from './lib/topics.js';
+import { COMMON, hasFlag, optionValue } from './lib/args.js';
+
+const PILLAR = optionValue('--pillar');
+const FORMAT = optionValue('--format');
+const OPEN_ONLY = hasFlag('--open');
+
+function loadOrEmptySchedule() {
+  return scheduleExists() ? loadSchedule() : newSchedule(todayUtc());
+}
+
+function showTopic(topic, entry, date) {
+  console.log(`\n  Day ${topic.day}: ${topic.title}\n`);
+  console.log(`  Slug:        ${topic.slug}`);
+  console.log(`  Date:        ${date}`);
+  console.log(`  Status:      ${entry?.status || 'pending'}`);
+  console.log(`  Pillar:      ${topic.pillar}`);
+  console.log(`  Format:      ${topic.format} (${topic.targetLength})`);
+  console.log(`  Keyword:     ${topic.targetKeyword}`);
+  console.log(`  Concept:     ${topic.psychologicalConcept}`);
+  console.log(`  Framing:     ${topic.constructionFraming}`);
+  console.log(`  References:  ${topic.researchReferences.join('; ')}`);
+  console.log(`  SafetyTAP:   ${topic.safetyTapConnection}`);
+  if (entry?.note?.text) console.log(`  Note:        ${entry.note.text}`);
+  console.log('');
+}
+
+export async function run() {
+  const topics = loadTopicBank();
+  const schedule = loadOrEmptySchedule();
+  const posts = schedule.posts || {};
+  const dates = scheduleDates(schedule, lastTopicDay(topics));
+
+  if (COMMON.day) {
+    const topic = topics.find(t => t.day === COMMON.day);
+    if (!topic) throw new Error(`No topic found for day ${COMMON.day}`);
+    const date = dates[topic.day];
+    showTopic(topic, posts[topic.day], date);
+    return { ...topic, date, status: posts[topic.day]?.status || 'pending' };
+  }
+
+  const rows = topics
+    .filter(t => !PILLAR || t.pillar === PILLAR)
+    .filter(t => !FORMAT || t.format === FORMAT)
+    .filter(t => !OPEN_ONLY || isOpen(posts[t.day]))
+    .map(t => ({
+      day: t.day,
+      date: dates[t.day],
+      status: posts[t.day]?.status || 'pending',
+      pillar: t.pillar,
+      format: t.format,
+      slug: t.slug,
+      title: t.title,
+    }));
+
+  console.log(`\n  SafetyTAP Topic Bank — ${rows.length} of ${topics.length} topics\n`);
+  rows.forEach(r => {
+    console.log(`  ${String(r.day).padStart(3)}  ${r.date}  ${r.status.padEnd(9)}  ${r.pillar.padEnd(20)}  ${r.format.padEnd(18)}  ${r.title}`);
+  });
+  console.log('');
+  return { total: topics.length, topics: rows };
+}
@@ -0,0 +1,221 @@
+// ============================================================================
+// SafetyTAP Season Planner
+// ============================================================================
+//
+// Adds the next season to the topic bank: N new days after the last one, in
+// the exact topic-bank.json shape, so the schedule, daily run and admin pick
+// them up like any other day. See lib/season-planner.js for how slots are
+// planned and topics checked.
+//
+// Pillar and format ratios default to the current bank's mix. High-relevance
+// research feed items (research-feed.json) lend their potentialAngles to
+// slots in a matching pillar. Every topic is validated and checked against
+// the bank, topics.json and every written post; the season is appended to
+// topic-bank.json and recorded in seasons.json.
+//
+// The season starts on --start (default today) or as soon as the one before
+// it ends, whichever is later; schedule.json records the date in
+// seasonStarts. Days already scheduled or published don't change.
+//
+// Usage (via the content-engine CLI, `npm run season -- ...`):
+//   content-engine season --count 60                          # Next 60 days, current mix
+//   content-engine season --count 60 --name "Winter Hazards" --start 2027-01-04
+//   content-engine season --count 30 --pillars hazard-recognition:3,crew-dynamics:1
+//   content-engine season --count 30 --formats deep-dive:2,field-tip:1
+//   content-engine season --count 60 --dry-run                # Show the slot plan, no model calls
+//   content-engine season --count 60 --fresh                  # Ignore checkpoints from an earlier failed run
+//   content-engine season --count 60 --json
+//
+// ============================================================================
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createProvider } from './lib/llm.js';
+import { openRun, runKey } from './lib/checkpoint.js';
+import { RESEARCH_FEED_PATH } from './lib/research-feed.js';
+import { collectTopicItems } from './lib/topic-overlap.js';
+import {
+  PILLARS, FORMATS, ADHOC_TOPICS_PATH,
+  loadTopicBank, loadAdhocTopics, saveTopicBank, lastTopicDay, loadSeasons, saveSeasons,
+} from './lib/topics.js';
+import {
+  BATCH_SIZE, REPLACEMENT_PASSES,
+  parseRatios, currentMix, planSlots, loadResearchAngles, assignAngles,
+  requestTopics, finalizeTopic, findDuplicates, existingTopicLines,
+} from './lib/season-planner.js';
+import { todayUtc, setSeasonStart } from './lib/schedule-dates.js';
+import { scheduleExists, updateSchedule } from './lib/schedule-store.js';
+import { COMMON, hasFlag, intOption, optionValue } from './lib/args.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const BLOG_DIR = path.join(__dirname, '..', 'src', 'content', 'blog');
+const RUNS_DIR = path.join(__dirname, 'runs');
+
+const DRY_RUN = COMMON.dryRun;
+const FRESH_RUN = hasFlag('--fresh');
+const COUNT = intOption('--count');
+const PILLAR_SPEC = optionValue('--pillars');
+const FORMAT_SPEC = optionValue('--formats');
+const NAME = optionValue('--name');
+const START_DATE = optionValue('--start', todayUtc());
+
+// Only seasonStarts changes; every existing day keeps its entry
+function scheduleSeasonStart(firstDay, date) {
+  if (!scheduleExists()) return false;
+  updateSchedule(schedule => setSeasonStart(schedule, firstDay, date));
+  return true;
+}
+
+function printMix(label, mix) {
+  const total = Object.values(mix).reduce((a, b) => a + b, 0);
+  console.log(`  ${label}`);
+  Object.entries(mix).sort((a, b) => b[1] - a[1]).forEach(([name, n]) => {
+    console.log(`    ${name.padEnd(22)} ${String(n).padStart(3)}  (${Math.round((n / total) * 100)}%)`);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+export async function run() {
+  console.log('\n  SafetyTAP Season Planner');
+  if (DRY_RUN) console.log('  MODE: DRY RUN');
+  console.log('');
+
+  if (!(COUNT > 0)) throw new Error('How many days? Pass --count N (e.g. --count 60).');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(START_DATE)) throw new Error(`--start needs a date as YYYY-MM-DD, got "${START_DATE}"`);
+
+  const bank = loadTopicBank();
+  const adhoc = fs.existsSync(ADHOC_TOPICS_PATH) ? loadAdhocTopics() : [];
+  const seasons = loadSeasons(bank);
+  const season = (seasons[seasons.length - 1]?.season || 0) + 1;
+  const startDay = lastTopicDay(bank) + 1;
+
+  const pillarRatios = PILLAR_SPEC ? parseRatios(PILLAR_SPEC, PILLARS, 'pillar') : currentMix(bank, 'pillar');
+  const formatRatios = FORMAT_SPEC ? parseRatios(FORMAT_SPEC, FORMATS, 'format') : currentMix(bank, 'format');
+  const slots = assignAngles(planSlots(COUNT, startDay, pillarRatios, formatRatios), loadResearchAngles(RESEARCH_FEED_PATH));
+
+  console.log(`Season ${season}${NAME ? `: ${NAME}` : ''}: days ${startDay}-${startDay + COUNT - 1} (${COUNT} topics), starting ${START_DATE} at the earliest`);
+  printMix('Pillars', currentMix(slots, 'pillar'));
+  printMix('Formats', currentMix(slots, 'format'));
+  console.log(`  Research angles: ${slots.filter(s => s.angle).length} slot(s)`);
+
+  if (DRY_RUN) {
+    console.log('\nSlots:');
+    slots.forEach(s => {
+      console.log(`  Day ${s.day}  ${s.pillar.padEnd(22)} ${s.format}`);
+      if (s.angle) console.log(`           angle: ${s.angle.angle} (${s.angle.relevanceScore}, "${s.angle.title}")`);
+    });
+    console.log('');
+    return { dryRun: true, season, name: NAME, startDay, startDate: START_DATE, slots };
+  }
+
+  const provider = createProvider(undefined, { source: 'season' });
+  if (provider.credentialError) {
+    throw new Error(`${provider.credentialError} (or set LLM_PROVIDER=fixture to run offline)`);
+  }
+
+  const today = todayUtc();
+  const run = openRun(RUNS_DIR, `season-${season}`, runKey({ startDay, slots }), { fresh: FRESH_RUN });
+  if (run.resumed) console.log(`\nResuming from checkpoint (${run.steps().join(', ')})`);
+
+  const blogSlugs = fs.existsSync(BLOG_DIR) ? fs.readdirSync(BLOG_DIR).map(f => f.replace(/\.mdx$/, '')) : [];
+  const takenSlugs = new Set([...bank, ...adhoc].map(t => t.slug).concat(blogSlugs));
+  const accepted = [];
+  let pending = slots;
+  let rejections = [];
+
+  // Each batch is checked against everything before it, including the
+  // topics this season already accepted
+  for (let pass = 0; pass <= REPLACEMENT_PASSES && pending.length > 0; pass++) {
+    if (pass > 0) console.log(`\nReplacement pass ${pass}: ${pending.length} slot(s)`);
+    const retry = [];
+    const retryReasons = [];
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+      const batch = pending.slice(i, i + BATCH_SIZE);
+      const sources = { bank: [...bank, ...accepted], adhoc, blogDir: BLOG_DIR, today };
+      const existing = existingTopicLines(collectTopicItems(sources));
+      const batchRejections = rejections.filter(r => batch.some(s => s.day === r.day));
+
+      const step = `pass-${pass}-batch-${i / BATCH_SIZE + 1}`;
+      const range = batch.length > 1 ? `days ${batch[0].day}-${batch[batch.length - 1].day}` : `day ${batch[0].day}`;
+      console.log(`\nRequesting ${range}...`);
+      const { value: byDay, cached } = await run.step(step, () =>
+        requestTopics(provider, batch, existing, batchRejections));
+      if (cached) console.log('  (from checkpoint)');
+
+      const candidates = [];
+      batch.forEach(slot => {
+        const { topic, error } = finalizeTopic(byDay[slot.day], slot, takenSlugs);
+        if (error) {
+          retryReasons.push({ day: slot.day, reason: error });
+          return;
+        }
+        takenSlugs.add(topic.slug);
+        candidates.push(topic);
+      });
+
+      const duplicates = findDuplicates(candidates, sources);
+      candidates.forEach(topic => {
+        if (duplicates.has(topic.day)) {
+          retryReasons.push({ day: topic.day, reason: duplicates.get(topic.day) });
+          return;
+        }
+        accepted.push(topic);
+        console.log(`  OK   day ${topic.day}  "${topic.targetKeyword}"`);
+      });
+      batch.filter(s => retryReasons.some(r => r.day === s.day)).forEach(slot => {
+        retry.push(slot);
+        console.log(`  FAIL day ${slot.day}  ${retryReasons.find(r => r.day === slot.day).reason}`);
+      });
+    }
+
+    pending = retry;
+    rejections = retryReasons;
+  }
+
+  // Drop what never passed and close the gaps
+  const dropped = rejections.map(({ day, reason }) => ({ day, reason }));
+  const angles = new Map(slots.filter(s => s.angle).map(s => [s.day, s.angle]));
+  const researchAngles = [];
+  const topics = accepted.sort((a, b) => a.day - b.day).map((topic, i) => {
+    const day = startDay + i;
+    const angle = angles.get(topic.day);
+    if (angle) researchAngles.push({ day, angle: angle.angle, title: angle.title, url: angle.url });
+    return { ...topic, day };
+  });
+
+  if (topics.length === 0) throw new Error('No topics passed validation and the overlap check; nothing was added.');
+
+  const entry = {
+    season,
+    ...(NAME ? { name: NAME } : {}),
+    firstDay: startDay,
+    lastDay: startDay + topics.length - 1,
+    count: topics.length,
+    pillars: currentMix(topics, 'pillar'),
+    formats: currentMix(topics, 'format'),
+    researchAngles,
+    generatedAt: new Date().toISOString(),
+  };
+  saveTopicBank([...bank, ...topics]);
+  saveSeasons([...seasons, entry]);
+  const scheduled = scheduleSeasonStart(entry.firstDay, START_DATE);
+  run.complete();
+
+  console.log(`\nSeason ${season}: added days ${entry.firstDay}-${entry.lastDay} to topic-bank.json`);
+  if (scheduled) console.log(`  Starts ${START_DATE} at the earliest (seasonStarts in schedule.json)`);
+  printMix('Pillars', entry.pillars);
+  printMix('Formats', entry.formats);
+  if (dropped.length > 0) {
+    console.log(`\n${dropped.length} slot(s) dropped after ${REPLACEMENT_PASSES} replacement pass(es):`);
+    dropped.forEach(d => console.log(`  day ${d.day}: ${d.reason}`));
+  }
+  console.log('');
+
+  return { season: entry, startDate: START_DATE, topics: topics.map(t => ({ day: t.day, slug: t.slug, pillar: t.pillar, format: t.format, targetKeyword: t.targetKeyword })), dropped };
+}
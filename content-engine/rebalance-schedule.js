@@ -0,0 +1,126 @@
+// ============================================================================
+// SafetyTAP Schedule Rebalancer
+// ============================================================================
+//
+// Reorders the days still waiting on a post so the schedule follows the
+// spacing rules in schedule-rules.json (see lib/schedule-rules.js): no
+// pillar back-to-back, at most N deep-dives a week, field tips on Mondays,
+// and so on. Days with a post (draft, approved, published, rejected),
+// skipped days and pinned days keep their topic, and no topic moves to
+// another season.
+//
+// A move swaps the `day` of two topics in topic-bank.json, and their
+// schedule entries (editorial notes, uploaded images) move with them. The
+// run prints each day that changes, before and after, and the violations
+// left over when the rules can't all be met.
+//
+// Usage (via the content-engine CLI, `npm run schedule:rebalance -- ...`):
+//   content-engine rebalance              # Reorder and save
+//   content-engine rebalance --dry-run    # Show the diff without saving
+//   content-engine rebalance --pin 75     # Keep day 75's topic where it is
+//   content-engine rebalance --unpin 75
+//   content-engine rebalance --json
+//
+// ============================================================================
+
+import { loadTopicBank, saveTopicBank, loadSeasons } from './lib/topics.js';
+import { loadScheduleRules, scheduleSlots, checkSchedule, rebalanceTopics } from './lib/schedule-rules.js';
+import { COMMON, intOption } from './lib/args.js';
+import { loadSchedule, saveSchedule } from './lib/schedule-store.js';
+
+const DRY_RUN = COMMON.dryRun;
+const PIN = intOption('--pin');
+const UNPIN = intOption('--unpin');
+
+function setPinned(schedule, topics, day, pinned) {
+  const topic = topics.find(t => t.day === day);
+  if (!topic) throw new Error(`Day ${day} is not in the topic bank`);
+  if (!schedule.posts) schedule.posts = {};
+  const entry = schedule.posts[day] || {};
+  if (pinned) entry.pinned = true;
+  else delete entry.pinned;
+  schedule.posts[day] = entry;
+
+  if (!DRY_RUN) saveSchedule(schedule);
+  console.log(`Day ${day} ${pinned ? 'pinned' : 'unpinned'}: "${topic.title}"${DRY_RUN ? ' (dry run, not saved)' : ''}`);
+  if (pinned && entry.status) console.log(`  (It already has a ${entry.status} post, so it wasn't going to move.)`);
+  return { day, pinned, dryRun: DRY_RUN };
+}
+
+function printViolations(label, { penalty, violations }, movableDays) {
+  console.log(`${label}: ${violations.length === 0 ? 'follows every rule' : `${violations.length} violation(s), ${penalty} day(s) over`}`);
+  violations.forEach(v => {
+    const fixed = v.days.every(day => !movableDays.has(day)) ? ' (none of these days can move)' : '';
+    console.log(`  - ${v.message}${fixed}`);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+export async function run() {
+  console.log('\n  SafetyTAP Schedule Rebalancer');
+  if (DRY_RUN) console.log('  MODE: DRY RUN');
+  console.log('');
+
+  const topics = loadTopicBank();
+  const schedule = loadSchedule();
+  if (PIN !== null) return setPinned(schedule, topics, PIN, true);
+  if (UNPIN !== null) return setPinned(schedule, topics, UNPIN, false);
+
+  const rules = loadScheduleRules();
+  const slots = scheduleSlots(topics, schedule, loadSeasons(topics));
+  const movableDays = new Set(slots.filter(s => s.movable).map(s => s.day));
+  console.log(`${slots.length} days, ${movableDays.size} movable (no post yet, not pinned)`);
+  console.log(`Rules: ${JSON.stringify(rules)}\n`);
+
+  const before = checkSchedule(slots, rules);
+  const order = rebalanceTopics(slots, rules);
+  const after = checkSchedule(slots.map((s, i) => ({ ...s, pillar: order[i].pillar, format: order[i].format })), rules);
+
+  const moves = slots
+    .map((slot, i) => ({ day: slot.day, date: slot.date, from: slot.topic, to: order[i] }))
+    .filter(m => m.from.slug !== m.to.slug);
+
+  if (moves.length === 0) {
+    console.log('No changes.');
+  } else {
+    console.log(`${moves.length} day(s) change:\n`);
+    const width = Math.max(...moves.flatMap(m => [m.from, m.to]).map(t => `${t.pillar} / ${t.format}`.length));
+    moves.forEach(m => {
+      console.log(`  Day ${String(m.day).padStart(3)}  ${m.date}`);
+      console.log(`    - ${`${m.from.pillar} / ${m.from.format}`.padEnd(width)}  ${m.from.title} (was day ${m.from.day})`);
+      console.log(`    + ${`${m.to.pillar} / ${m.to.format}`.padEnd(width)}  ${m.to.title} (was day ${m.to.day})`);
+    });
+  }
+  console.log('');
+  printViolations('Before', before, movableDays);
+  printViolations('After ', after, movableDays);
+
+  if (moves.length > 0 && !DRY_RUN) {
+    // Schedule entries of movable days hold only notes and images for the topic
+    const newDay = new Map(moves.map(m => [m.to.slug, m.day]));
+    const entries = Object.fromEntries(moves.map(m => [m.to.slug, schedule.posts?.[m.to.day]]));
+    moves.forEach(m => { if (schedule.posts) delete schedule.posts[m.day]; });
+    moves.forEach(m => {
+      if (entries[m.to.slug]) schedule.posts[m.day] = entries[m.to.slug];
+    });
+
+    saveTopicBank(topics.map(t => (newDay.has(t.slug) ? { ...t, day: newDay.get(t.slug) } : t)));
+    saveSchedule(schedule);
+    console.log(`\nSaved topic-bank.json and schedule.json.`);
+  } else if (moves.length > 0) {
+    console.log('\nDry run: nothing saved.');
+  }
+  console.log('');
+
+  return {
+    dryRun: DRY_RUN,
+    rules,
+    movable: movableDays.size,
+    before,
+    after,
+    moves: moves.map(m => ({ day: m.day, date: m.date, from: { slug: m.from.slug, day: m.from.day }, to: { slug: m.to.slug, day: m.to.day } })),
+  };
+}
@@ -3,29 +3,47 @@
 // ============================================================================
 //
 // Gathers recent safety news, OSHA updates, construction incidents, and
-// psychology research from RSS feeds and web search to feed the daily blog
-// post generation pipeline.
+// psychology research from the sources in research-sources.json (feeds,
+// JSON APIs, OSHA fatality exports, NIOSH FACE reports; see
+// lib/research-sources.js) and web search to feed the daily blog post
+// generation pipeline.
 //
-// Usage:
-//   node content-engine/research-agent.js            # Full run with Claude analysis
-//   node content-engine/research-agent.js --dry-run  # Fetch feeds only, skip Claude API
+// Analyzed articles go into the research archive (lib/research-archive.js),
+// and an article already in it is not analyzed again: its archived analysis
+// goes into today's feed instead.
 //
-// Required npm install:
-//   npm install rss-parser
+// Usage (via the content-engine CLI, `npm run research -- ...`):
+//   content-engine research            # Full run with Claude analysis
+//   content-engine research --dry-run  # Fetch sources only, skip Claude API
+//   content-engine research --fresh    # Ignore checkpoints from an earlier failed run
+//   content-engine research --json     # Print the run summary as JSON
+//   content-engine research search fall protection             # Search the archive
+//   content-engine research search "near miss" --pillar incident-prevention --max 5
+//   content-engine research match              # Score today's feed against the next topic
+//   content-engine research match --day 62 --threshold 0.15
+//   content-engine research sources            # List and check research-sources.json
 //
 // ============================================================================
 
 import 'dotenv/config';
-import Anthropic from '@anthropic-ai/sdk';
-import Parser from 'rss-parser';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { findNextOpenDay } from './lib/post-status.js';
+import { lastTopicDay, loadTopicBank } from './lib/topics.js';
+import { scheduleExists, loadSchedule } from './lib/schedule-store.js';
+import { createProvider, TASKS } from './lib/llm.js';
+import { openRun, runKey } from './lib/checkpoint.js';
+import { loadArchive, indexArchive, appendToArchive, searchArchive, toFeedItem, RESEARCH_ARCHIVE_PATH } from './lib/research-archive.js';
+import { loadResearchFeed, scoreResearch, findRelevantResearch, matchThreshold } from './lib/research-feed.js';
+import { loadResearchSources, localFiles, readSource, sourceFeedFields } from './lib/research-sources.js';
+import { COMMON, hasFlag, intOption, numberOption, optionValue, positionals } from './lib/args.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const OUTPUT_PATH = path.join(__dirname, 'research-feed.json');
-const DRY_RUN = process.argv.includes('--dry-run');
-const CLAUDE_MODEL = 'claude-sonnet-4-5-20250929';
+const RUNS_DIR = path.join(__dirname, 'runs');
+const DRY_RUN = COMMON.dryRun;
+const FRESH_RUN = hasFlag('--fresh');
 
 // Delay between Claude API calls (ms) to avoid rate limits
 const API_CALL_DELAY_MS = 1200;
@@ -33,8 +51,6 @@ const API_CALL_DELAY_MS = 1200;
 // Max items to send through Claude analysis (keeps costs reasonable)
 const MAX_ITEMS_FOR_ANALYSIS = 30;
 
-const FEED_TIMEOUT_MS = 15000;
-
 const RELEVANCE_PILLARS = [
   'hazard-recognition',
   'cognitive-bias',
@@ -46,38 +62,6 @@ const RELEVANCE_PILLARS = [
   'incident-prevention',
 ];
 
-// ---------------------------------------------------------------------------
-// RSS Feed Sources
-// ---------------------------------------------------------------------------
-
-const RSS_SOURCES = [
-  {
-    id: 'osha',
-    name: 'OSHA News Releases',
-    url: 'https://www.osha.gov/news/newsreleases.xml',
-  },
-  {
-    id: 'safety-health-mag',
-    name: 'Safety+Health Magazine',
-    url: 'https://www.safetyandhealthmagazine.com/feed',
-  },
-  {
-    id: 'construction-dive',
-    name: 'Construction Dive',
-    url: 'https://www.constructiondive.com/feeds/news/',
-  },
-  {
-    id: 'ishn-construction',
-    name: 'ISHN Construction Safety',
-    url: 'https://www.ishn.com/rss/topic/2193-construction-industry-safety-and-health',
-  },
-  {
-    id: 'enr-safety',
-    name: 'ENR Safety',
-    url: 'https://www.enr.com/rss/topic/172-safety',
-  },
-];
-
 // ---------------------------------------------------------------------------
 // Web Search Queries — tailored to the next scheduled topic
 // ---------------------------------------------------------------------------
@@ -131,21 +115,14 @@ function getSearchQueries(nextTopic) {
 
 function loadNextTopic() {
   const TOPIC_BANK_PATH = path.join(__dirname, 'topic-bank.json');
-  const SCHEDULE_PATH = path.join(__dirname, 'schedule.json');
 
   if (!fs.existsSync(TOPIC_BANK_PATH)) return null;
   const topics = JSON.parse(fs.readFileSync(TOPIC_BANK_PATH, 'utf-8'));
 
   let nextDay = 1;
-  if (fs.existsSync(SCHEDULE_PATH)) {
-    const schedule = JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8'));
-    const posts = schedule.posts || {};
-    for (let day = 1; day <= 180; day++) {
-      if (!posts[day] || posts[day].status !== 'published') {
-        nextDay = day;
-        break;
-      }
-    }
+  if (scheduleExists()) {
+    const schedule = loadSchedule();
+    nextDay = findNextOpenDay(schedule.posts, lastTopicDay(topics)) || nextDay;
   }
 
   const topic = topics.find(t => t.day === nextDay);
@@ -170,60 +147,44 @@ function warn(msg) {
 }
 
 // ---------------------------------------------------------------------------
-// RSS Feed Fetching
+// Source Fetching — research-sources.json (lib/research-sources.js)
 // ---------------------------------------------------------------------------
 
-async function fetchFeed(source) {
-  const parser = new Parser({
-    timeout: FEED_TIMEOUT_MS,
-    headers: {
-      'User-Agent': 'SafetyTAP-Research-Agent/1.0',
-      Accept: 'application/rss+xml, application/xml, text/xml, */*',
-    },
-  });
-
+async function fetchSource(source) {
   try {
-    log(`Fetching: ${source.name}`);
-    const feed = await parser.parseURL(source.url);
+    log(`Fetching: ${source.name} (${source.type}${source.adapter ? `, ${source.adapter}` : ''})`);
+    const { items, skipped } = await readSource(source);
+    skipped.forEach(({ file, reason }) => warn(`${source.name}: skipped ${file} -- ${reason}`));
 
-    if (!feed.items || feed.items.length === 0) {
+    if (items.length === 0) {
       warn(`${source.name}: 0 items returned`);
       return [];
     }
 
-    log(`  -> ${feed.items.length} items from ${source.name}`);
-
-    return feed.items.map((item) => ({
-      source: source.id,
-      sourceName: source.name,
-      title: cleanText(item.title || 'Untitled'),
-      url: item.link || item.guid || '',
-      publishedDate: parseDate(item.pubDate || item.isoDate),
-      rawDescription: cleanText(
-        item.contentSnippet || item.content || item.summary || ''
-      ).slice(0, 1000),
-    }));
+    log(`  -> ${items.length} items from ${source.name}`);
+    return items;
   } catch (err) {
     warn(`${source.name}: Failed -- ${err.message}`);
     return [];
   }
 }
 
-async function fetchAllFeeds() {
-  log('=== PHASE 1: Fetching RSS Feeds ===');
+async function fetchAllSources(sources) {
+  log('=== PHASE 1: Fetching Sources ===');
 
-  const results = await Promise.allSettled(RSS_SOURCES.map(fetchFeed));
+  const enabled = sources.filter(s => s.enabled);
+  const results = await Promise.allSettled(enabled.map(fetchSource));
   const allItems = [];
   const activeSources = [];
 
   results.forEach((result, i) => {
     if (result.status === 'fulfilled' && result.value.length > 0) {
       allItems.push(...result.value);
-      activeSources.push(RSS_SOURCES[i].id);
+      activeSources.push(enabled[i].id);
     }
   });
 
-  log(`Total fetched: ${allItems.length} from ${activeSources.length} sources`);
+  log(`Total fetched: ${allItems.length} from ${activeSources.length} of ${enabled.length} sources`);
   return { items: allItems, activeSources };
 }
 
@@ -231,7 +192,7 @@ async function fetchAllFeeds() {
 // Web Search via Claude API
 // ---------------------------------------------------------------------------
 
-async function performWebSearch(anthropic, nextTopic) {
+async function performWebSearch(llm, nextTopic) {
   log('\n=== PHASE 2: Web Search ===');
 
   if (DRY_RUN) {
@@ -241,14 +202,15 @@ async function performWebSearch(anthropic, nextTopic) {
 
   const queries = getSearchQueries(nextTopic);
   const results = [];
+  const searchLlm = nextTopic ? llm.withContext({ day: nextTopic.day, slug: nextTopic.slug }) : llm;
 
   for (const query of queries) {
     try {
       log(`Searching: "${query}"`);
 
-      const response = await anthropic.messages.create({
-        model: CLAUDE_MODEL,
-        max_tokens: 1024,
+      const { text } = await searchLlm.complete({
+        task: TASKS.SEARCH,
+        maxTokens: 1024,
         messages: [{
           role: 'user',
           content: `Search the web for: "${query}"
@@ -263,7 +225,6 @@ Return ONLY the JSON array. If no results, return [].`,
         }],
       });
 
-      const text = response.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
       const parsed = extractJsonArray(text);
 
       if (parsed && parsed.length > 0) {
@@ -308,48 +269,67 @@ function deduplicateItems(items) {
 // Claude Analysis
 // ---------------------------------------------------------------------------
 
-async function analyzeArticles(anthropic, items) {
+async function analyzeArticles(llm, items) {
   log('\n=== PHASE 3: Claude Analysis ===');
 
   if (DRY_RUN) {
     log('DRY RUN: Returning unanalyzed items');
-    return items.map(item => ({
+    const unanalyzed = items.map(item => ({
       source: item.source,
+      sourceName: item.sourceName,
       title: item.title,
       url: item.url,
       publishedDate: item.publishedDate,
       summary: item.rawDescription.slice(0, 200) || 'No summary (dry run)',
-      relevancePillars: [],
+      relevancePillars: item.pillarHints || [],
       relevanceScore: 0,
       potentialAngles: [],
     }));
+    return { analyzed: unanalyzed, archivable: [] };
   }
 
   const toAnalyze = items.slice(0, MAX_ITEMS_FOR_ANALYSIS);
   const BATCH_SIZE = 5;
   const analyzed = [];
+  // Items whose analysis came back; a failed batch's items are analyzed again next run
+  const archivable = [];
+  let failedBatches = 0;
+
+  // Analyzed batches are checkpointed, so a rerun over the same articles
+  // only pays for the batches that didn't finish
+  const today = new Date().toISOString().slice(0, 10);
+  const run = openRun(RUNS_DIR, `research-${today}`, runKey(toAnalyze.map(item => item.url || item.title)), { fresh: FRESH_RUN });
+  if (run.resumed) log(`Resuming earlier run: ${run.steps().length} batch(es) already analyzed`);
 
   for (let i = 0; i < toAnalyze.length; i += BATCH_SIZE) {
     const batch = toAnalyze.slice(i, i + BATCH_SIZE);
     const batchNum = Math.floor(i / BATCH_SIZE) + 1;
     const totalBatches = Math.ceil(toAnalyze.length / BATCH_SIZE);
+    const step = `batch-${batchNum}`;
+    if (run.has(step)) {
+      log(`Batch ${batchNum}/${totalBatches} loaded from checkpoint`);
+      const results = run.load(step);
+      analyzed.push(...results);
+      archivable.push(...results);
+      continue;
+    }
     log(`Analyzing batch ${batchNum}/${totalBatches}...`);
 
     try {
       const articleList = batch.map((item, idx) =>
-        `ARTICLE ${idx + 1}:\nTitle: ${item.title}\nSource: ${item.sourceName}\nDate: ${item.publishedDate}\nDescription: ${item.rawDescription}`
+        `ARTICLE ${idx + 1}:\nTitle: ${item.title}\nSource: ${item.sourceName}\nDate: ${item.publishedDate}\n${item.pillarHints?.length ? `Pillar hints: ${item.pillarHints.join(', ')}\n` : ''}Description: ${item.rawDescription}`
       ).join('\n\n');
 
-      const response = await anthropic.messages.create({
-        model: CLAUDE_MODEL,
-        max_tokens: 2048,
+      const { text } = await llm.complete({
+        task: TASKS.ANALYSIS,
+        maxTokens: 2048,
         messages: [{
           role: 'user',
           content: `You are a research analyst for SafetyTAP, a construction safety company focused on hazard recognition psychology.
 
 Analyze each article for relevance. For each, provide:
 1. "summary": 1-2 sentence summary
-2. "relevancePillars": array from ${JSON.stringify(RELEVANCE_PILLARS)}
+2. "relevancePillars": array from ${JSON.stringify(RELEVANCE_PILLARS)} (an article's pillar hints say what its source usually covers)
 3. "relevanceScore": 0.0-1.0 (1.0 = directly about construction safety/psychology)
 4. "potentialAngles": 1-3 blog angle ideas connecting to safety psychology
 
@@ -359,36 +339,51 @@ Respond with ONLY a JSON array of objects. No other text.`,
         }],
       });
 
-      const text = response.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
       const parsed = extractJsonArray(text);
-
-      batch.forEach((item, idx) => {
-        const analysis = parsed && parsed[idx] ? parsed[idx] : {};
-        analyzed.push({
+      if (!parsed) throw new Error('response was not a JSON array');
+
+      // An article the response has no analysis for is left out of the
+      // archive and analyzed again next run, like a failed batch
+      const hasAnalysis = idx => !!parsed[idx] && typeof parsed[idx].relevanceScore === 'number';
+      const results = batch.map((item, idx) => {
+        const analysis = hasAnalysis(idx) ? parsed[idx] : {};
+        const pillars = Array.isArray(analysis.relevancePillars)
+          ? analysis.relevancePillars.filter(p => RELEVANCE_PILLARS.includes(p))
+          : [];
+        return {
           source: item.source,
+          sourceName: item.sourceName,
           title: item.title,
           url: item.url,
           publishedDate: item.publishedDate,
-          summary: analysis.summary || item.rawDescription.slice(0, 200),
-          relevancePillars: Array.isArray(analysis.relevancePillars)
-            ? analysis.relevancePillars.filter(p => RELEVANCE_PILLARS.includes(p))
-            : [],
-          relevanceScore: typeof analysis.relevanceScore === 'number'
-            ? Math.round(analysis.relevanceScore * 100) / 100 : 0,
+          summary: analysis.summary || item.rawDescription.slice(0, 200) || 'Analysis unavailable',
+          relevancePillars: pillars.length > 0 ? pillars : item.pillarHints || [],
+          relevanceScore: hasAnalysis(idx) ? Math.round(analysis.relevanceScore * 100) / 100 : 0,
           potentialAngles: Array.isArray(analysis.potentialAngles)
             ? analysis.potentialAngles : [],
-        });
+        };
       });
+      const complete = results.filter((_, idx) => hasAnalysis(idx));
+      if (complete.length < batch.length) {
+        warn(`Batch ${batchNum}: no analysis for ${batch.length - complete.length} of ${batch.length} article(s); they'll be analyzed again next run`);
+        failedBatches++;
+        analyzed.push(...results);
+      } else {
+        analyzed.push(...run.save(step, results));
+      }
+      archivable.push(...complete);
     } catch (err) {
       warn(`Batch ${batchNum} failed: ${err.message}`);
+      failedBatches++;
       batch.forEach(item => {
         analyzed.push({
           source: item.source,
+          sourceName: item.sourceName,
           title: item.title,
           url: item.url,
           publishedDate: item.publishedDate,
           summary: item.rawDescription.slice(0, 200) || 'Analysis unavailable',
-          relevancePillars: [],
+          relevancePillars: item.pillarHints || [],
           relevanceScore: 0,
           potentialAngles: [],
         });
@@ -398,7 +393,102 @@ Respond with ONLY a JSON array of objects. No other text.`,
     if (i + BATCH_SIZE < toAnalyze.length) await sleep(API_CALL_DELAY_MS);
   }
 
-  return analyzed;
+  // Keep the checkpoints when a batch failed so a rerun retries just that one
+  if (failedBatches === 0) run.complete();
+  return { analyzed, archivable };
+}
+
+// ---------------------------------------------------------------------------
+// Research Archive
+// ---------------------------------------------------------------------------
+
+function archiveAnalyzed(items) {
+  if (DRY_RUN) {
+    log('DRY RUN: Not archiving (nothing was analyzed)');
+    return [];
+  }
+  const written = appendToArchive(items);
+  log(`Archived ${written.length} new article(s) in ${path.basename(RESEARCH_ARCHIVE_PATH)}`);
+  return written;
+}
+
+function runSearch(query) {
+  if (!query) throw new Error('Usage: content-engine research search <query> [--pillar P] [--max N]');
+  const pillar = optionValue('--pillar');
+  const records = loadArchive();
+  const results = searchArchive(records, query, { pillar, limit: intOption('--max', 10) });
+
+  console.log(`\n  Research archive: "${query}"${pillar ? ` in ${pillar}` : ''} (${records.length} archived articles)\n`);
+  if (results.length === 0) console.log('  No matches.');
+  results.forEach(({ record, score, matched }) => {
+    console.log(`  ${score.toFixed(2)}  ${record.title}`);
+    console.log(`        ${record.sourceName} · ${record.publishedDate} · relevance ${record.relevanceScore}${record.relevancePillars?.length ? ` · ${record.relevancePillars.join(', ')}` : ''}`);
+    console.log(`        matched: ${matched.join(', ')}`);
+    if (record.url) console.log(`        ${record.url}`);
+    console.log(`        key: ${record.key}`);
+  });
+  if (results.length > 0) console.log('\n  Attach an article to a day without a post in /admin/research.');
+  console.log('');
+
+  return { query, pillar, archived: records.length, results: results.map(({ record, score, matched }) => ({ ...record, score, matched })) };
+}
+
+// ---------------------------------------------------------------------------
+// Topic Matching — how the daily run picks feed items for a post
+// ---------------------------------------------------------------------------
+
+function runMatch() {
+  const topics = loadTopicBank();
+  const day = COMMON.day ?? ((scheduleExists() && findNextOpenDay(loadSchedule().posts, lastTopicDay(topics))) || 1);
+  const topic = topics.find(t => t.day === day);
+  if (!topic) throw new Error(`No topic found for day ${day}`);
+  const threshold = numberOption('--threshold', matchThreshold());
+
+  console.log(`\n  Research matches for day ${day}: "${topic.title}" [${topic.pillar}]\n`);
+  const feed = loadResearchFeed();
+  const matches = feed ? scoreResearch(topic, feed.items) : [];
+  const picked = new Set(findRelevantResearch(topic, feed, { threshold }).map(m => m.item));
+
+  console.log(`  Threshold ${threshold}, ${matches.length} feed item(s). * goes into the brief.\n`);
+  matches.forEach(({ item, score, reason }) => {
+    console.log(`  ${picked.has(item) ? '*' : ' '} ${score.toFixed(2)}  ${item.title}`);
+    console.log(`          ${reason}`);
+  });
+  console.log('');
+
+  return {
+    day,
+    slug: topic.slug,
+    threshold,
+    matches: matches.map(({ item, ...match }) => ({ title: item.title, url: item.url, ...match, picked: picked.has(item) })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Sources — what research-sources.json is set up to read
+// ---------------------------------------------------------------------------
+
+function runSources() {
+  const sources = loadResearchSources();
+
+  console.log(`\n  Research sources (${sources.filter(s => s.enabled).length} of ${sources.length} enabled)\n`);
+  const listed = sources.map(source => {
+    const files = localFiles(source)?.length ?? null;
+    const hints = [
+      source.weight !== 1 ? `weight ${source.weight}` : '',
+      source.pillars.length ? `pillars ${source.pillars.join(', ')}` : '',
+      source.formats.length ? `formats ${source.formats.join(', ')}` : '',
+    ].filter(Boolean);
+    console.log(`  ${source.enabled ? ' ' : '-'} ${source.id.padEnd(20)} ${source.type}${source.adapter ? ` (${source.adapter})` : ''}  ${source.name}`);
+    console.log(`    ${''.padEnd(20)} ${source.url || path.relative(process.cwd(), source.path)}${files === null ? '' : `  [${files} file(s)]`}`);
+    if (hints.length) console.log(`    ${''.padEnd(20)} ${hints.join(' · ')}`);
+    return { ...source, ...(files === null ? {} : { path: path.relative(process.cwd(), source.path), files }) };
+  });
+  const empty = listed.filter(s => s.enabled && s.files === 0);
+  if (empty.length) console.log(`\n  No files yet for: ${empty.map(s => s.id).join(', ')}. Drop exports and reports into their folders.`);
+  console.log('');
+
+  return { sources: listed };
 }
 
 // ---------------------------------------------------------------------------
@@ -434,19 +524,6 @@ function writeOutput(items, activeSources) {
 
 function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
 
-function cleanText(text) {
-  if (!text) return '';
-  return text.replace(/<[^>]*>/g, '').replace(/&[a-z]+;/gi, ' ').replace(/\s+/g, ' ').trim();
-}
-
-function parseDate(dateStr) {
-  if (!dateStr) return new Date().toISOString().split('T')[0];
-  try {
-    const d = new Date(dateStr);
-    return isNaN(d.getTime()) ? new Date().toISOString().split('T')[0] : d.toISOString().split('T')[0];
-  } catch { return new Date().toISOString().split('T')[0]; }
-}
-
 function extractJsonArray(text) {
   if (!text) return null;
   for (const pattern of [/```json\s*\n?([\s\S]*?)\n?\s*```/, /```\s*\n?([\s\S]*?)\n?\s*```/, /(\[[\s\S]*\])/]) {
@@ -463,24 +540,30 @@ function extractJsonArray(text) {
 // Main
 // ---------------------------------------------------------------------------
 
-async function main() {
+export async function run() {
+  const [action, ...terms] = positionals();
+  if (action === 'search') return runSearch(terms.join(' ').trim());
+  if (action === 'match') return runMatch();
+  if (action === 'sources') return runSources();
+  if (action) throw new Error(`Unknown research action "${action}" (expected: search, match or sources)`);
+
   const start = Date.now();
   console.log('\n  SafetyTAP Research Agent');
   console.log(`  ${new Date().toISOString()}`);
   if (DRY_RUN) console.log('  MODE: DRY RUN');
   console.log('');
 
-  if (!DRY_RUN && !process.env.ANTHROPIC_API_KEY) {
-    console.error('ERROR: ANTHROPIC_API_KEY not set. Use --dry-run or add to .env');
-    process.exit(1);
+  const llm = createProvider(undefined, { source: 'research-agent' });
+  if (!DRY_RUN && llm.credentialError) {
+    throw new Error(`${llm.credentialError}. Use --dry-run, LLM_PROVIDER=fixture, or add it to .env`);
   }
 
-  const anthropic = new Anthropic();
+  const sources = loadResearchSources();
   const nextTopic = loadNextTopic();
 
   try {
-    const { items: feedItems, activeSources } = await fetchAllFeeds();
-    const searchItems = await performWebSearch(anthropic, nextTopic);
+    const { items: feedItems, activeSources } = await fetchAllSources(sources);
+    const searchItems = await performWebSearch(llm, nextTopic);
 
     const allItems = deduplicateItems([...feedItems, ...searchItems]);
     const allSources = [...activeSources];
@@ -488,19 +571,37 @@ async function main() {
 
     log(`\nAfter dedup: ${allItems.length} unique articles`);
 
-    const analyzed = allItems.length > 0
-      ? await analyzeArticles(anthropic, allItems)
-      : [];
+    // Articles analyzed on an earlier run keep that analysis
+    const archive = indexArchive(loadArchive());
+    const known = allItems.map(item => archive.find(item)).filter(Boolean);
+    const fresh = allItems.filter(item => !archive.find(item));
+    if (known.length > 0) log(`Skipping ${known.length} article(s) already in the research archive`);
 
-    const output = writeOutput(analyzed, allSources);
+    const { analyzed, archivable } = fresh.length > 0
+      ? await analyzeArticles(llm, fresh)
+      : { analyzed: [], archivable: [] };
+    const archived = archiveAnalyzed(archivable);
+
+    // Weight and formats come from today's config, so archived articles pick up changes to it
+    const bySource = new Map(sources.map(s => [s.id, s]));
+    const items = [...analyzed, ...known.map(toFeedItem)]
+      .map(item => ({ ...item, ...sourceFeedFields(bySource.get(item.source)) }));
+    const output = writeOutput(items, allSources);
 
     const elapsed = ((Date.now() - start) / 1000).toFixed(1);
     console.log(`\nDone in ${elapsed}s. ${output.totalItems} articles, ${output.highRelevanceCount} high-relevance.`);
+    return {
+      output: path.relative(process.cwd(), OUTPUT_PATH),
+      dryRun: DRY_RUN,
+      sources: output.sources,
+      totalItems: output.totalItems,
+      highRelevanceCount: output.highRelevanceCount,
+      alreadyArchived: known.length,
+      newlyArchived: archived.length,
+    };
   } catch (err) {
-    console.error(`\nFATAL: ${err.message}`);
+    // Leave an empty feed behind so the daily run doesn't use a stale one
     try { writeOutput([], []); } catch {}
-    process.exit(1);
+    throw err;
   }
 }
-
-main();
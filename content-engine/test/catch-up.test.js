@@ -0,0 +1,91 @@
+// ============================================================================
+// lib/catch-up.js — what --catch-up does to missed days
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyCatchUpPolicy, dueDays } from '../lib/catch-up.js';
+import { findMissedDays, scheduleDates } from '../lib/schedule-dates.js';
+
+const TODAY = '2026-03-10';
+const LAST_DAY = 5;
+const topics = [1, 2, 3, 4, 5].map(day => ({ day, slug: `topic-${day}`, title: `Topic ${day}` }));
+
+// Daily cadence from March 1: day 1 is published, days 2-5 were missed
+function schedule(posts = {}) {
+  return {
+    schemaVersion: 2,
+    startDate: '2026-03-01',
+    posts: { 1: { slug: 'topic-1', status: 'published', date: '2026-03-01' }, ...posts },
+  };
+}
+
+const apply = (s, policy) => applyCatchUpPolicy(s, policy, topics, { lastDay: LAST_DAY, today: TODAY });
+
+test('an unknown policy throws', () => {
+  assert.throws(() => apply(schedule(), 'later'), /Unknown catch-up policy "later"/);
+});
+
+test('nothing happens when no day was missed', () => {
+  const s = schedule();
+  const before = structuredClone(s);
+  const result = applyCatchUpPolicy(s, 'skip', topics, { lastDay: LAST_DAY, today: '2026-03-02' });
+  assert.deepEqual(result, { missed: [], moves: [], shiftedLater: 0, conflicts: [] });
+  assert.deepEqual(s, before);
+});
+
+test('backdate keeps every missed day on its original date', () => {
+  const s = schedule();
+  const before = structuredClone(s);
+  const result = apply(s, 'backdate');
+  assert.deepEqual(result.missed, [2, 3, 4, 5]);
+  assert.deepEqual(result.moves.map(m => [m.day, m.from, m.to]), [
+    [2, '2026-03-02', '2026-03-02'],
+    [3, '2026-03-03', '2026-03-03'],
+    [4, '2026-03-04', '2026-03-04'],
+    [5, '2026-03-05', '2026-03-05'],
+  ]);
+  assert.deepEqual(s, before);
+  assert.deepEqual(dueDays(s, LAST_DAY, TODAY), [2, 3, 4, 5]);
+});
+
+test('skip marks missed days skipped on their dates', () => {
+  const s = schedule();
+  const result = apply(s, 'skip');
+  assert.deepEqual(result.moves.map(m => [m.day, m.action, m.to]), [
+    [2, 'skipped', null], [3, 'skipped', null], [4, 'skipped', null], [5, 'skipped', null],
+  ]);
+  assert.equal(s.posts[3].status, 'skipped');
+  assert.equal(s.posts[3].slug, 'topic-3');
+  assert.equal(s.posts[3].date, '2026-03-03');
+  assert.deepEqual(findMissedDays(s, LAST_DAY, TODAY), []);
+});
+
+test('reslot moves the first missed day to today and the rest after it', () => {
+  const s = schedule();
+  const result = apply(s, 'reslot');
+  assert.deepEqual(result.conflicts, []);
+  assert.deepEqual(result.moves.map(m => [m.day, m.from, m.to]), [
+    [2, '2026-03-02', '2026-03-10'],
+    [3, '2026-03-03', '2026-03-11'],
+    [4, '2026-03-04', '2026-03-12'],
+    [5, '2026-03-05', '2026-03-13'],
+  ]);
+  assert.equal(s.startDate, '2026-03-09');
+  assert.deepEqual(s.reslots.map(r => [r.fromDay, r.days]), [[2, 8]]);
+  // The published day keeps its date
+  assert.equal(scheduleDates(s, LAST_DAY)[1], '2026-03-01');
+  assert.deepEqual(dueDays(s, LAST_DAY, TODAY), [2]);
+});
+
+test('reslot is refused, and the schedule left alone, when a later day already has a post', () => {
+  const s = schedule({ 4: { slug: 'topic-4', status: 'published', date: '2026-03-04' } });
+  const before = structuredClone(s);
+  const result = apply(s, 'reslot');
+  assert.deepEqual(result.missed, [2, 3, 5]);
+  assert.deepEqual(result.conflicts, [
+    { day: 2, date: '2026-03-10', postDay: 4, postDate: '2026-03-04' },
+    { day: 3, date: '2026-03-11', postDay: 4, postDate: '2026-03-04' },
+  ]);
+  assert.deepEqual(s, before);
+});
@@ -0,0 +1,74 @@
+// ============================================================================
+// lib/quality-gate.js — the hard rules a draft is checked against
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDraft, parseTargetLength, hasExclamation, formatViolations } from '../lib/quality-gate.js';
+
+const topic = {
+  targetLength: '60 words',
+  psychologicalConcept: 'Normalization of deviance — small shortcuts become the standard',
+};
+
+const paragraph = 'Normalization of deviance starts small on a jobsite. A crew skips one step, nothing goes wrong, and the shortcut quietly becomes the way the work is done.';
+
+function draft(...sections) {
+  return sections.join('\n\n');
+}
+
+const rules = report => report.violations.map(v => v.rule);
+
+test('a draft that keeps every rule passes', () => {
+  const report = validateDraft(draft('## How shortcuts spread', paragraph, '## What a foreman can do', paragraph), topic);
+  assert.deepEqual(rules(report), []);
+  assert.equal(report.passed, true);
+  assert.equal(report.wordCount, 62);
+});
+
+test('lists, exclamation marks, cliches and stray headings are each reported', () => {
+  const report = validateDraft(draft(
+    '# The title again',
+    '## How shortcuts spread',
+    paragraph,
+    '- check the harness',
+    '### A deeper heading',
+    'Remember that safety first is not a plan!',
+  ), { ...topic, targetLength: undefined });
+  assert.deepEqual(rules(report), ['no-lists', 'no-exclamation-marks', 'no-cliches', 'no-h1', 'h2-only']);
+  assert.equal(report.passed, false);
+  assert.deepEqual(report.violations[0].examples, ['line 7: - check the harness']);
+});
+
+test('code fences and image syntax never trip a rule', () => {
+  const report = validateDraft(draft(
+    '## How shortcuts spread',
+    paragraph,
+    '![Crew at the lift](/images/blog/lift.jpg)',
+    '```\n- not a list!\n```',
+    paragraph,
+  ), topic);
+  assert.deepEqual(rules(report), []);
+});
+
+test('a draft far from the target length or off its concept is sent back', () => {
+  const report = validateDraft(draft('## A different subject', 'Ladders need three points of contact.'), topic);
+  assert.deepEqual(rules(report), ['length', 'off-brief']);
+  assert.match(report.violations[0].message, /^Expand the post: 9 words, brief asks for 60 words \(allowed 54-66\)/);
+});
+
+test('target lengths allow 10% either way', () => {
+  assert.deepEqual(parseTargetLength('1,000-1,200 words'), { min: 900, max: 1320 });
+  assert.deepEqual(parseTargetLength('600 words'), { min: 540, max: 660 });
+  assert.equal(parseTargetLength('long'), null);
+});
+
+test('hasExclamation ignores markdown images', () => {
+  assert.equal(hasExclamation('![alt](/a.jpg) and nothing else'), false);
+  assert.equal(hasExclamation('Stop work!'), true);
+});
+
+test('formatViolations numbers the rules and lists examples under them', () => {
+  const report = validateDraft(draft('## Sections', paragraph, paragraph, '- one item'), topic);
+  assert.equal(formatViolations(report), '1. [no-lists] Found 1 bullet or numbered list line(s). Rewrite them as prose.\n   line 7: - one item');
+});
@@ -0,0 +1,74 @@
+// ============================================================================
+// lib/schedule-dates.js — days to calendar dates, and missed days
+// ============================================================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduleDates, findMissedDays, weekdayOf } from '../lib/schedule-dates.js';
+
+const START = '2026-03-02'; // a Monday
+
+function schedule(fields = {}) {
+  return { schemaVersion: 2, startDate: START, posts: {}, ...fields };
+}
+
+test('with no cadence every date publishes, one day after another', () => {
+  assert.deepEqual(scheduleDates(schedule(), 4), {
+    1: '2026-03-02', 2: '2026-03-03', 3: '2026-03-04', 4: '2026-03-05',
+  });
+});
+
+test('weekdays pick the publishing dates', () => {
+  const dates = scheduleDates(schedule({ cadence: { weekdays: ['mon', 'wed', 'fri'] } }), 4);
+  assert.equal(weekdayOf(START), 'mon');
+  assert.deepEqual(dates, { 1: '2026-03-02', 2: '2026-03-04', 3: '2026-03-06', 4: '2026-03-09' });
+});
+
+test('a blackout or pause pushes every later day back', () => {
+  const dates = scheduleDates(schedule({
+    cadence: { blackouts: ['2026-03-03'], pauses: [{ from: '2026-03-05', to: '2026-03-07' }] },
+  }), 4);
+  assert.deepEqual(dates, { 1: '2026-03-02', 2: '2026-03-04', 3: '2026-03-08', 4: '2026-03-09' });
+});
+
+test('a day never lands before startDate + (day - 1)', () => {
+  // Day 3 is generated early; the open day after it still waits for its own date
+  const dates = scheduleDates(schedule({
+    posts: { 3: { status: 'published', date: '2026-03-02' } },
+  }), 4);
+  assert.equal(dates[3], '2026-03-02');
+  assert.equal(dates[4], '2026-03-05');
+});
+
+test('a generated or skipped day keeps its stored date; an open one is re-dated', () => {
+  const dates = scheduleDates(schedule({
+    cadence: { weekdays: ['mon'] },
+    posts: {
+      1: { status: 'draft', date: '2026-03-03' },
+      2: { status: 'skipped', date: '2026-03-04' },
+      3: { status: 'rejected', date: '2026-03-05' },
+    },
+  }), 3);
+  assert.deepEqual(dates, { 1: '2026-03-03', 2: '2026-03-04', 3: '2026-03-09' });
+});
+
+test('a season start takes over from startDate for its days', () => {
+  const dates = scheduleDates(schedule({ seasonStarts: { 3: '2026-04-01' } }), 4);
+  assert.deepEqual(dates, { 1: '2026-03-02', 2: '2026-03-03', 3: '2026-04-01', 4: '2026-04-02' });
+});
+
+test('findMissedDays lists open days dated before today', () => {
+  const s = schedule({
+    posts: {
+      1: { status: 'published', date: '2026-03-02' },
+      2: { status: 'skipped', date: '2026-03-03' },
+      3: { status: 'rejected' },
+    },
+  });
+  // Days 3 and 4 are past; day 5 is today, so not missed yet
+  assert.deepEqual(findMissedDays(s, 6, '2026-03-06'), [3, 4]);
+});
+
+test('findMissedDays is empty when the schedule is up to date', () => {
+  assert.deepEqual(findMissedDays(schedule(), 4, START), []);
+});
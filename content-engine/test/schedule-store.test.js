@@ -0,0 +1,122 @@
+// ============================================================================
+// lib/schedule-store.js and lib/schedule-schema.js — migrations and writes
+// ============================================================================
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadSchedule, saveSchedule, updateSchedule, newSchedule } from '../lib/schedule-store.js';
+import { SCHEMA_VERSION, migrateSchedule, scheduleProblems } from '../lib/schedule-schema.js';
+
+// A schedule.json from before schemaVersion existed
+function versionOne() {
+  return {
+    startDate: '2026-03-01',
+    totalDays: 180,
+    posts: {
+      1: {
+        slug: 'topic-1',
+        title: 'Topic 1',
+        date: '2026-03-01',
+        status: 'published',
+        editorialNote: 'Open with the near miss',
+        noteUpdatedAt: '2026-03-02T09:00:00.000Z',
+        heroImage: '/images/blog/topic-1.jpg',
+        imageUploadedAt: '2026-03-02T10:00:00.000Z',
+        generatedAt: '2026-03-01T11:00:00.000Z',
+        hadResearchIntegration: true,
+      },
+      2: { slug: 'topic-2', editorialNote: '' },
+    },
+  };
+}
+
+let dir;
+let schedulePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-store-'));
+  schedulePath = path.join(dir, 'schedule.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const readFile = () => JSON.parse(fs.readFileSync(schedulePath, 'utf-8'));
+
+test('migrating version 1 groups note, image and generation fields', () => {
+  const { schedule, from } = migrateSchedule(versionOne());
+  assert.equal(from, 1);
+  assert.equal(schedule.schemaVersion, SCHEMA_VERSION);
+  assert.equal(schedule.totalDays, undefined);
+  assert.deepEqual(schedule.posts[1], {
+    slug: 'topic-1',
+    title: 'Topic 1',
+    date: '2026-03-01',
+    status: 'published',
+    note: { text: 'Open with the near miss', updatedAt: '2026-03-02T09:00:00.000Z' },
+    image: { path: '/images/blog/topic-1.jpg', source: 'upload', uploadedAt: '2026-03-02T10:00:00.000Z' },
+    generation: { at: '2026-03-01T11:00:00.000Z', hadResearch: true },
+  });
+  // An empty note is dropped rather than kept as a group
+  assert.deepEqual(schedule.posts[2], { slug: 'topic-2' });
+  assert.deepEqual(scheduleProblems(schedule), []);
+});
+
+test('a current schedule migrates to itself', () => {
+  const current = newSchedule('2026-03-01', { posts: { 1: { slug: 'topic-1', status: 'draft' } } });
+  const before = structuredClone(current);
+  const { schedule, from } = migrateSchedule(current);
+  assert.equal(from, SCHEMA_VERSION);
+  assert.deepEqual(schedule, before);
+});
+
+test('a schedule newer than the code is refused', () => {
+  assert.throws(() => migrateSchedule({ ...versionOne(), schemaVersion: SCHEMA_VERSION + 1 }), /newer than this code understands/);
+});
+
+test('loadSchedule migrates an old file, and saveSchedule writes the current schema', () => {
+  fs.writeFileSync(schedulePath, JSON.stringify(versionOne()));
+  const schedule = loadSchedule(schedulePath);
+  assert.equal(schedule.posts[1].note.text, 'Open with the near miss');
+  // Reading doesn't rewrite the file
+  assert.equal(readFile().schemaVersion, undefined);
+
+  schedule.posts[2].status = 'draft';
+  saveSchedule(schedule, schedulePath);
+  const saved = readFile();
+  assert.equal(saved.schemaVersion, SCHEMA_VERSION);
+  assert.equal(saved.posts[1].editorialNote, undefined);
+  assert.equal(saved.posts[2].status, 'draft');
+});
+
+test('saveSchedule writes its own changes onto the latest file', () => {
+  saveSchedule(migrateSchedule(versionOne()).schedule, schedulePath);
+  const schedule = loadSchedule(schedulePath);
+
+  // Saved by someone else while this schedule is held in memory
+  updateSchedule(latest => {
+    latest.posts[2].note = { text: 'Add a toolbox talk angle' };
+  }, schedulePath);
+
+  schedule.posts[1].status = 'approved';
+  delete schedule.posts[1].generation;
+  saveSchedule(schedule, schedulePath);
+
+  const saved = readFile();
+  assert.equal(saved.posts[1].status, 'approved');
+  assert.equal(saved.posts[1].generation, undefined);
+  assert.deepEqual(saved.posts[2].note, { text: 'Add a toolbox talk angle' });
+});
+
+test('an invalid schedule is not saved', () => {
+  fs.writeFileSync(schedulePath, JSON.stringify(versionOne()));
+  const schedule = loadSchedule(schedulePath);
+  schedule.posts[1].status = 'live';
+  assert.throws(() => saveSchedule(schedule, schedulePath), /Not saving an invalid schedule.json:\n {2}posts\.1\.status/);
+  assert.equal(readFile().posts[1].status, 'published');
+  assert.deepEqual(fs.readdirSync(dir), ['schedule.json']);
+});
@@ -0,0 +1,82 @@
+// ============================================================================
+// SafetyTAP Usage Report
+// ============================================================================
+//
+// Summarizes the usage ledger: what the content pipeline and the observe
+// endpoint spend on model calls, by month, by task, by day and by post.
+//
+// Usage (via the content-engine CLI, `npm run usage -- ...`):
+//   content-engine usage                          # Last 14 days, all months, all tasks
+//   content-engine usage --days 30                # Show the last 30 days in the daily table
+//   content-engine usage --since 2026-03-01       # Only count calls on or after a date
+//   content-engine usage --json                   # Machine-readable output
+//
+// ============================================================================
+
+import { LEDGER_PATH, readLedger, summarize, priceFor } from './lib/usage.js';
+import { COMMON, intOption, optionValue } from './lib/args.js';
+
+const DAYS = intOption('--days', 14);
+const SINCE = optionValue('--since');
+
+const fmtTokens = n => n.toLocaleString('en-US');
+const fmtCost = n => `$${n.toFixed(n < 1 ? 4 : 2)}`;
+
+function printTable(title, rows, { limit } = {}) {
+  console.log(`\n  ${title}\n`);
+  if (rows.length === 0) {
+    console.log('    (none)');
+    return;
+  }
+  const width = Math.max(12, ...rows.map(r => String(r.key).length));
+  console.log(`    ${'Key'.padEnd(width)}  ${'Calls'.padStart(6)}  ${'Input'.padStart(12)}  ${'Output'.padStart(10)}  ${'Cost'.padStart(10)}`);
+  (limit ? rows.slice(0, limit) : rows).forEach(r => {
+    console.log(`    ${String(r.key).padEnd(width)}  ${String(r.calls).padStart(6)}  ${fmtTokens(r.inputTokens).padStart(12)}  ${fmtTokens(r.outputTokens).padStart(10)}  ${fmtCost(r.costUsd).padStart(10)}`);
+  });
+  if (limit && rows.length > limit) console.log(`    ... ${rows.length - limit} more`);
+}
+
+export async function run() {
+  const entries = readLedger().filter(e => !SINCE || e.at.slice(0, 10) >= SINCE);
+
+  const byDate = (a, b) => b.key.localeCompare(a.key);
+  const byCost = (a, b) => b.costUsd - a.costUsd;
+
+  const report = {
+    ledger: LEDGER_PATH,
+    since: SINCE,
+    total: summarize(entries, () => 'total')[0] || { key: 'total', calls: 0, inputTokens: 0, outputTokens: 0, webSearches: 0, costUsd: 0 },
+    byMonth: summarize(entries, e => e.at.slice(0, 7)).sort(byDate),
+    byTask: summarize(entries, e => e.task).sort(byCost),
+    bySource: summarize(entries, e => e.source).sort(byCost),
+    byDay: summarize(entries, e => e.at.slice(0, 10)).sort(byDate).slice(0, DAYS),
+    byPost: summarize(entries.filter(e => e.slug), e => (e.day ? `day ${e.day} ${e.slug}` : e.slug)).sort(byCost),
+    unpricedModels: [...new Set(entries.map(e => e.model).filter(m => !priceFor(m)))],
+  };
+
+  // The CLI prints the report itself under --json
+  if (COMMON.json) return report;
+
+  console.log('\n  SafetyTAP Model Usage');
+  console.log(`  Ledger: ${LEDGER_PATH}${SINCE ? ` (since ${SINCE})` : ''}`);
+
+  if (entries.length === 0) {
+    console.log('\n  No usage recorded yet.\n');
+    return report;
+  }
+
+  const { total } = report;
+  console.log(`\n  Total: ${total.calls} calls, ${fmtTokens(total.inputTokens)} input / ${fmtTokens(total.outputTokens)} output tokens, ${total.webSearches} web searches, ${fmtCost(total.costUsd)}`);
+
+  printTable('By month', report.byMonth);
+  printTable('By task', report.byTask);
+  printTable('By script / endpoint', report.bySource);
+  printTable(`By day (last ${DAYS} with usage)`, report.byDay);
+  printTable('Most expensive posts', report.byPost, { limit: 10 });
+
+  if (report.unpricedModels.length > 0) {
+    console.log(`\n  No price for: ${report.unpricedModels.join(', ')} — counted as $0. Add them to PRICING in content-engine/lib/usage.js.`);
+  }
+  console.log('');
+  return report;
+}
@@ -1,21 +1,23 @@
-import { defineCollection, z } from 'astro:content';
+import { defineCollection } from 'astro:content';
+import { blogSchema, toolboxTalkSchema } from '../../content-engine/lib/blog-schema.js';
 
+// Schema lives with the content engine so generated posts are validated
+// against exactly what the site builds with
 const blog = defineCollection({
   type: 'content',
-  schema: z.object({
-    title: z.string(),
-    description: z.string(),
-    date: z.string(),
-    tags: z.array(z.string()),
-    readTime: z.string(),
-    featured: z.boolean().default(false),
-    seoKeywords: z.array(z.string()).default([]),
-    pillar: z.string().optional(),
-    format: z.string().optional(),
-    heroImage: z.string().optional(),
-    imageCredit: z.string().optional(),
-    tldr: z.string().optional(),
-  }),
+  schema: blogSchema,
 });
 
-export const collections = { blog };
+// Spanish editions, same slugs as the English posts they translate
+const blogEs = defineCollection({
+  type: 'content',
+  schema: blogSchema,
+});
+
+// One-page toolbox-talk handouts, <slug>.json next to the post they're from
+const toolboxTalks = defineCollection({
+  type: 'data',
+  schema: toolboxTalkSchema,
+});
+
+export const collections = { blog, 'blog-es': blogEs, 'toolbox-talks': toolboxTalks };
@@ -0,0 +1,66 @@
+import { getCollection } from 'astro:content';
+
+// Posts readers can see: not a draft, and dated today or earlier. Pages are
+// built statically, so a future-dated post appears on the first deploy on or
+// after its date (the daily workflow commits every morning). The dev server
+// shows everything so editors can preview drafts from /admin/schedule.
+export async function getLivePosts() {
+  if (import.meta.env.DEV) return getCollection('blog');
+  const today = new Date().toISOString().split('T')[0];
+  return getCollection('blog', ({ data }) => !data.draft && data.date <= today);
+}
+
+// Spanish editions follow their English post: one shows only while the
+// English post is live, and an editor can hold a single translation back
+// by setting `draft: true` in its frontmatter.
+export async function getLiveSpanishPosts() {
+  const live = new Set((await getLivePosts()).map((post) => post.slug));
+  return getCollection('blog-es', ({ slug, data }) => live.has(slug) && (import.meta.env.DEV || !data.draft));
+}
+
+// Toolbox talks for live posts, keyed by post slug
+export async function getLiveToolboxTalks() {
+  const live = new Map((await getLivePosts()).map((post) => [post.slug, post]));
+  const talks = await getCollection('toolbox-talks', ({ id }) => live.has(id));
+  return talks.map((talk) => ({ post: live.get(talk.id)!, talk: talk.data }));
+}
+
+export function toolboxTalkPath(slug: string, format: 'page' | 'pdf' = 'page') {
+  return `/blog/${slug}/toolbox-talk${format === 'pdf' ? '.pdf' : ''}`;
+}
+
+export type Lang = 'en' | 'es';
+
+export function blogPath(lang: Lang, slug = '') {
+  return `${lang === 'es' ? '/es' : ''}/blog${slug ? `/${slug}` : ''}`;
+}
+
+// Text on blog pages that changes with the edition
+export const BLOG_LABELS = {
+  en: {
+    locale: 'en-US',
+    read: 'read',
+    sources: 'Sources',
+    publishedBy: 'Published by SafetyTAP Team / FieldBridge AI',
+    back: 'Back to all insights',
+    translatedFrom: '',
+    original: '',
+  },
+  es: {
+    locale: 'es-US',
+    read: 'de lectura',
+    sources: 'Fuentes',
+    publishedBy: 'Publicado por el equipo de SafetyTAP / FieldBridge AI',
+    back: 'Volver a todos los artículos',
+    translatedFrom: 'Traducido del inglés.',
+    original: 'Leer el original',
+  },
+} as const;
+
+export function formatPostDate(date: string, lang: Lang = 'en') {
+  return new Date(date).toLocaleDateString(BLOG_LABELS[lang].locale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
@@ -0,0 +1,58 @@
+export const prerender = false;
+
+import type { APIRoute } from 'astro';
+import fs from 'fs';
+import path from 'path';
+import { isGenerated } from '../../../content-engine/lib/post-status.js';
+import { loadArchive, findArchived } from '../../../content-engine/lib/research-archive.js';
+import { updateScheduleAsync } from '../../../content-engine/lib/schedule-store.js';
+
+const SCHEDULE_PATH = path.resolve('content-engine/schedule.json');
+const TOPIC_BANK_PATH = path.resolve('content-engine/topic-bank.json');
+const ARCHIVE_PATH = path.resolve('content-engine/research-archive.jsonl');
+
+export const POST: APIRoute = async ({ request }) => {
+  try {
+    const body = await request.json();
+    const { day, key, attach } = body;
+
+    if (!day || typeof day !== 'number') {
+      return new Response(JSON.stringify({ error: 'Missing or invalid day' }), { status: 400 });
+    }
+    if (!key || typeof key !== 'string') {
+      return new Response(JSON.stringify({ error: 'Missing or invalid research key' }), { status: 400 });
+    }
+
+    const topics = JSON.parse(fs.readFileSync(TOPIC_BANK_PATH, 'utf-8'));
+    if (!topics.some((t: any) => t.day === day)) {
+      return new Response(JSON.stringify({ error: `No topic found for day ${day}` }), { status: 404 });
+    }
+    if (attach && findArchived(loadArchive(ARCHIVE_PATH), [key]).length === 0) {
+      return new Response(JSON.stringify({ error: `${key} is not in the research archive` }), { status: 404 });
+    }
+
+    // Attach or detach (the last detach removes the list)
+    let research: string[] = [];
+    let conflict = false;
+    await updateScheduleAsync((schedule: any) => {
+      const entry = schedule.posts[day] || {};
+      if (attach && isGenerated(entry)) {
+        conflict = true;
+        return;
+      }
+      const keys: string[] = (entry.research || []).filter((k: string) => k !== key);
+      research = attach ? [...keys, key] : keys;
+      if (research.length > 0) entry.research = research;
+      else delete entry.research;
+      if (Object.keys(entry).length > 0) schedule.posts[day] = entry;
+      else delete schedule.posts[day];
+    }, SCHEDULE_PATH);
+
+    if (conflict) {
+      return new Response(JSON.stringify({ error: `Day ${day} is already written; attach research before it is generated` }), { status: 409 });
+    }
+    return new Response(JSON.stringify({ success: true, day, research }), { status: 200 });
+  } catch (err: any) {
+    return new Response(JSON.stringify({ error: err.message }), { status: err.code === 'SCHEDULE_LOCKED' ? 409 : 500 });
+  }
+};
@@ -1,8 +1,9 @@
 export const prerender = false;
 
 import type { APIRoute } from 'astro';
-import Anthropic from '@anthropic-ai/sdk';
+import type Anthropic from '@anthropic-ai/sdk';
 import { SAFETYTAP_SYSTEM_PROMPT } from '../../lib/system-prompt';
+import { createProvider, TASKS } from '../../../content-engine/lib/llm.js';
 
 const MAX_BASE64_SIZE = 7_000_000; // ~5MB file ≈ ~6.7MB base64
 
@@ -45,7 +46,8 @@ export const POST: APIRoute = async ({ request }) => {
       );
     }
 
-    const client = new Anthropic();
+    // A visitor is waiting on this public route: one try, no backoff
+    const llm = createProvider(undefined, { source: 'observe' }, { retries: 0 });
 
     const content: Anthropic.Messages.ContentBlockParam[] = [
       {
@@ -65,16 +67,13 @@ export const POST: APIRoute = async ({ request }) => {
       });
     }
 
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 150,
+    const { text: observation } = await llm.complete({
+      task: TASKS.OBSERVATION,
+      maxTokens: 150,
       system: SAFETYTAP_SYSTEM_PROMPT,
       messages: [{ role: 'user', content }],
     });
 
-    const textBlock = response.content.find((b) => b.type === 'text');
-    const observation = textBlock ? textBlock.text : '';
-
     return new Response(JSON.stringify({ observation }), {
       status: 200,
       headers: { 'Content-Type': 'application/json' },
@@ -0,0 +1,74 @@
+export const prerender = false;
+
+import type { APIRoute } from 'astro';
+import fs from 'fs';
+import path from 'path';
+import { POST_STATUS } from '../../../content-engine/lib/post-status.js';
+import { updateFrontmatter } from '../../../content-engine/lib/frontmatter.js';
+import { loadSchedule, updateScheduleAsync } from '../../../content-engine/lib/schedule-store.js';
+
+const BLOG_DIR = path.resolve('src/content/blog');
+const SCHEDULE_PATH = path.resolve('content-engine/schedule.json');
+
+// Which states each review action can move a post out of, and where it lands
+const TRANSITIONS: Record<string, { from: string[]; to: string; draft: boolean }> = {
+  approve: { from: [POST_STATUS.DRAFT], to: POST_STATUS.APPROVED, draft: false },
+  reject: { from: [POST_STATUS.DRAFT, POST_STATUS.APPROVED], to: POST_STATUS.REJECTED, draft: true },
+};
+
+export const POST: APIRoute = async ({ request }) => {
+  try {
+    const body = await request.json();
+    const { day, action, reason } = body;
+
+    if (!day || typeof day !== 'number') {
+      return new Response(JSON.stringify({ error: 'Missing or invalid day' }), { status: 400 });
+    }
+
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+      return new Response(JSON.stringify({ error: 'Action must be "approve" or "reject"' }), { status: 400 });
+    }
+
+    const schedule: any = loadSchedule(SCHEDULE_PATH);
+    const entry = schedule.posts[day];
+    if (!entry || !transition.from.includes(entry.status)) {
+      return new Response(JSON.stringify({
+        error: `Cannot ${action} day ${day} (status: ${entry?.status || 'not generated'})`,
+      }), { status: 409 });
+    }
+
+    const mdxPath = path.join(BLOG_DIR, `${entry.slug}.mdx`);
+    if (!fs.existsSync(mdxPath)) {
+      return new Response(JSON.stringify({ error: `${entry.slug}.mdx not found` }), { status: 404 });
+    }
+
+    // The schedule first: a locked schedule (409) leaves the post as it was.
+    // If the post can't be written after that, the entry is put back.
+    let previous: any = null;
+    await updateScheduleAsync((schedule: any) => {
+      const latest = schedule.posts[day];
+      previous = structuredClone(latest);
+      latest.status = transition.to;
+      if (action === 'approve') {
+        latest.approvedAt = new Date().toISOString();
+      } else {
+        latest.rejectedAt = new Date().toISOString();
+        latest.rejectionNote = reason || '';
+      }
+    }, SCHEDULE_PATH);
+
+    try {
+      updateFrontmatter(mdxPath, { draft: transition.draft });
+    } catch (err) {
+      await updateScheduleAsync((schedule: any) => {
+        schedule.posts[day] = previous;
+      }, SCHEDULE_PATH);
+      throw err;
+    }
+
+    return new Response(JSON.stringify({ success: true, day, status: transition.to }), { status: 200 });
+  } catch (err: any) {
+    return new Response(JSON.stringify({ error: err.message }), { status: err.code === 'SCHEDULE_LOCKED' ? 409 : 500 });
+  }
+};
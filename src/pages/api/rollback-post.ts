@@ -0,0 +1,68 @@
+export const prerender = false;
+
+import type { APIRoute } from 'astro';
+import fs from 'fs';
+import path from 'path';
+import { isGenerated } from '../../../content-engine/lib/post-status.js';
+import { rollbackPost, loadHistory, readDiff } from '../../../content-engine/lib/revisions.js';
+import { loadSchedule, updateScheduleAsync } from '../../../content-engine/lib/schedule-store.js';
+
+const BLOG_DIR = path.resolve('src/content/blog');
+const HISTORY_DIR = path.resolve('content-engine/history');
+const SCHEDULE_PATH = path.resolve('content-engine/schedule.json');
+const TOOLBOX_TALKS_DIR = path.resolve('src/content/toolbox-talks');
+
+export const POST: APIRoute = async ({ request }) => {
+  try {
+    const body = await request.json();
+    const { day, version } = body;
+
+    if (!day || typeof day !== 'number') {
+      return new Response(JSON.stringify({ error: 'Missing or invalid day' }), { status: 400 });
+    }
+    if (!version || typeof version !== 'number') {
+      return new Response(JSON.stringify({ error: 'Missing or invalid version' }), { status: 400 });
+    }
+
+    const schedule: any = loadSchedule(SCHEDULE_PATH);
+    const entry = schedule.posts[day];
+    if (!isGenerated(entry)) {
+      return new Response(JSON.stringify({ error: `Day ${day} has no generated post` }), { status: 409 });
+    }
+
+    const mdxPath = path.join(BLOG_DIR, `${entry.slug}.mdx`);
+    if (!fs.existsSync(mdxPath)) {
+      return new Response(JSON.stringify({ error: `${entry.slug}.mdx not found` }), { status: 404 });
+    }
+
+    if (!loadHistory(HISTORY_DIR, entry.slug).versions.some((v: any) => v.version === version)) {
+      return new Response(JSON.stringify({ error: `${entry.slug} has no version ${version}` }), { status: 404 });
+    }
+
+    const result = rollbackPost(HISTORY_DIR, mdxPath, entry.slug, version);
+
+    // The distribution pack and toolbox talk were written from the replaced
+    // body, so they're dropped for --backfill-distribution and
+    // --backfill-toolbox-talks to redo. The Spanish edition goes stale on its
+    // own: its source hash no longer matches the English post.
+    fs.rmSync(path.join(TOOLBOX_TALKS_DIR, `${entry.slug}.json`), { force: true });
+    await updateScheduleAsync((schedule: any) => {
+      const current = schedule.posts[day];
+      current.rolledBackAt = new Date().toISOString();
+      current.rolledBackTo = version;
+      delete current.distribution;
+      delete current.toolboxTalk;
+    }, SCHEDULE_PATH);
+
+    return new Response(JSON.stringify({
+      success: true,
+      day,
+      version: result.version,
+      restoredVersion: result.restoredVersion,
+      revisions: loadHistory(HISTORY_DIR, entry.slug).versions
+        .map((v: any) => ({ ...v, diffText: readDiff(HISTORY_DIR, entry.slug, v.version) })),
+    }), { status: 200 });
+  } catch (err: any) {
+    return new Response(JSON.stringify({ error: err.message }), { status: err.code === 'SCHEDULE_LOCKED' ? 409 : 500 });
+  }
+};
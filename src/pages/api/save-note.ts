@@ -1,8 +1,8 @@
 export const prerender = false;
 
 import type { APIRoute } from 'astro';
-import fs from 'fs';
 import path from 'path';
+import { updateScheduleAsync } from '../../../content-engine/lib/schedule-store.js';
 
 const SCHEDULE_PATH = path.resolve('content-engine/schedule.json');
 
@@ -15,19 +15,16 @@ export const POST: APIRoute = async ({ request }) => {
       return new Response(JSON.stringify({ error: 'Missing or invalid day' }), { status: 400 });
     }
 
-    // Load schedule
-    const schedule = JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8'));
-    if (!schedule.posts) schedule.posts = {};
-    if (!schedule.posts[day]) schedule.posts[day] = {};
-
-    // Save note
-    schedule.posts[day].editorialNote = note || '';
-    schedule.posts[day].noteUpdatedAt = new Date().toISOString();
-
-    fs.writeFileSync(SCHEDULE_PATH, JSON.stringify(schedule, null, 2), 'utf-8');
+    // Save note (an empty note clears it)
+    await updateScheduleAsync((schedule: any) => {
+      if (!schedule.posts[day]) schedule.posts[day] = {};
+      const entry = schedule.posts[day];
+      if (note) entry.note = { ...entry.note, text: note, updatedAt: new Date().toISOString() };
+      else delete entry.note;
+    }, SCHEDULE_PATH);
 
     return new Response(JSON.stringify({ success: true, day, note }), { status: 200 });
   } catch (err: any) {
-    return new Response(JSON.stringify({ error: err.message }), { status: 500 });
+    return new Response(JSON.stringify({ error: err.message }), { status: err.code === 'SCHEDULE_LOCKED' ? 409 : 500 });
   }
 };
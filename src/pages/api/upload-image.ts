@@ -4,6 +4,8 @@ import type { APIRoute } from 'astro';
 import fs from 'fs';
 import path from 'path';
 import sharp from 'sharp';
+import { updateFrontmatter } from '../../../content-engine/lib/frontmatter.js';
+import { updateScheduleAsync } from '../../../content-engine/lib/schedule-store.js';
 
 const IMAGES_DIR = path.resolve('public/images/blog');
 const BLOG_DIR = path.resolve('src/content/blog');
@@ -20,6 +22,7 @@ export const POST: APIRoute = async ({ request }) => {
     const formData = await request.formData();
     const file = formData.get('image') as File | null;
     const dayStr = formData.get('day') as string | null;
+    const credit = (formData.get('credit') as string | null)?.trim() || undefined;
 
     if (!file || !dayStr) {
       return new Response(JSON.stringify({ error: 'Missing image or day' }), { status: 400 });
@@ -57,35 +60,18 @@ export const POST: APIRoute = async ({ request }) => {
 
     const imagePath = `/images/blog/${outputFilename}`;
 
-    // Update the MDX file if it exists (add heroImage to frontmatter)
+    // Update the MDX file if it exists. A manual upload replaces any stock
+    // photo, so its credit goes too unless the uploader supplied one.
     const mdxPath = path.join(BLOG_DIR, `${slug}.mdx`);
     if (fs.existsSync(mdxPath)) {
-      let content = fs.readFileSync(mdxPath, 'utf-8');
-
-      if (content.includes('heroImage:')) {
-        // Replace existing heroImage line
-        content = content.replace(
-          /heroImage:.*\n/,
-          `heroImage: "${imagePath}"\n`
-        );
-      } else {
-        // Add heroImage before the closing ---
-        content = content.replace(
-          /---\n\n/,
-          `heroImage: "${imagePath}"\n---\n\n`
-        );
-      }
-
-      fs.writeFileSync(mdxPath, content, 'utf-8');
+      updateFrontmatter(mdxPath, { heroImage: imagePath, imageCredit: credit });
     }
 
-    // Update schedule with image info
-    const schedule = JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8'));
-    if (!schedule.posts) schedule.posts = {};
-    if (!schedule.posts[day]) schedule.posts[day] = {};
-    schedule.posts[day].heroImage = imagePath;
-    schedule.posts[day].imageUploadedAt = new Date().toISOString();
-    fs.writeFileSync(SCHEDULE_PATH, JSON.stringify(schedule, null, 2), 'utf-8');
+    // Update schedule with image info; an upload replaces a stock photo's details
+    await updateScheduleAsync((schedule: any) => {
+      if (!schedule.posts[day]) schedule.posts[day] = {};
+      schedule.posts[day].image = { path: imagePath, source: 'upload', uploadedAt: new Date().toISOString() };
+    }, SCHEDULE_PATH);
 
     // Get file size info
     const stats = fs.statSync(outputPath);
@@ -100,6 +86,6 @@ export const POST: APIRoute = async ({ request }) => {
       sizeKB,
     }), { status: 200 });
   } catch (err: any) {
-    return new Response(JSON.stringify({ error: err.message }), { status: 500 });
+    return new Response(JSON.stringify({ error: err.message }), { status: err.code === 'SCHEDULE_LOCKED' ? 409 : 500 });
   }
 };
@@ -0,0 +1,25 @@
+import type { APIRoute } from 'astro';
+import { getLiveToolboxTalks } from '../../../lib/blog';
+import { renderToolboxTalkPdf } from '../../../../content-engine/lib/toolbox-talk-pdf.js';
+
+// Built once per post at build time, like the page next to it
+export async function getStaticPaths() {
+  const talks = await getLiveToolboxTalks();
+  return talks.map(({ post, talk }) => ({
+    params: { slug: post.slug },
+    props: { post, talk },
+  }));
+}
+
+export const GET: APIRoute = async ({ props, site }) => {
+  const { post, talk } = props;
+  const pdf = await renderToolboxTalkPdf({
+    title: post.data.title,
+    date: post.data.date,
+    url: new URL(`/blog/${post.slug}`, site).href,
+    talk,
+  });
+  return new Response(new Uint8Array(pdf), {
+    headers: { 'Content-Type': 'application/pdf' },
+  });
+};